@@ -120,12 +120,40 @@ const EBYÜ_RULES = {
 
     LINE_SPACING_SINGLE_MAX: 14,
 
+    LINE_SPACING_1_5_POINTS: 18, // Auto-fix target for 1.5 lines (12pt text)
+
+    LINE_SPACING_SINGLE_POINTS: 12, // Auto-fix target for single spacing
+
+
+
+    // Sub-heading Levels (1.1. / 1.1.1. / 1.1.1.1.)
+
+    SUB_HEADING_2_INDENT_POINTS: 35.4, // 1.25cm, where the number starts
+
+    SUB_HEADING_2_SPACE_BEFORE: 6,
+
+    SUB_HEADING_2_SPACE_AFTER: 6,
+
+    SUB_HEADING_3_INDENT_POINTS: 35.4,
+
+    SUB_HEADING_3_SPACE_BEFORE: 6,
+
+    SUB_HEADING_3_SPACE_AFTER: 6,
+
+    SUB_HEADING_4_INDENT_POINTS: 35.4,
+
+    SUB_HEADING_4_SPACE_BEFORE: 6,
+
+    SUB_HEADING_4_SPACE_AFTER: 6,
+
 
 
     // Detection
 
     MIN_BODY_TEXT_LENGTH: 30,
 
+    COVER_MAX_PARAGRAPHS: 15,
+
     BLOCK_QUOTE_MIN_INDENT: 20,
 
 
@@ -166,6 +194,8 @@ const EBYÜ_RULES = {
 
     MAX_PAGES_TOTAL: 500,
 
+    WORDS_PER_PAGE_ESTIMATE: 275, // Used when the page count API is unavailable
+
 
 
     // Table Content Font Size
@@ -208,6 +238,8 @@ const PARA_TYPES = {
 
     CAPTION_TITLE: 'CAPTION_TITLE',
 
+    TABLE_CONTENT: 'TABLE_CONTENT',
+
     EPIGRAPH: 'EPIGRAPH',
 
     LIST_ITEM: 'LIST_ITEM',
@@ -242,7 +274,9 @@ const ZONES = {
 
     BODY: 'BODY',
 
-    BACK_MATTER: 'BACK_MATTER'
+    BACK_MATTER: 'BACK_MATTER',
+
+    REPORT: 'REPORT' // Inserted "Format Uygunluk Raporu", never validated
 
 };
 
@@ -296,6 +330,10 @@ const PATTERNS = {
 
     CAPTION_TABLE: /^Tablo\s*(\d+)\.(\d+)\s*[:.]/i,
 
+    // "Tablo" + number in any other format ("Tablo 1:", "Tablo 2 -")
+
+    CAPTION_TABLE_LABEL: /^Tablo\s*\d+/i,
+
     CAPTION_FIGURE: /^(Şekil|Grafik|Resim|Harita)\s*(\d+)\.(\d+)\s*[:.]/i,
 
 
@@ -306,18 +344,38 @@ const PATTERNS = {
 
     TOC_CONTENT: /\.{5,}\s*(i|v|x|\d)+$/i,
 
-    TOC_START: /^İÇİNDEKİLER$/i,
+    TOC_START: /^İÇİNDEKİLER/i,
+
+    // Lists of tables/figures (tested on the Turkish-uppercased text)
+
+    CAPTION_LIST_START: /^(TABLOLAR|ŞEKİLLER|GRAFİKLER|RESİMLER|HARİTALAR)\s*(LİSTESİ|DİZİNİ)$/,
+
+    TOC_END: [/^ÖZET$/i, /^ÖNSÖZ$/i, /^ABSTRACT$/i, /^TEŞEKKÜR$/i, /^1\.\s/, /^GİRİŞ$/i],
 
 
 
     // Zone switching
 
+    COVER_END: [/^ÖZET/i, /^ÖNSÖZ/i],
+
     BODY_START: [/^GİRİŞ$/i],
 
     BACK_MATTER_START: [/^(KAYNAKÇA|KAYNAKLAR|REFERANSLAR|REFERENCES)$/i],
 
 
 
+    // Main headings that are not numbered (GİRİŞ, SONUÇ, ÖZET...)
+
+    UNNUMBERED_HEADING: /^(GİRİŞ|SONUÇ|SONUÇ VE ÖNERİLER|TARTIŞMA|KAYNAKÇA|KAYNAKLAR|ÖZET|ABSTRACT|SUMMARY|ÖN\s*SÖZ|İÇİNDEKİLER|KISALTMALAR|TABLOLAR|ŞEKİLLER|GRAFİKLER|SİMGELER|EKLER?)$/i,
+
+
+
+    // Cover lines set in the cover title size
+
+    COVER_TITLE: /^(T\.?C\.?|ERZİNCAN|ÜNİVERSİTESİ|ENSTİTÜSÜ|TEZİ)$/i,
+
+
+
     // Cover page patterns
 
     COVER_IDENTIFIERS: [
@@ -408,499 +466,523 @@ const PATTERNS = {
 
 // ============================================
 
-// GLOBAL STATE
+// ENGLISH THESIS PATTERNS (İngilizce Tez)
 
 // ============================================
 
 
 
-let validationResults = [];
+/**
 
-let scanLog = [];
+* Overrides applied to PATTERNS when the thesis language is English. The
 
-let isScanning = false;
+* Turkish ÖZET page is still required, so ÖZET stays a heading and zone marker.
 
+*/
 
+const ENGLISH_PATTERNS = {
 
-// ============================================
+    MAIN_HEADING: [
 
-// LOGGING UTILITY
+        /^CHAPTER\s*([IVX\d]+|ONE|TWO|THREE|FOUR|FIVE|SIX|SEVEN|EIGHT|NINE|TEN)$/i,
 
-// ============================================
+        /^(INTRODUCTION|CONCLUSIONS?|CONCLUSIONS? AND RECOMMENDATIONS|DISCUSSION|REFERENCES|BIBLIOGRAPHY|ÖZET|ABSTRACT|SUMMARY)$/i,
 
+        /^(PREFACE|FOREWORD|ACKNOWLEDG(E)?MENTS?)$/i,
 
+        /^(LIST\s*OF\s*)?(ABBREVIATIONS|TABLES|FIGURES|SYMBOLS)$/i,
 
-function logStep(category, message, details = null) {
+        /^(TABLE\s*OF\s*)?CONTENTS$/i,
 
-    const timestamp = new Date().toISOString();
+        /^APPENDI(X|CES)/i
 
-    scanLog.push({ timestamp, category, message, details });
+    ],
 
-    console.log(`[${category}] ${message}`, details || '');
 
-}
 
+    UNNUMBERED_HEADING: /^(INTRODUCTION|CONCLUSIONS?|CONCLUSIONS? AND RECOMMENDATIONS|DISCUSSION|REFERENCES|BIBLIOGRAPHY|ÖZET|ABSTRACT|SUMMARY|PREFACE|FOREWORD|ACKNOWLEDG(E)?MENTS?|(TABLE\s*OF\s*)?CONTENTS|(LIST\s*OF\s*)?(ABBREVIATIONS|TABLES|FIGURES|SYMBOLS)|APPENDI(X|CES))$/i,
 
 
-// ============================================
 
-// HELPER FUNCTIONS - Pattern Matching
+    CAPTION_TABLE: /^Table\s*(\d+)\.(\d+)\s*[:.]/i,
 
-// ============================================
+    CAPTION_TABLE_LABEL: /^Table\s*\d+/i,
 
+    CAPTION_FIGURE: /^(Figure|Graph|Chart|Map)\s*(\d+)\.(\d+)\s*[:.]/i,
 
 
-function matchesAnyPattern(text, patterns) {
 
-    if (!text || !patterns) return false;
+    TOC_START: /^(TABLE\s*OF\s*)?CONTENTS/i,
 
-    return patterns.some(p => p.test(text.trim()));
+    CAPTION_LIST_START: /^L[Iİ]ST\s*OF\s*(TABLES|F[Iİ]GURES|GRAPHS|CHARTS|MAPS)$/,
 
-}
+    TOC_END: [/^ÖZET$/i, /^ABSTRACT$/i, /^(PREFACE|FOREWORD)$/i, /^ACKNOWLEDG/i, /^1\.\s/, /^INTRODUCTION$/i],
 
 
 
-function isMainHeadingText(text) {
+    COVER_END: [/^ÖZET/i, /^ABSTRACT/i, /^(PREFACE|FOREWORD)/i],
 
-    return matchesAnyPattern(text, PATTERNS.MAIN_HEADING);
+    BODY_START: [/^INTRODUCTION$/i],
 
-}
+    BACK_MATTER_START: [/^(REFERENCES|BIBLIOGRAPHY|WORKS\s*CITED)$/i],
 
 
 
-function isSubHeadingText(text) {
+    FRONT_MATTER_IDENTIFIERS: [
 
-    return matchesAnyPattern(text, PATTERNS.SUB_HEADING);
+        /^(TABLE\s*OF\s*)?CONTENTS$/i,
 
-}
+        /^(PREFACE|FOREWORD)$/i,
 
+        /^ACKNOWLEDG/i,
 
+        /^(LIST\s*OF\s*)?(ABBREVIATIONS|SYMBOLS|TABLES|FIGURES)$/i,
 
-function isTOCEntry(style, text) {
+        /^ÖZET$/i,
 
-    const styleLower = (style || '').toLowerCase();
+        /^ABSTRACT$/i,
 
-    if (styleLower.includes('toc') || styleLower.includes('içindekiler')) return true;
+        /^(SCIENTIFIC\s*)?ETHIC/i,
 
-    if (PATTERNS.TOC_CONTENT.test(text)) return true;
+        /^BİLİMSEL\s*ETİ/i,
 
-    return false;
+        /^(APPROVAL|ACCEPTANCE)/i,
 
-}
+        /^KABUL\s*VE\s*ONAY/i,
 
+        /^DECLARATION$/i,
 
+        /MÜDÜRLÜĞÜNE$/i,
 
-function isCaption(text) {
+        /^JÜRİ\s*/i
 
-    const trimmed = (text || '').trim();
+    ]
 
-    const tableMatch = trimmed.match(PATTERNS.CAPTION_TABLE);
+};
 
-    const figureMatch = trimmed.match(PATTERNS.CAPTION_FIGURE);
 
-    return {
 
-        isCaption: !!(tableMatch || figureMatch),
+// Common function words used to guess the thesis language from body text
 
-        type: tableMatch ? 'table' : (figureMatch ? 'figure' : null),
+const LANGUAGE_HINTS = {
 
-        isCorrect: !!(tableMatch || figureMatch)
+    tr: /(^|\s)(ve|bir|bu|ile|için|olarak|olan|gibi|daha|veya)(?=\s|[.,;:]|$)/gi,
 
-    };
+    en: /(^|\s)(the|and|of|to|in|is|that|with|for|this)(?=\s|[.,;:]|$)/gi
 
-}
+};
 
 
 
-function isCoverItem(text) {
+// ============================================
 
-    return matchesAnyPattern(text, PATTERNS.COVER_IDENTIFIERS);
+// THESIS VARIANTS (Tez Türü ve Enstitü)
 
-}
+// ============================================
 
 
 
 /**
 
-* Check if alignment is centered - handles Word.Alignment enum variations
-
-* Word.Alignment.centered can be: "Centered", "centered", 2, or the enum value
+* Degree and institute variants. `cover` recognises the variant on the cover
 
-*/
+* page, `rules` overrides EBYÜ_RULES while the variant is active and
 
-function isCentered(alignment) {
+* `requiredPages` lists the headings that must appear in the thesis.
 
-    if (alignment === undefined || alignment === null) return true; // Skip check if undefined
+*/
 
+// Cover and required-page patterns are uppercase only: texts are uppercased
 
+// with Turkish rules first, since /i does not fold i/İ and ı/I
 
-    // String comparison (case-insensitive)
+const THESIS_VARIANTS = {
 
-    if (typeof alignment === 'string') {
+    degrees: {
 
-        return alignment.toLowerCase() === 'centered';
+        MASTERS: {
 
-    }
+            label: 'Yüksek Lisans',
 
+            cover: /^YÜKSEK\s*LİSANS\s*TEZİ$/,
 
+            minPagesRule: 'MIN_PAGES_MASTERS',
 
-    // Numeric comparison (Word.Alignment.centered = 2)
+            requiredPages: [
 
-    if (typeof alignment === 'number') {
+                { label: 'BİLİMSEL ETİK BİLDİRİMİ', pattern: /^(BİLİMSEL\s*ETİ|(SC[Iİ]ENT[Iİ]F[Iİ]C\s*)?ETH[Iİ]C)/ },
 
-        return alignment === 2;
+                { label: 'ÖZET', pattern: /^ÖZET$/ },
 
-    }
+                { label: 'ABSTRACT', pattern: /^ABSTRACT$/ },
 
+                { label: 'İÇİNDEKİLER', pattern: /^(İÇİNDEKİLER|(TABLE\s*OF\s*)?CONTENTS)$/ }
 
+            ],
 
-    // Direct enum comparison
+            rules: {}
 
-    if (alignment === Word.Alignment.centered) {
+        },
 
-        return true;
+        PHD: {
 
-    }
+            label: 'Doktora',
 
+            cover: /^DOKTORA\s*TEZİ$/,
 
+            minPagesRule: 'MIN_PAGES_PHD',
 
-    return false;
+            requiredPages: [
 
-}
+                { label: 'BİLİMSEL ETİK BİLDİRİMİ', pattern: /^(BİLİMSEL\s*ETİ|(SC[Iİ]ENT[Iİ]F[Iİ]C\s*)?ETH[Iİ]C)/ },
 
+                { label: 'ÖZET', pattern: /^ÖZET$/ },
 
+                { label: 'ABSTRACT', pattern: /^ABSTRACT$/ },
 
-function isHeadingStyle(style) {
+                { label: 'İÇİNDEKİLER', pattern: /^(İÇİNDEKİLER|(TABLE\s*OF\s*)?CONTENTS)$/ },
 
-    if (!style) return false;
+                { label: 'ÖZGEÇMİŞ', pattern: /^(ÖZGEÇMİŞ|CURR[Iİ]CULUM\s*V[Iİ]TAE)$/ }
 
-    const s = style.toLowerCase();
+            ],
 
-    return s.includes('heading') || s.includes('başlık') || s.includes('title');
+            rules: {}
 
-}
+        }
 
+    },
 
+    institutes: {
 
-// ============================================
+        FEN: {
 
-// PARAGRAPH TYPE DETECTION (Priority-Based)
+            label: 'Fen Bilimleri Enstitüsü',
 
-// ============================================
+            cover: /^FEN\s*BİLİMLERİ\s*ENSTİTÜSÜ$/,
 
+            requiredPages: [],
 
+            rules: {}
 
-/**
+        },
 
-* Detect paragraph type using outlineLevel as primary indicator
+        SOSYAL: {
 
-* @param {Object} paraData - Pre-loaded paragraph data
+            label: 'Sosyal Bilimler Enstitüsü',
 
-* @param {string} zone - Current document zone
+            cover: /^SOSYAL\s*BİLİMLER[İI]?\s*ENSTİTÜSÜ$/,
 
-* @param {boolean} isInBiblio - Currently in bibliography section
+            requiredPages: [],
 
-* @returns {string} - PARA_TYPES value
+            rules: {}
 
-*/
+        }
 
-function detectParagraphType(paraData, zone, isInBiblio) {
+    }
 
-    const { text, style, outlineLevel, tableNestingLevel, leftIndent, font } = paraData;
+};
 
-    const trimmed = (text || '').trim();
 
 
+// ============================================
 
-    // Priority 1: Inside table = table content
+// RULE PROFILES (Kural Profilleri)
 
-    if (tableNestingLevel > 0) {
+// ============================================
 
-        const captionInfo = isCaption(trimmed);
 
-        return captionInfo.isCaption ? PARA_TYPES.CAPTION_TITLE : PARA_TYPES.BODY_TEXT;
 
-    }
+/**
 
+* A rule profile is a JSON document (see profiles/rule-profile.schema.json)
 
+* holding overrides for EBYÜ_RULES and PATTERNS. Patterns are stored as
 
-    // Priority 2: Empty paragraph - check for Ghost Heading
+* { source, flags } pairs. The bundled profile is built from the constants
 
-    if (trimmed.length === 0) {
+* above so that it always matches the built-in behaviour.
 
-        // Ghost Heading: empty text but has outline level (not body text level)
+*/
 
-        // In Word, outlineLevel is a number 0-8 for headings, or "BodyText" for normal text
+const PROFILE_SETTING_KEY = 'ebyuRuleProfile';
 
-        if (outlineLevel !== undefined && outlineLevel !== null) {
+const PROFILE_LIBRARY_KEY = 'ebyuRuleProfiles';
 
-            // If outlineLevel is a number (0-8), it's a heading level
 
-            if (typeof outlineLevel === 'number' || (typeof outlineLevel === 'string' && !isNaN(parseInt(outlineLevel)))) {
 
-                const level = typeof outlineLevel === 'number' ? outlineLevel : parseInt(outlineLevel);
+function serializePattern(pattern) {
 
-                if (level >= 0 && level <= 8) {
+    if (Array.isArray(pattern)) return pattern.map(serializePattern);
 
-                    return PARA_TYPES.GHOST_HEADING;
+    return { source: pattern.source, flags: pattern.flags };
 
-                }
+}
 
-            }
 
-        }
 
-        // Also check heading style
+function deserializePattern(value) {
 
-        if (isHeadingStyle(style)) {
+    if (Array.isArray(value)) return value.map(deserializePattern);
 
-            return PARA_TYPES.GHOST_HEADING;
+    return new RegExp(value.source, value.flags || '');
 
-        }
+}
 
-        return PARA_TYPES.EMPTY;
 
-    }
 
+function mapVariants(variants, mapPattern) {
 
+    const mapGroup = group => Object.fromEntries(Object.entries(group || {}).map(([key, variant]) => [key, {
 
-    // Priority 3: TOC entries
+        ...variant,
 
-    if (isTOCEntry(style, trimmed)) {
+        cover: mapPattern(variant.cover),
 
-        return PARA_TYPES.TOC_ENTRY;
+        requiredPages: (variant.requiredPages || []).map(page => ({ label: page.label, pattern: mapPattern(page.pattern) })),
 
-    }
+        rules: { ...(variant.rules || {}) }
 
+    }]));
 
+    return { degrees: mapGroup(variants.degrees), institutes: mapGroup(variants.institutes) };
 
-    // Priority 4: Cover page
+}
 
-    if (zone === ZONES.COVER || isCoverItem(trimmed)) {
 
-        return PARA_TYPES.COVER_TEXT;
 
-    }
+const BUNDLED_PROFILE = {
 
+    id: 'ebyu-2022',
 
+    name: 'EBYÜ 2022 Tez Yazım Kılavuzu',
 
-    // Priority 5: Captions
+    version: '2022.1',
 
-    const captionInfo = isCaption(trimmed);
+    rules: { ...EBYÜ_RULES },
 
-    if (captionInfo.isCaption) {
+    patterns: Object.fromEntries(Object.entries(PATTERNS).map(([key, value]) => [key, serializePattern(value)])),
 
-        return PARA_TYPES.CAPTION_TITLE;
+    variants: mapVariants(THESIS_VARIANTS, serializePattern),
 
-    }
+    languages: {
 
+        en: {
 
+            label: 'English',
 
-    // Priority 6: Bibliography zone
+            patterns: Object.fromEntries(Object.entries(ENGLISH_PATTERNS).map(([key, value]) => [key, serializePattern(value)]))
 
-    if (isInBiblio && trimmed.length > 5) {
+        }
 
-        if (!matchesAnyPattern(trimmed, PATTERNS.BACK_MATTER_START)) {
+    }
 
-            return PARA_TYPES.BIBLIOGRAPHY;
+};
 
-        }
 
-    }
 
+let activeProfile = BUNDLED_PROFILE;
 
+let thesisVariants = THESIS_VARIANTS; // Variants of the active profile (RegExp form)
 
-    // Priority 7: Main Heading (outlineLevel first, then text pattern)
+let thesisLanguage = 'tr'; // Language whose patterns are in PATTERNS
 
-    const isMainByOutline = outlineLevel === 0 || outlineLevel === 1;
+let languageOverride = null; // 'tr' | 'en' chosen in the pane, null = auto
 
-    const isMainByText = isMainHeadingText(trimmed);
+let profileLibrary = []; // Profiles loaded from a file or URL (kept in localStorage)
 
-    const isMainByStyle = isHeadingStyle(style) && (/heading\s*1/i.test(style) || /başlık\s*1/i.test(style));
 
 
+/**
 
-    if (isMainByOutline || isMainByText || isMainByStyle) {
+* Check a profile against the bundled one: known keys only, same value types,
 
-        return PARA_TYPES.MAIN_HEADING;
+* patterns must compile. Throws with a user-facing message.
 
-    }
+*/
 
+function validateProfile(profile) {
 
+    if (!profile || typeof profile !== 'object') {
 
-    // Priority 8: Sub-Heading
+        throw new Error(t('profile.error.notObject'));
 
-    const isSubByOutline = typeof outlineLevel === 'number' && outlineLevel >= 2 && outlineLevel <= 8;
+    }
 
-    const isSubByText = isSubHeadingText(trimmed);
+    if (typeof profile.id !== 'string' || !profile.id || typeof profile.name !== 'string' || !profile.name) {
 
-    const isSubByStyle = isHeadingStyle(style) && !isMainByStyle;
+        throw new Error(t('profile.error.idName'));
 
+    }
 
 
-    if (isSubByOutline || isSubByText || isSubByStyle) {
 
-        return PARA_TYPES.SUB_HEADING;
+    for (const [key, value] of Object.entries(profile.rules || {})) {
 
-    }
+        if (!(key in BUNDLED_PROFILE.rules)) {
 
+            throw new Error(t('profile.error.unknownRule', { key }));
 
+        }
 
-    // Priority 9: Block quote (significant left indent)
+        if (typeof value !== typeof BUNDLED_PROFILE.rules[key]) {
 
-    if (leftIndent && leftIndent >= EBYÜ_RULES.BLOCK_QUOTE_MIN_INDENT) {
+            throw new Error(t('profile.error.ruleType', { key, type: typeof BUNDLED_PROFILE.rules[key] }));
 
-        return PARA_TYPES.BLOCK_QUOTE;
+        }
 
     }
 
 
 
-    // Priority 10: Body text
+    validateProfilePatterns(profile.patterns);
 
-    if (trimmed.length >= 20) {
+    for (const language of Object.values(profile.languages || {})) {
 
-        return PARA_TYPES.BODY_TEXT;
+        validateProfilePatterns(language.patterns);
 
     }
 
 
 
-    return PARA_TYPES.UNKNOWN;
+    if (profile.variants) {
 
-}
+        for (const group of ['degrees', 'institutes']) {
 
+            for (const [key, variant] of Object.entries(profile.variants[group] || {})) {
 
+                if (!variant || typeof variant.label !== 'string' || !variant.cover) {
 
-// ============================================
+                    throw new Error(t('profile.error.variantFields', { key }));
 
-// RESULT MANAGEMENT
+                }
 
-// ============================================
+                if (variant.minPagesRule && !(variant.minPagesRule in BUNDLED_PROFILE.rules)) {
 
+                    throw new Error(t('profile.error.variantRule', { key, rule: variant.minPagesRule }));
 
+                }
 
-function addResult(type, title, description, location = null, paraIndex = null, severity = null) {
+                for (const rule of Object.keys(variant.rules || {})) {
 
-    validationResults.push({
+                    if (!(rule in BUNDLED_PROFILE.rules)) {
 
-        type,
+                        throw new Error(t('profile.error.variantRule', { key, rule }));
 
-        title,
+                    }
 
-        description,
+                }
 
-        location: location || 'Belge Geneli',
+            }
 
-        paraIndex,
+        }
 
-        severity: severity || (type === 'error' ? 'CRITICAL' : 'FORMAT'),
+        try {
 
-        timestamp: new Date().toISOString()
+            mapVariants(profile.variants, deserializePattern);
 
-    });
+        } catch (e) {
 
-}
+            throw new Error(t('profile.error.variantPatterns', { message: e.message }));
 
+        }
 
+    }
 
-function clearResults() {
 
-    validationResults = [];
 
-    scanLog = [];
+    return profile;
 
 }
 
 
 
-// ============================================
+function validateProfilePatterns(patterns) {
 
-// UI FUNCTIONS
+    for (const [key, value] of Object.entries(patterns || {})) {
 
-// ============================================
+        if (!(key in BUNDLED_PROFILE.patterns)) {
 
+            throw new Error(t('profile.error.unknownPattern', { key }));
 
+        }
 
-function initializeUI() {
+        if (Array.isArray(value) !== Array.isArray(BUNDLED_PROFILE.patterns[key])) {
 
-    // Match index.html: id="scanBtn"
+            throw new Error(t(Array.isArray(BUNDLED_PROFILE.patterns[key]) ? 'profile.error.patternList' : 'profile.error.patternSingle', { key }));
 
-    const scanBtn = document.getElementById('scanBtn');
+        }
 
-    if (scanBtn) {
+        try {
 
-        scanBtn.onclick = scanDocument;
+            deserializePattern(value);
 
-    } else {
+        } catch (e) {
 
-        console.error('Scan button (scanBtn) not found!');
+            throw new Error(t('profile.error.patternInvalid', { key, message: e.message }));
 
-    }
+        }
 
-    logStep('UI', 'User interface initialized');
+    }
 
 }
 
 
 
-function setButtonState(enabled) {
+/**
 
-    const btn = document.getElementById('scanBtn');
+* Apply a profile on top of the bundled defaults (missing keys keep their
 
-    if (btn) {
+* bundled value, so a profile may only list what it changes)
 
-        btn.disabled = !enabled;
+*/
 
-        // Button has SVG + span structure in index.html
+function applyProfile(profile) {
 
-        const textSpan = btn.querySelector('span');
-
-        if (textSpan) {
+    validateProfile(profile);
 
-            textSpan.textContent = enabled ? 'DÖKÜMAN TARA' : 'ARANIYOR...';
 
-        }
 
-    }
+    Object.assign(EBYÜ_RULES, BUNDLED_PROFILE.rules, profile.rules || {});
 
-}
+    applyProfilePatterns(profile, thesisLanguage);
 
 
 
-function updateProgress(percent, message) {
+    thesisVariants = mapVariants(profile.variants || BUNDLED_PROFILE.variants, deserializePattern);
 
-    // Match index.html: progressSection, progressFill, progressText
+    activeProfile = profile;
 
-    const progressContainer = document.getElementById('progressSection');
+    logStep('PROFILE', `Rule profile applied: ${profile.id} (${profile.version || '-'})`);
 
-    const progressBar = document.getElementById('progressFill');
+}
 
-    const progressText = document.getElementById('progressText');
 
 
+/**
 
-    if (progressContainer) {
+* Rebuild PATTERNS: bundled patterns, then the profile's, then the profile's
 
-        progressContainer.classList.remove('hidden');
+* (or bundled) overrides for the thesis language. Turkish is the base set.
 
-    }
+*/
 
-    if (progressBar) progressBar.style.width = `${percent}%`;
+function applyProfilePatterns(profile, language) {
 
-    if (progressText) progressText.textContent = message;
+    const languageSet = (profile.languages && profile.languages[language]) || BUNDLED_PROFILE.languages[language];
 
-}
+    const patterns = {
 
+        ...BUNDLED_PROFILE.patterns,
 
+        ...(profile.patterns || {}),
 
-function hideProgress() {
+        ...(languageSet ? languageSet.patterns : {})
 
-    const progressContainer = document.getElementById('progressSection');
+    };
 
-    if (progressContainer) {
+    for (const [key, value] of Object.entries(patterns)) {
 
-        progressContainer.classList.add('hidden');
+        PATTERNS[key] = deserializePattern(value);
 
     }
 
@@ -908,177 +990,193 @@ function hideProgress() {
 
 
 
-function displayResults() {
+function getAvailableProfiles() {
 
-    // Match index.html: resultsList, summarySection, errorCount, warningCount, successCount
+    return [BUNDLED_PROFILE, ...profileLibrary.filter(p => p.id !== BUNDLED_PROFILE.id)];
 
-    const resultsContainer = document.getElementById('resultsList');
+}
 
-    const summarySection = document.getElementById('summarySection');
 
-    const errorCountEl = document.getElementById('errorCount');
 
-    const warningCountEl = document.getElementById('warningCount');
+function loadProfileLibrary() {
 
-    const successCountEl = document.getElementById('successCount');
+    try {
 
+        const stored = JSON.parse(localStorage.getItem(PROFILE_LIBRARY_KEY) || '[]');
 
+        profileLibrary = stored.filter(profile => {
 
-    if (!resultsContainer) return;
+            try {
 
+                validateProfile(profile);
 
+                return true;
 
-    if (validationResults.length === 0) {
+            } catch (e) {
 
-        resultsContainer.innerHTML = '<div class="empty-state"><p>✅ Hiçbir hata bulunamadı.</p></div>';
+                logStep('PROFILE', `Dropped stored profile ${profile && profile.id}: ${e.message}`);
 
-        if (summarySection) summarySection.classList.add('hidden');
+                return false;
 
-        return;
+            }
 
-    }
+        });
 
+    } catch (e) {
 
+        profileLibrary = [];
 
-    // Show summary section
+    }
 
-    if (summarySection) summarySection.classList.remove('hidden');
+}
 
 
 
-    let html = '';
+function addToProfileLibrary(profile) {
 
-    const errors = validationResults.filter(r => r.type === 'error');
+    profileLibrary = profileLibrary.filter(p => p.id !== profile.id);
 
-    const warnings = validationResults.filter(r => r.type === 'warning');
+    profileLibrary.push(profile);
 
-    const successes = validationResults.filter(r => r.type === 'success');
+    try {
 
+        localStorage.setItem(PROFILE_LIBRARY_KEY, JSON.stringify(profileLibrary));
 
+    } catch (e) {
 
-    // Update stat cards
+        logStep('PROFILE', `Profile library not saved: ${e.message}`);
 
-    if (errorCountEl) errorCountEl.textContent = errors.length;
+    }
 
-    if (warningCountEl) warningCountEl.textContent = warnings.length;
+}
 
-    if (successCountEl) successCountEl.textContent = successes.length;
 
 
+/**
 
-    // Errors first
+* Store the active profile in the document so it travels with the thesis
 
-    for (const result of errors) {
+*/
 
-        html += createResultItem(result, 'error');
+function saveDocumentProfile(profile) {
 
-    }
+    const settings = Office.context.document.settings;
 
-    // Then warnings
+    if (profile.id === BUNDLED_PROFILE.id) {
 
-    for (const result of warnings) {
+        settings.remove(PROFILE_SETTING_KEY);
 
-        html += createResultItem(result, 'warning');
+    } else {
+
+        settings.set(PROFILE_SETTING_KEY, profile);
 
     }
 
-    // Then successes
+    settings.saveAsync((asyncResult) => {
 
-    for (const result of successes) {
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
 
-        html += createResultItem(result, 'success');
+            logStep('PROFILE', `Document settings not saved: ${asyncResult.error && asyncResult.error.message}`);
 
-    }
+        }
 
+    });
 
+}
 
-    resultsContainer.innerHTML = html;
 
-}
 
+function restoreDocumentProfile() {
 
+    const stored = Office.context.document.settings.get(PROFILE_SETTING_KEY);
 
-function createResultItem(result, type) {
+    if (!stored) return;
 
-    // Extract paragraph number from location for navigation
 
-    const paraMatch = result.location ? result.location.match(/Paragraf\s*(\d+)/i) : null;
 
-    const paraIndex = paraMatch ? parseInt(paraMatch[1]) - 1 : null;
+    try {
 
+        applyProfile(stored);
 
+        addToProfileLibrary(stored);
 
-    const showButton = paraIndex !== null
+    } catch (e) {
 
-        ? `<button class="show-error-btn" onclick="goToError(${paraIndex})">GÖSTER</button>`
+        logStep('PROFILE', `Stored document profile ignored: ${e.message}`);
 
-        : '';
+        setProfileStatus(t('profile.documentFailed', { message: e.message }), true);
+
+    }
 
+}
 
 
-    return `
 
-<div class="result-item ${type}">
+function selectProfile(profile) {
 
-<div class="result-header">
+    try {
 
-<span class="result-title">${result.title}</span>
+        applyProfile(profile);
 
-${showButton}
+        saveDocumentProfile(profile);
 
-</div>
+        renderProfileControls();
 
-<div class="result-description">${result.description}</div>
+        setProfileStatus(t('profile.active', { name: profile.name }));
 
-<div class="result-location">${result.location || ''}</div>
+    } catch (e) {
 
-</div>
+        setProfileStatus(e.message, true);
 
-`;
+    }
 
 }
 
 
 
-// ============================================
+async function importProfileFromFile(file) {
 
-// NAVIGATE TO ERROR (Hataya Git)
+    try {
 
-// ============================================
+        const profile = validateProfile(JSON.parse(await file.text()));
 
+        addToProfileLibrary(profile);
 
+        selectProfile(profile);
 
-async function goToError(paragraphIndex) {
+    } catch (e) {
 
-    try {
+        setProfileStatus(t('profile.fileFailed', { message: e.message }), true);
 
-        await Word.run(async (context) => {
+    }
 
-            const paragraphs = context.document.body.paragraphs;
+}
 
-            paragraphs.load('items');
 
-            await context.sync();
 
+async function importProfileFromUrl(url) {
 
+    try {
 
-            if (paragraphIndex >= 0 && paragraphIndex < paragraphs.items.length) {
+        const response = await fetch(url, { cache: 'no-cache' });
 
-                const para = paragraphs.items[paragraphIndex];
+        if (!response.ok) {
 
-                para.select();
+            throw new Error(`HTTP ${response.status}`);
 
-                await context.sync();
+        }
 
-                logStep('NAVIGATE', `Navigated to paragraph ${paragraphIndex + 1}`);
+        const profile = validateProfile(await response.json());
 
-            }
+        profile.sourceUrl = url;
 
-        });
+        addToProfileLibrary(profile);
 
-    } catch (error) {
+        selectProfile(profile);
 
-        console.error('Navigation error:', error);
+    } catch (e) {
+
+        setProfileStatus(t('profile.urlFailed', { message: e.message }), true);
 
     }
 
@@ -1086,1665 +1184,13031 @@ async function goToError(paragraphIndex) {
 
 
 
-// ============================================
+function setProfileStatus(message, isError = false) {
 
-// CLEAR HIGHLIGHTS
+    const status = document.getElementById('profileStatus');
 
-// ============================================
+    if (!status) return;
 
+    status.textContent = message;
 
+    status.classList.toggle('error', isError);
 
-async function clearHighlightsAndResults() {
+}
 
-    clearResults();
 
 
+function renderProfileControls() {
 
-    try {
+    const select = document.getElementById('profileSelect');
 
-        await Word.run(async (context) => {
+    if (select) {
 
-            context.document.body.font.highlightColor = null;
+        select.innerHTML = getAvailableProfiles().map(profile =>
 
-            await context.sync();
+            `<option value="${escapeHtml(profile.id)}"${profile.id === activeProfile.id ? ' selected' : ''}>` +
 
-        });
+            `${escapeHtml(profile.name)}${profile.version ? ` (${escapeHtml(profile.version)})` : ''}</option>`
 
-        displayResults();
+        ).join('');
 
-        logStep('CLEAR', 'Highlights and results cleared');
+    }
 
-    } catch (error) {
 
-        console.error('Clear error:', error);
 
-    }
+    const nameLabel = document.getElementById('profileName');
 
-}
+    if (nameLabel) nameLabel.textContent = activeProfile.name;
 
 
 
-// ============================================
+    const languageSelect = document.getElementById('languageSelect');
 
-// SECTION-BASED MARGIN VALIDATION (7cm Rule)
+    if (languageSelect) languageSelect.value = languageOverride || '';
 
-// ============================================
 
 
+    for (const [id, field, group] of [['degreeSelect', 'degree', 'degrees'], ['instituteSelect', 'institute', 'institutes']]) {
 
-/**
+        const variantSelect = document.getElementById(id);
 
-* Validate section margins using batch loading
+        if (!variantSelect) continue;
 
-* Checks for 7cm top margin on main chapter starts
+        variantSelect.innerHTML = `<option value="">${escapeHtml(t('ui.variantAuto'))}</option>` +
 
-*/
+            Object.entries(thesisVariants[group]).map(([key, variant]) =>
 
-async function validateSectionMargins(context, sections) {
+                `<option value="${escapeHtml(key)}"${variantOverride[field] === key ? ' selected' : ''}>${escapeHtml(variant.label)}</option>`
 
-    const marginErrors = [];
+            ).join('');
 
+    }
 
+}
 
-    try {
 
-        // Batch load all section data
 
-        for (let i = 0; i < sections.items.length; i++) {
+function initializeProfileUI() {
 
-            const section = sections.items[i];
+    loadProfileLibrary();
 
+    restoreDocumentProfile();
 
+    restoreVariantOverride();
 
-            try {
+    restoreLanguageOverride();
 
-                const pageSetup = section.getPageSetup();
+    renderProfileControls();
 
-                pageSetup.load('topMargin, bottomMargin, leftMargin, rightMargin');
 
 
+    const select = document.getElementById('profileSelect');
 
-                const body = section.body;
+    if (select) {
 
-                body.paragraphs.load('items');
+        select.onchange = () => {
 
-            } catch (e) {
+            const profile = getAvailableProfiles().find(p => p.id === select.value);
 
-                // Mac compatibility - getPageSetup may not be available
+            if (profile) selectProfile(profile);
 
-                logStep('MARGIN', `Section ${i + 1}: getPageSetup not available`);
+        };
 
-            }
+    }
 
-        }
 
 
+    const fileInput = document.getElementById('profileFile');
 
-        await context.sync();
+    if (fileInput) {
 
+        fileInput.onchange = () => {
 
+            if (fileInput.files && fileInput.files[0]) importProfileFromFile(fileInput.files[0]);
 
-        // Now validate each section
+            fileInput.value = '';
 
-        for (let i = 0; i < sections.items.length; i++) {
+        };
 
-            const section = sections.items[i];
+    }
 
 
 
-            try {
+    const languageSelect = document.getElementById('languageSelect');
 
-                const pageSetup = section.getPageSetup();
+    if (languageSelect) {
 
-                const body = section.body;
+        languageSelect.onchange = () => setLanguageOverride(languageSelect.value || null);
 
+    }
 
 
-                // Get first paragraph to check if it's a main heading
 
-                let firstParaText = '';
+    for (const [id, field] of [['degreeSelect', 'degree'], ['instituteSelect', 'institute']]) {
 
-                if (body.paragraphs.items && body.paragraphs.items.length > 0) {
+        const variantSelect = document.getElementById(id);
 
-                    const firstPara = body.paragraphs.items[0];
+        if (variantSelect) {
 
-                    firstPara.load('text');
+            variantSelect.onchange = () => setVariantOverride(field, variantSelect.value || null);
 
-                    await context.sync();
+        }
 
-                    firstParaText = (firstPara.text || '').trim();
+    }
 
-                }
 
 
+    const urlInput = document.getElementById('profileUrl');
 
-                // Determine expected top margin
+    const urlBtn = document.getElementById('profileUrlBtn');
 
-                const isMainChapterStart = isMainHeadingText(firstParaText);
+    if (urlInput && urlBtn) {
 
-                const expectedTopMargin = isMainChapterStart
+        urlBtn.onclick = () => {
 
-                    ? EBYÜ_RULES.MARGIN_TOP_SPECIAL_POINTS
+            const url = urlInput.value.trim();
 
-                    : EBYÜ_RULES.MARGIN_POINTS;
+            if (url) importProfileFromUrl(url);
 
+        };
 
+    }
 
-                const tolerance = EBYÜ_RULES.MARGIN_TOLERANCE;
+}
 
 
 
-                // Check top margin
+// ============================================
 
-                if (pageSetup.topMargin !== undefined) {
+// MESSAGE CATALOGUE (Mesaj Kataloğu)
 
-                    if (Math.abs(pageSetup.topMargin - expectedTopMargin) > tolerance) {
+// ============================================
 
-                        const expectedCm = isMainChapterStart ? 7 : 3;
 
-                        marginErrors.push({
 
-                            type: 'error',
+/**
 
-                            title: `Bölüm ${i + 1}: Üst Kenar Boşluğu`,
+* UI strings and finding messages keyed by ID. Findings use `<RULE_ID>.title`
 
-                            description: `Üst kenar ${expectedCm} cm olmalı. Mevcut: ${(pageSetup.topMargin / 28.35).toFixed(2)} cm`,
+* and `<RULE_ID>.desc`; `{name}` placeholders are filled by t(). Turkish is
 
-                            location: `Bölüm ${i + 1}`,
+* the reference language and the fallback for missing keys.
 
-                            severity: 'CRITICAL'
+*/
 
-                        });
+const MESSAGES = {
 
-                    }
+    tr: {
 
+        // Task pane
 
+        'ui.title': 'EBYÜ Tez Doğrulayıcı',
 
-                    // Check other margins (should always be 3cm)
+        'ui.subtitle': 'Erzincan Binali Yıldırım Üniversitesi',
 
-                    if (Math.abs(pageSetup.bottomMargin - EBYÜ_RULES.MARGIN_POINTS) > tolerance) {
+        'ui.scan': 'DÖKÜMAN TARA',
 
-                        marginErrors.push({
+        'ui.scanning': 'ARANIYOR...',
 
-                            type: 'error',
+        'ui.scanSelection': 'Seçimi Tara',
 
-                            title: `Bölüm ${i + 1}: Alt Kenar Boşluğu`,
+        'ui.scanChapter': 'Bu Bölümü Tara',
 
-                            description: `Alt kenar 3 cm olmalı. Mevcut: ${(pageSetup.bottomMargin / 28.35).toFixed(2)} cm`,
+        'ui.liveToggle': 'Canlı denetim',
 
-                            location: `Bölüm ${i + 1}`,
+        'ui.liveToggleHint': 'Düzenlenen paragrafları ve komşularını yazarken yeniden denetler',
 
-                            severity: 'CRITICAL'
+        'ui.uiLanguage': 'Arayüz dili',
 
-                        });
+        'ui.profileSummary': 'Kural profili, tez dili ve türü',
 
-                    }
+        'ui.thesisLanguage': 'Tez dili',
 
+        'ui.languageAuto': 'Otomatik (metinden)',
 
+        'ui.markingMode': 'Belgede işaretleme',
 
-                    if (Math.abs(pageSetup.leftMargin - EBYÜ_RULES.MARGIN_POINTS) > tolerance) {
+        'marks.highlight': 'Renkli vurgu',
 
-                        marginErrors.push({
+        'marks.underline': 'Dalgalı alt çizgi',
 
-                            type: 'error',
+        'marks.comments': 'Yalnızca yorum',
 
-                            title: `Bölüm ${i + 1}: Sol Kenar Boşluğu`,
+        'marks.panel': 'Yalnızca panel (belge değişmez)',
 
-                            description: `Sol kenar 3 cm olmalı. Mevcut: ${(pageSetup.leftMargin / 28.35).toFixed(2)} cm`,
+        'marks.changed': 'Önceki işaretler kaldırıldı; yeni işaretleme bir sonraki taramada uygulanır.',
 
-                            location: `Bölüm ${i + 1}`,
+        'marks.commentHeader': 'EBYÜ Tez Doğrulayıcı',
 
-                            severity: 'CRITICAL'
+        'ui.findingComments': 'Bulgular için Word yorumu ekle',
 
-                        });
+        'marks.summaryMarked': 'Hatalı yerler belgede işaretlendi.',
 
-                    }
+        'marks.summaryCommented': 'Hatalı paragraflara yorum eklendi.',
 
+        'marks.summaryMarkedCommented': 'Hatalı yerler belgede işaretlendi ve yorum eklendi.',
 
+        'marks.summaryPanel': 'Bulgular yalnızca panelde listelendi.',
 
-                    if (Math.abs(pageSetup.rightMargin - EBYÜ_RULES.MARGIN_POINTS) > tolerance) {
+        'marks.saveFailed': 'Belgedeki işaretlerin kaydı saklanamadı; işaretler sonra otomatik kaldırılamayabilir: {message}',
 
-                        marginErrors.push({
+        'suppress.commentResolved': 'Word yorumu çözüldü olarak işaretlendi.',
 
-                            type: 'error',
+        'ui.degree': 'Tez türü',
 
-                            title: `Bölüm ${i + 1}: Sağ Kenar Boşluğu`,
+        'ui.institute': 'Enstitü',
 
-                            description: `Sağ kenar 3 cm olmalı. Mevcut: ${(pageSetup.rightMargin / 28.35).toFixed(2)} cm`,
+        'ui.variantAuto': 'Otomatik (kapaktan)',
 
-                            location: `Bölüm ${i + 1}`,
+        'ui.profileFile': 'JSON dosyasından yükle',
 
-                            severity: 'CRITICAL'
+        'ui.profileUrlLoad': 'Yükle',
 
-                        });
+        'ui.progress': 'Taranıyor...',
 
-                    }
+        'ui.quickFixHint': '🔧 Bulguyu düzeltmek için "DÜZELT", aynı türdeki tüm bulgular için "Bu türün tümünü düzelt" düğmesine tıklayın.',
 
-                }
+        'ui.statErrors': 'Hata',
 
-            } catch (sectionError) {
+        'ui.statWarnings': 'Uyarı',
 
-                logStep('MARGIN', `Section ${i + 1} check failed: ${sectionError.message}`);
+        'ui.statSuccess': 'Başarılı',
 
-            }
+        'ui.filterAll': 'Tümü',
 
-        }
+        'ui.filterErrors': 'Hatalar',
 
+        'ui.filterWarnings': 'Uyarılar',
 
+        'ui.filterSuccess': 'Başarılı',
 
-        if (marginErrors.length === 0) {
+        'ui.searchPlaceholder': 'Başlık veya açıklamada ara...',
 
-            logStep('MARGIN', 'All section margins validated successfully');
+        'ui.groupNone': 'Gruplama yok',
 
-        }
+        'ui.groupRule': 'Kurala göre',
 
+        'ui.groupChapter': 'Bölüme göre',
 
+        'ui.groupSeverity': 'Önem derecesine göre',
 
-    } catch (error) {
+        'ui.prevResult': 'Önceki bulgu',
 
-        logStep('MARGIN', `Margin validation failed: ${error.message}`);
+        'ui.nextResult': 'Sonraki bulgu',
 
-        addResult('warning', 'Kenar Boşlukları (Manuel Kontrol)',
+        'ui.emptyStart': 'Belgeyi taramak için yukarıdaki butona tıklayın',
 
-            'Otomatik kontrol başarısız. Lütfen manuel kontrol edin: Tümü 3 cm, ana bölüm başlangıçları 7 cm üst kenar.');
+        'ui.footerProfile': 'Kural profili:',
 
-    }
+        'ui.noFindings': '✅ Hiçbir hata bulunamadı.',
 
+        'ui.noFilterMatch': 'Filtreyle eşleşen bulgu yok.',
 
+        'ui.resolved': '✓ Çözüldü',
 
-    return marginErrors;
+        'ui.show': 'GÖSTER',
 
-}
+        'ui.showCaption': 'BAŞLIK',
 
+        'ui.fixed': '✓ Düzeltildi',
 
+        'ui.fix': 'DÜZELT',
 
-// ============================================
+        'ui.fixAll': 'Bu türün tümünü düzelt ({count})',
 
-// PARAGRAPH VALIDATION FUNCTIONS
+        'ui.severityCritical': '🔴 Kritik',
 
-// ============================================
+        'ui.severityFormat': '🟡 Format',
 
+        'ui.exportFormat': 'Rapor biçimi',
 
+        'ui.exportDownload': 'Raporu İndir',
 
-function validateMainHeading(paraData, index) {
+        'ui.exportDialog': 'Pencerede Aç',
 
-    const errors = [];
 
-    const { font, alignment, text, isListItem, listString } = paraData;
 
+        // Report export
 
+        'export.downloaded': '{filename} indirildi. İndirme başlamadıysa "Pencerede Aç" düğmesini kullanın.',
 
-    // === NEW: Başlık Numaralandırma (List String) Kontrolü ===
+        'export.dialogFailed': 'Rapor penceresi açılamadı: {message}',
 
-    // Ana başlıklar numaralandırılmalı: "1.", "2.", "3." formatında
+        'export.download': 'İndir',
 
-    // Not: GİRİŞ, SONUÇ, ÖZET gibi özel başlıklar numaralandırılmaz
+        'export.copy': 'Kopyala',
 
-    const trimmedText = (text || '').trim();
+        'report.title': 'Format Uygunluk Raporu',
 
-    const isSpecialHeading = /^(GİRİŞ|SONUÇ|SONUÇ VE ÖNERİLER|TARTIŞMA|KAYNAKÇA|KAYNAKLAR|ÖZET|ABSTRACT|SUMMARY|ÖN\s*SÖZ|İÇİNDEKİLER|KISALTMALAR|TABLOLAR|ŞEKİLLER|GRAFİKLER|SİMGELER|EKLER?)$/i.test(trimmedText);
+        'report.document': 'Belge',
 
+        'report.generatedAt': 'Rapor tarihi',
 
+        'report.scannedAt': 'Tarama tarihi',
 
-    if (!isSpecialHeading) {
+        'report.scope': 'Taranan kısım',
 
-        // Check if paragraph is a list item (has automatic numbering)
+        'report.profile': 'Kural profili',
 
-        if (!isListItem) {
+        'report.thesisLanguage': 'Tez dili',
 
-            errors.push({
+        'report.summary': 'Özet',
 
-                type: 'error',
+        'report.chapters': 'Bölümlere Göre Dağılım',
 
-                title: 'Ana Başlık: Numaralandırılmamış',
+        'report.findings': 'Bulgular',
 
-                description: 'Ana başlık otomatik numaralandırma listesi ile numaralandırılmalı (Örn: "1.", "2."). Word\'de Çok Düzeyli Liste kullanın.',
+        'report.colType': 'Tür',
 
-                paraIndex: index,
+        'report.colRule': 'Kural',
 
-                severity: 'CRITICAL'
+        'report.colFinding': 'Bulgu',
 
-            });
+        'report.colLocation': 'Konum',
 
-        } else {
+        'report.colChapter': 'Bölüm',
 
-            // Validate listString format: should be like "1.", "2.", "3." etc.
+        'report.type.error': 'Hata',
 
-            const mainHeadingPattern = /^\d+\.?$/;
+        'report.type.warning': 'Uyarı',
 
-            const cleanListString = (listString || '').trim();
+        'report.type.success': 'Başarılı',
 
+        'report.status.fixed': 'düzeltildi',
 
+        'report.status.resolved': 'çözüldü',
 
-            if (!cleanListString) {
+        'report.colSeverity': 'Önem',
 
-                errors.push({
+        'report.counts': 'Bulgular',
 
-                    type: 'error',
+        'report.countsValue': '{errors} hata, {warnings} uyarı',
 
-                    title: 'Ana Başlık: Numaralandırma Eksik',
+        'report.remaining': 'Kalan bulgular (bölümlere göre)',
 
-                    description: 'Ana başlık için otomatik numara (listString) alınamadı. Word\'de Çok Düzeyli Liste ile "1.", "2." formatında numaralandırın.',
+        'report.noRemaining': 'Açık bulgu kalmadı.',
 
-                    paraIndex: index,
+        'report.inserted': 'Rapor belgenin sonuna eklendi. Yeniden eklemek öncekinin yerini alır.',
 
-                    severity: 'CRITICAL'
+        'report.insertedNew': 'Rapor yeni bir belgede açıldı.',
 
-                });
+        'report.insertFailed': 'Rapor eklenemedi: {message}',
 
-            } else if (!mainHeadingPattern.test(cleanListString)) {
+        'report.insertUnsupported': 'Bu Word sürümü rapor eklemeyi desteklemiyor (WordApi 1.3 gerekli).',
 
-                errors.push({
+        'report.newDocumentUnsupported': 'Bu Word sürümü yeni belgeye yazmayı desteklemiyor. Raporu belgenin sonuna ekleyin.',
 
-                    type: 'warning',
+        'ui.reportEnd': 'Belge Sonuna Ekle',
 
-                    title: 'Ana Başlık: Numaralandırma Formatı',
+        'ui.reportNewDoc': 'Yeni Belgede Oluştur',
 
-                    description: `Ana başlık numarası "1.", "2." formatında olmalı. Mevcut: "${cleanListString}"`,
 
-                    paraIndex: index,
 
-                    severity: 'FORMAT'
+        // Saved scan
 
-                });
+        'lastScan.summary': 'Son tarama: {when} · {profile}',
 
-            }
+        'lastScan.checking': 'Belgede değişiklik olup olmadığı denetleniyor...',
 
-        }
+        'lastScan.current': 'Belge bu taramadan sonra değişmedi.',
 
-    }
+        'lastScan.stale': 'Belge bu taramadan sonra değişti; sonuçlar güncel olmayabilir.',
 
-    // === END NEW ===
+        'lastScan.profileChanged': 'Tarama şu an seçili olandan farklı bir kural profiliyle yapıldı.',
 
+        'lastScan.fixHint': 'Otomatik düzeltmeler için belgeyi yeniden tarayın.',
 
+        'lastScan.truncated': 'Belgede {total} bulgudan {saved} tanesi saklandı (önce kritik olanlar); tamamı için yeniden tarayın.',
 
-    // Font size: 14pt
+        'lastScan.saveFailed': 'Tarama sonuçları belgeye kaydedilemedi: {message}',
 
-    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_HEADING_MAIN) > 0.5) {
+        'ui.rescan': 'Yeniden Tara',
 
-        errors.push({
 
-            type: 'warning',
 
-            title: 'Ana Başlık: Punto Hatası',
+        // Scan history
 
-            description: `Ana başlık 14 punto olmalı. Mevcut: ${font.size} pt`,
+        'history.title': 'Tarama Geçmişi',
 
-            paraIndex: index,
+        'history.critical': 'Kritik',
 
-            severity: 'FORMAT'
+        'history.format': 'Format',
 
-        });
+        'history.point': '{date}: {critical} kritik, {format} format',
 
-    }
+        'history.needMore': 'Eğilim grafiği için en az iki tam belge taraması gerekir.',
 
+        'history.chapter': 'Bölüm',
 
+        'history.open': 'Açık',
 
-    // Bold
+        'history.change': 'Değişim',
 
-    if (font.bold !== true) {
+        'history.diff': 'Önceki taramadan bu yana: {added} yeni, {resolved} giderilmiş bulgu',
 
-        errors.push({
+        'history.added': 'Yeni bulgular ({count})',
 
-            type: 'warning',
+        'history.resolved': 'Giderilen bulgular ({count})',
 
-            title: 'Ana Başlık: Kalın Yazı',
 
-            description: 'Ana başlık kalın (bold) olmalı.',
 
-            paraIndex: index,
+        // Suppressions
 
-            severity: 'FORMAT'
+        'ui.suppress': 'Yoksay',
 
-        });
+        'suppress.reasonPlaceholder': 'Gerekçe (ör. bilinçli olarak girintili şiir)',
 
-    }
+        'suppress.userPlaceholder': 'Adınız',
 
+        'suppress.save': 'Kaydet',
 
+        'suppress.cancel': 'Vazgeç',
 
-    // Centered
+        'suppress.panelTitle': 'Yoksayılan bulgular ({count})',
 
-    if (!isCentered(alignment)) {
+        'suppress.reason': 'Gerekçe: {reason}',
 
-        errors.push({
+        'suppress.by': '{user} · {date}',
 
-            type: 'warning',
+        'suppress.unknownUser': 'Bilinmeyen kullanıcı',
 
-            title: 'Ana Başlık: Hizalama',
+        'suppress.revoke': 'Geri Al',
 
-            description: 'Ana başlık ortalanmış olmalı.',
+        'suppress.revokeHint': 'Geri alınan bulgular bir sonraki taramada yeniden raporlanır.',
 
-            paraIndex: index,
 
-            severity: 'FORMAT'
 
-        });
+        // Fix preview and sessions
 
-    }
+        'fix.path.font.name': 'Yazı tipi',
 
+        'fix.path.font.size': 'Punto',
 
+        'fix.path.font.bold': 'Kalın',
 
-    // Font name
+        'fix.path.font.italic': 'İtalik',
 
-    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+        'fix.path.alignment': 'Hizalama',
 
-        errors.push({
+        'fix.path.firstLineIndent': 'İlk satır girintisi',
 
-            type: 'error',
+        'fix.path.leftIndent': 'Sol girinti',
 
-            title: 'Ana Başlık: Yazı Tipi',
+        'fix.path.rightIndent': 'Sağ girinti',
 
-            description: `${EBYÜ_RULES.FONT_NAME} olmalı. Mevcut: ${font.name}`,
+        'fix.path.lineSpacing': 'Satır aralığı',
 
-            paraIndex: index,
+        'fix.path.spaceBefore': 'Paragraf öncesi',
 
-            severity: 'CRITICAL'
+        'fix.path.spaceAfter': 'Paragraf sonrası',
 
-        });
+        'fix.mixed': 'karışık',
 
-    }
+        'fix.yes': 'Evet',
 
+        'fix.no': 'Hayır',
 
+        'fix.previewTitle': 'Düzeltme Önizlemesi ({count} değişiklik)',
 
-    return errors;
+        'fix.colParagraph': 'Par.',
 
-}
+        'fix.colProperty': 'Özellik',
 
+        'fix.colBefore': 'Önce',
 
+        'fix.colAfter': 'Sonra',
 
-function validateSubHeading(paraData, index) {
+        'fix.apply': 'UYGULA',
 
-    const errors = [];
+        'fix.cancel': 'İptal',
 
-    const { font, alignment, text, isListItem, listString } = paraData;
+        'fix.revert': 'Bu oturumu geri al',
 
+        'fix.reverted': 'Geri alındı',
 
+        'fix.revertedSkipped': 'Geri alındı ({count} değişiklik bulunamadı)',
 
-    // === NEW: Alt Başlık Numaralandırma (List String) Kontrolü ===
+        'fix.session': 'Oturum {id} · {time} · {count} değişiklik',
 
-    // Alt başlıklar hiyerarşik numaralandırılmalı: "1.1.", "1.1.2.", "2.3.1." formatında
+        'fix.sessionsTitle': 'Düzeltme Oturumları',
 
-    // Check if paragraph is a list item (has automatic numbering)
 
-    if (!isListItem) {
 
-        errors.push({
+        // Progress
 
-            type: 'error',
+        'progress.start': 'Tarama başlatılıyor...',
 
-            title: 'Alt Başlık: Numaralandırılmamış',
+        'progress.clear': 'Önceki işaretler temizleniyor...',
 
-            description: 'Alt başlık otomatik numaralandırma listesi ile numaralandırılmalı (Örn: "1.1.", "2.3.1."). Word\'de Çok Düzeyli Liste kullanın.',
+        'progress.load': 'Belge yapısı yükleniyor...',
 
-            paraIndex: index,
+        'progress.margins': 'Kenar boşlukları kontrol ediliyor...',
 
-            severity: 'CRITICAL'
+        'progress.prepare': 'Paragraf verileri hazırlanıyor...',
 
-        });
+        'progress.analyze': 'Paragraflar analiz ediliyor...',
 
-    } else {
+        'progress.paragraph': 'Paragraf {n} / {total}',
 
-        // Validate listString format: should be hierarchical like "1.1.", "1.2.", "1.1.1.", "2.3.1."
+        'progress.tables': 'Tablolar kontrol ediliyor...',
 
-        // Pattern: at least two numbers separated by periods, optionally ending with period
+        'progress.images': 'Resimler kontrol ediliyor...',
 
-        const subHeadingPattern = /^\d+\.\d+(\.\d+)*\.?$/;
+        'progress.captions': 'Başlık numaraları kontrol ediliyor...',
 
-        const cleanListString = (listString || '').trim();
+        'progress.pageNumbers': 'Sayfa numaraları kontrol ediliyor...',
 
+        'progress.abstract': 'Özet/Abstract kontrol ediliyor...',
 
+        'progress.variant': 'Tez türü kuralları kontrol ediliyor...',
 
-        if (!cleanListString) {
+        'progress.highlights': 'İşaretler uygulanıyor...',
 
-            errors.push({
+        'progress.summary': 'Özet hazırlanıyor...',
 
-                type: 'error',
+        'progress.done': 'Tarama tamamlandı!',
 
-                title: 'Alt Başlık: Numaralandırma Eksik',
 
-                description: 'Alt başlık için otomatik numara (listString) alınamadı. Word\'de Çok Düzeyli Liste ile "1.1.", "1.2." formatında numaralandırın.',
 
-                paraIndex: index,
+        // Rule profiles
 
-                severity: 'CRITICAL'
+        'profile.active': '"{name}" profili etkin. Yeniden tarayın.',
 
-            });
+        'profile.documentFailed': 'Belgedeki profil yüklenemedi: {message}',
 
-        } else if (!subHeadingPattern.test(cleanListString)) {
+        'profile.fileFailed': 'Profil dosyası okunamadı: {message}',
 
-            errors.push({
+        'profile.urlFailed': 'Profil adresten yüklenemedi: {message}',
 
-                type: 'warning',
+        'profile.error.notObject': 'Profil bir JSON nesnesi olmalı.',
 
-                title: 'Alt Başlık: Numaralandırma Formatı',
+        'profile.error.idName': 'Profilde "id" ve "name" alanları zorunlu.',
 
-                description: `Alt başlık numarası "1.1.", "1.2.", "1.1.1." formatında olmalı. Mevcut: "${cleanListString}"`,
+        'profile.error.unknownRule': 'Bilinmeyen kural: {key}',
 
-                paraIndex: index,
+        'profile.error.ruleType': '{key} için {type} değer bekleniyor.',
 
-                severity: 'FORMAT'
+        'profile.error.unknownPattern': 'Bilinmeyen desen: {key}',
 
-            });
+        'profile.error.patternList': '{key} için desen listesi bekleniyor.',
 
-        }
+        'profile.error.patternSingle': '{key} için tek desen bekleniyor.',
 
-    }
+        'profile.error.patternInvalid': '{key} deseni geçersiz: {message}',
 
-    // === END NEW ===
+        'profile.error.variantFields': '{key} türü için "label" ve "cover" zorunlu.',
 
+        'profile.error.variantRule': '{key}: bilinmeyen kural {rule}',
 
+        'profile.error.variantPatterns': 'Tez türü desenleri geçersiz: {message}',
 
-    // Font size: 12pt
 
-    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_HEADING_SUB) > 0.5) {
 
-        errors.push({
+        // Locations
 
-            type: 'warning',
+        'location.document': 'Belge Geneli',
 
-            title: 'Alt Başlık: Punto Hatası',
+        'location.paragraph': 'Paragraf {n}',
 
-            description: `Alt başlık 12 punto olmalı. Mevcut: ${font.size} pt`,
+        'location.section': 'Bölüm {n}',
 
-            paraIndex: index,
+        'location.table': 'Tablo {n}',
 
-            severity: 'FORMAT'
+        'location.picture': 'Resim {n}',
 
-        });
+        'table.cells': '{count} hücre (satır, sütun): {list}',
 
-    }
+        'location.cover': 'Kapak Sayfası',
 
+        'location.ozet': 'Özet Sayfası',
 
+        'location.abstract': 'Abstract Sayfası',
 
-    // Bold
+        'location.selection': 'Seçim: Paragraf {start}–{end}',
 
-    if (font.bold !== true) {
+        'location.chapter': 'Bölüm: Paragraf {start}–{end}',
 
-        errors.push({
 
-            type: 'warning',
 
-            title: 'Alt Başlık: Kalın Yazı',
+        // Shared fragments
 
-            description: 'Alt başlık kalın (bold) olmalı.',
+        'language.tr': 'Türkçe',
 
-            paraIndex: index,
+        'language.en': 'İngilizce',
 
-            severity: 'FORMAT'
+        'source.manual': 'panelden seçildi',
 
-        });
+        'source.cover': 'kapaktan tespit edildi',
 
-    }
+        'source.text': 'metinden tespit edildi',
 
+        'variant.degreeField': 'Tez Türü',
 
+        'variant.instituteField': 'Enstitü',
 
-    // Font name
+        'variant.degreeTheses': '{degree} tezlerinde',
 
-    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+        'variant.thisThesis': 'Bu tezde',
 
-        errors.push({
+        'variant.pagesEstimated': ' (kelime sayısından tahmini)',
 
-            type: 'error',
 
-            title: 'Alt Başlık: Yazı Tipi',
 
-            description: `${EBYÜ_RULES.FONT_NAME} olmalı. Mevcut: ${font.name}`,
+        // Margins
 
-            paraIndex: index,
+        'MARGIN_TOP.title': 'Bölüm {section}: Üst Kenar Boşluğu',
 
-            severity: 'CRITICAL'
+        'MARGIN_TOP.desc': 'Üst kenar {expected} cm olmalı. Mevcut: {actual} cm',
 
-        });
+        'MARGIN_BOTTOM.title': 'Bölüm {section}: Alt Kenar Boşluğu',
 
-    }
+        'MARGIN_BOTTOM.desc': 'Alt kenar {expected} cm olmalı. Mevcut: {actual} cm',
 
+        'MARGIN_LEFT.title': 'Bölüm {section}: Sol Kenar Boşluğu',
 
+        'MARGIN_LEFT.desc': 'Sol kenar {expected} cm olmalı. Mevcut: {actual} cm',
 
-    return errors;
+        'MARGIN_RIGHT.title': 'Bölüm {section}: Sağ Kenar Boşluğu',
 
-}
+        'MARGIN_RIGHT.desc': 'Sağ kenar {expected} cm olmalı. Mevcut: {actual} cm',
 
+        'MARGIN_MANUAL.title': 'Kenar Boşlukları (Manuel Kontrol)',
 
+        'MARGIN_MANUAL.desc': 'Otomatik kontrol başarısız. Lütfen manuel kontrol edin: Tümü {margin} cm, ana bölüm başlangıçları {special} cm üst kenar.',
 
-function validateBodyText(paraData, index) {
 
-    const errors = [];
 
-    const { font, firstLineIndent, lineSpacing, spaceBefore, spaceAfter, text } = paraData;
+        // Main headings
 
+        'MAIN_HEADING_NOT_NUMBERED.title': 'Ana Başlık: Numaralandırılmamış',
 
+        'MAIN_HEADING_NOT_NUMBERED.desc': 'Ana başlık otomatik numaralandırma listesi ile numaralandırılmalı (Örn: "1.", "2."). Word\'de Çok Düzeyli Liste kullanın.',
 
-    // Skip short paragraphs
+        'MAIN_HEADING_NUMBER_MISSING.title': 'Ana Başlık: Numaralandırma Eksik',
 
-    if ((text || '').trim().length < EBYÜ_RULES.MIN_BODY_TEXT_LENGTH) {
+        'MAIN_HEADING_NUMBER_MISSING.desc': 'Ana başlık için otomatik numara (listString) alınamadı. Word\'de Çok Düzeyli Liste ile "1.", "2." formatında numaralandırın.',
 
-        return errors;
+        'MAIN_HEADING_NUMBER_FORMAT.title': 'Ana Başlık: Numaralandırma Formatı',
 
-    }
+        'MAIN_HEADING_NUMBER_FORMAT.desc': 'Ana başlık numarası "1.", "2." formatında olmalı. Mevcut: "{actual}"',
 
+        'MAIN_HEADING_FONT_SIZE.title': 'Ana Başlık: Punto Hatası',
 
+        'MAIN_HEADING_FONT_SIZE.desc': 'Ana başlık {expected} punto olmalı. Mevcut: {actual} pt',
 
-    // === DEBUG: Log paragraph spacing values ===
+        'MAIN_HEADING_BOLD.title': 'Ana Başlık: Kalın Yazı',
 
-    logStep('BODY_TEXT_DEBUG', `Paragraf ${index + 1}: lineSpacing=${lineSpacing}, spaceBefore=${spaceBefore}, spaceAfter=${spaceAfter}, firstLineIndent=${firstLineIndent}, leftIndent=${paraData.leftIndent}, text="${(text || '').substring(0, 50)}..."`);
+        'MAIN_HEADING_BOLD.desc': 'Ana başlık kalın (bold) olmalı.',
 
-    // === END DEBUG ===
+        'MAIN_HEADING_ALIGNMENT.title': 'Ana Başlık: Hizalama',
 
+        'MAIN_HEADING_ALIGNMENT.desc': 'Ana başlık ortalanmış olmalı.',
 
+        'MAIN_HEADING_FONT_NAME.title': 'Ana Başlık: Yazı Tipi',
 
-    // === NEW: Manuel Tab/Boşluk Kontrolü ===
+        'MAIN_HEADING_FONT_NAME.desc': '{expected} olmalı. Mevcut: {actual}',
 
-    // Check if text starts with Tab character or multiple spaces (manual indentation)
+        'MAIN_HEADING_CASE.title': 'Ana Başlık: Büyük Harf',
 
-    if (text) {
+        'MAIN_HEADING_CASE.desc': 'Ana başlık tamamen büyük harfle yazılmalı. Önerilen: "{suggested}"',
 
-        // Check for Tab character at the beginning
+        'MAIN_HEADING_TURKISH_I.title': 'Ana Başlık: Türkçe İ/I',
 
-        if (text.startsWith('\t')) {
+        'MAIN_HEADING_TURKISH_I.desc': 'Büyük harfe çevirmede Türkçe İ/I kuralı bozulmuş ({words}). Önerilen: "{suggested}"',
 
-            errors.push({
+        'MAIN_HEADING_CAPS_EFFECT.title': 'Ana Başlık: Büyük Harf Efekti',
 
-                type: 'warning',
+        'MAIN_HEADING_CAPS_EFFECT.desc': 'Başlık yalnızca "Tümü Büyük Harf" yazı tipi efektiyle büyük görünüyor; metin "{actual}" olarak yazılmış. İçindekiler ve dışa aktarımlarda küçük harf görünebilir. Efekti kaldırıp "{suggested}" olarak yazın.',
 
-                title: 'UYARI: Manuel Tab Kullanmayın',
 
-                description: 'Girintiyi "Tab" tuşuyla değil, Cetvel veya Paragraf ayarlarından 1.25 cm olarak ayarlayın.',
 
-                paraIndex: index,
+        // Sub-headings
 
-                severity: 'FORMAT'
+        'SUB_HEADING_NOT_NUMBERED.title': 'Alt Başlık: Numaralandırılmamış',
 
-            });
+        'SUB_HEADING_NOT_NUMBERED.desc': 'Alt başlık otomatik numaralandırma listesi ile numaralandırılmalı (Örn: "1.1.", "2.3.1."). Word\'de Çok Düzeyli Liste kullanın.',
 
-        }
+        'SUB_HEADING_NUMBER_MISSING.title': 'Alt Başlık: Numaralandırma Eksik',
 
-        // Check for multiple spaces at the beginning (2 or more spaces)
+        'SUB_HEADING_NUMBER_MISSING.desc': 'Alt başlık için otomatik numara (listString) alınamadı. Word\'de Çok Düzeyli Liste ile "1.1.", "1.2." formatında numaralandırın.',
 
-        else if (/^\s{2,}/.test(text) && !text.startsWith('\t')) {
+        'SUB_HEADING_NUMBER_FORMAT.title': 'Alt Başlık: Numaralandırma Formatı',
 
-            errors.push({
+        'SUB_HEADING_NUMBER_FORMAT.desc': 'Alt başlık numarası "1.1.", "1.2.", "1.1.1." formatında olmalı. Mevcut: "{actual}"',
 
-                type: 'warning',
+        'SUB_HEADING_FONT_SIZE.title': 'Alt Başlık: Punto Hatası',
 
-                title: 'UYARI: Manuel Boşluk Kullanmayın',
+        'SUB_HEADING_FONT_SIZE.desc': 'Alt başlık {expected} punto olmalı. Mevcut: {actual} pt',
 
-                description: 'Girintiyi boşluk tuşuyla değil, Cetvel veya Paragraf ayarlarından 1.25 cm olarak ayarlayın.',
+        'SUB_HEADING_BOLD.title': 'Alt Başlık: Kalın Yazı',
 
-                paraIndex: index,
+        'SUB_HEADING_BOLD.desc': 'Alt başlık kalın (bold) olmalı.',
 
-                severity: 'FORMAT'
+        'SUB_HEADING_FONT_NAME.title': 'Alt Başlık: Yazı Tipi',
 
-            });
+        'SUB_HEADING_FONT_NAME.desc': '{expected} olmalı. Mevcut: {actual}',
 
-        }
+        'SUB_HEADING_INDENT.title': 'Alt Başlık: Girinti',
 
-    }
+        'SUB_HEADING_INDENT.desc': '{level}. düzey başlık {expected} cm girintiden başlamalı. Mevcut: {actual} cm',
 
-    // === END NEW ===
+        'SUB_HEADING_ALIGNMENT.title': 'Alt Başlık: Hizalama',
 
+        'SUB_HEADING_ALIGNMENT.desc': 'Alt başlık sola veya iki yana yaslı olmalı. Mevcut: {actual}',
 
+        'SUB_HEADING_LINE_SPACING.title': 'Alt Başlık: Satır Aralığı',
 
-    // Font name
+        'SUB_HEADING_LINE_SPACING.desc': '1.5 satır aralığı ({min}-{max} pt) olmalı. Mevcut: {actual} pt',
 
-    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+        'SUB_HEADING_SPACE_BEFORE.title': 'Alt Başlık: Paragraf Öncesi',
 
-        errors.push({
+        'SUB_HEADING_SPACE_BEFORE.desc': '{level}. düzey başlıkta {expected} nk olmalı. Mevcut: {actual} nk',
 
-            type: 'error',
+        'SUB_HEADING_SPACE_AFTER.title': 'Alt Başlık: Paragraf Sonrası',
 
-            title: 'Metin: Yazı Tipi',
+        'SUB_HEADING_SPACE_AFTER.desc': '{level}. düzey başlıkta {expected} nk olmalı. Mevcut: {actual} nk',
 
-            description: `${EBYÜ_RULES.FONT_NAME} olmalı. Mevcut: ${font.name}`,
 
-            paraIndex: index,
 
-            severity: 'CRITICAL'
+        // Body text
 
-        });
+        'BODY_MANUAL_TAB.title': 'UYARI: Manuel Tab Kullanmayın',
 
-    }
+        'BODY_MANUAL_TAB.desc': 'Girintiyi "Tab" tuşuyla değil, Cetvel veya Paragraf ayarlarından {indent} cm olarak ayarlayın.',
 
+        'BODY_MANUAL_SPACES.title': 'UYARI: Manuel Boşluk Kullanmayın',
 
+        'BODY_MANUAL_SPACES.desc': 'Girintiyi boşluk tuşuyla değil, Cetvel veya Paragraf ayarlarından {indent} cm olarak ayarlayın.',
 
-    // Font size: 12pt
+        'BODY_FONT_NAME.title': 'Metin: Yazı Tipi',
 
-    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_BODY) > 0.5) {
+        'BODY_FONT_NAME.desc': '{expected} olmalı. Mevcut: {actual}',
 
-        errors.push({
+        'BODY_FONT_SIZE.title': 'Metin: Punto Hatası',
 
-            type: 'warning',
+        'BODY_FONT_SIZE.desc': 'Metin {expected} punto olmalı. Mevcut: {actual} pt',
 
-            title: 'Metin: Punto Hatası',
+        'BODY_FIRST_LINE_INDENT.title': 'Metin: İlk Satır Girintisi',
 
-            description: `Metin 12 punto olmalı. Mevcut: ${font.size} pt`,
+        'BODY_FIRST_LINE_INDENT.desc': '{expected} cm olmalı. Mevcut: {actual} cm',
 
-            paraIndex: index,
+        'BODY_LINE_SPACING.title': 'Metin: Satır Aralığı',
 
-            severity: 'FORMAT'
+        'BODY_LINE_SPACING.desc': '1.5 satır aralığı ({min}-{max} pt) olmalı. Mevcut: {actual} pt',
 
-        });
+        'BODY_SPACE_BEFORE.title': 'Metin: Paragraf Öncesi',
 
-    }
+        'BODY_SPACE_BEFORE.desc': '{expected} nk olmalı. Mevcut: {actual} nk',
 
+        'BODY_SPACE_AFTER.title': 'Metin: Paragraf Sonrası',
 
+        'BODY_SPACE_AFTER.desc': '{expected} nk olmalı. Mevcut: {actual} nk',
 
-    // First line indent: 1.25cm (35.4pt)
+        'BODY_BLOCK_INDENT.title': 'Metin: Blok Girinti Tespit Edildi',
 
-    if (firstLineIndent !== undefined && Math.abs(firstLineIndent - EBYÜ_RULES.FIRST_LINE_INDENT_POINTS) > EBYÜ_RULES.INDENT_TOLERANCE) {
+        'BODY_BLOCK_INDENT.desc': 'Bu paragrafta {actual} cm sol girinti var. Blok alıntı ise {size}pt/italik olmalı, aksi halde girintiyi kaldırın.',
 
-        errors.push({
 
-            type: 'warning',
 
-            title: 'Metin: İlk Satır Girintisi',
+        // Ghost headings
 
-            description: `1.25 cm olmalı. Mevcut: ${(firstLineIndent / 28.35).toFixed(2)} cm`,
+        'GHOST_HEADING_OUTLINE.title': 'BOŞ BAŞLIK (Ghost Heading) - KRİTİK!',
 
-            paraIndex: index,
+        'GHOST_HEADING_OUTLINE.desc': 'Bu boş satıra taslak düzeyi {level} olarak ayarlanmış. İçindekiler tablosunda hatalı boş satır oluşturur! Satırı silin veya "Normal" stiline dönüştürün.',
 
-            severity: 'FORMAT'
+        'GHOST_HEADING_STYLE.title': 'BOŞ BAŞLIK (Ghost Heading) - KRİTİK!',
 
-        });
+        'GHOST_HEADING_STYLE.desc': 'Bu boş satıra "{style}" başlık stili uygulanmış. İçindekiler tablosunda hatalı boş satır oluşturur! Satırı silin veya "Normal" stiline dönüştürün.',
 
-    }
+        'GHOST_HEADING_SUMMARY.title': '{count} Boş Başlık (Ghost Heading) Bulundu',
 
+        'GHOST_HEADING_SUMMARY.desc': 'Bu boş başlıklar İçindekiler tablosunda hatalı satırlara neden olur. Kırmızı ile işaretlendi.',
 
 
-    // Line spacing: 1.5 (15-22pt range)
 
-    if (lineSpacing !== undefined && lineSpacing !== null && (lineSpacing < EBYÜ_RULES.LINE_SPACING_1_5_MIN || lineSpacing > EBYÜ_RULES.LINE_SPACING_1_5_MAX)) {
+        // Bibliography
 
-        errors.push({
+        'BIBLIOGRAPHY_FONT_NAME.title': 'Kaynakça: Yazı Tipi',
 
-            type: 'warning',
+        'BIBLIOGRAPHY_FONT_NAME.desc': '{expected} olmalı.',
 
-            title: 'Metin: Satır Aralığı',
+        'BIBLIOGRAPHY_FONT_SIZE.title': 'Kaynakça: Punto',
 
-            description: `1.5 satır aralığı (15-22 pt) olmalı. Mevcut: ${lineSpacing.toFixed(1)} pt`,
+        'BIBLIOGRAPHY_FONT_SIZE.desc': '{expected} punto olmalı. Mevcut: {actual} pt',
 
-            paraIndex: index,
+        'BIBLIOGRAPHY_HANGING_INDENT.title': 'Kaynakça: Asılı Girinti',
 
-            severity: 'FORMAT'
+        'BIBLIOGRAPHY_HANGING_INDENT.desc': '{expected} cm asılı girinti olmalı.',
 
-        });
+        'BIBLIOGRAPHY_LINE_SPACING.title': 'Kaynakça: Satır Aralığı',
 
-    }
+        'BIBLIOGRAPHY_LINE_SPACING.desc': 'Tek satır olmalı. Mevcut: {actual} pt',
 
+        'BIBLIOGRAPHY_SPACE_BEFORE.title': 'Kaynakça: Paragraf Öncesi',
 
+        'BIBLIOGRAPHY_SPACE_BEFORE.desc': '{expected} nk olmalı. Mevcut: {actual} nk',
 
-    // Paragraph spacing: 6pt before and after
 
-    if (spaceBefore !== undefined && spaceBefore !== null && Math.abs(spaceBefore - EBYÜ_RULES.SPACING_6NK) > EBYÜ_RULES.SPACING_TOLERANCE) {
 
-        errors.push({
+        // Block quotes
 
-            type: 'warning',
+        'BLOCK_QUOTE_FONT_SIZE.title': 'Blok Alıntı: Punto',
 
-            title: 'Metin: Paragraf Öncesi',
+        'BLOCK_QUOTE_FONT_SIZE.desc': '{expected} punto olmalı. Mevcut: {actual} pt',
 
-            description: `6 nk olmalı. Mevcut: ${spaceBefore.toFixed(1)} nk`,
+        'BLOCK_QUOTE_ITALIC.title': 'Blok Alıntı: İtalik',
 
-            paraIndex: index,
+        'BLOCK_QUOTE_ITALIC.desc': 'Blok alıntı italik olmalı.',
 
-            severity: 'FORMAT'
+        'BLOCK_QUOTE_LEFT_INDENT.title': 'Blok Alıntı: Sol Girinti',
 
-        });
+        'BLOCK_QUOTE_LEFT_INDENT.desc': '{expected} cm olmalı. Mevcut: {actual} cm',
 
-    }
+        'BLOCK_QUOTE_RIGHT_INDENT.title': 'Blok Alıntı: Sağ Girinti',
 
+        'BLOCK_QUOTE_RIGHT_INDENT.desc': '{expected} cm olmalı. Mevcut: {actual} cm',
 
 
-    if (spaceAfter !== undefined && spaceAfter !== null && Math.abs(spaceAfter - EBYÜ_RULES.SPACING_6NK) > EBYÜ_RULES.SPACING_TOLERANCE) {
 
-        errors.push({
+        // Captions
 
-            type: 'warning',
+        'CAPTION_FONT_SIZE.title': 'Başlık: Punto',
 
-            title: 'Metin: Paragraf Sonrası',
+        'CAPTION_FONT_SIZE.desc': 'Tablo/Şekil başlığı {expected} punto olmalı. Mevcut: {actual} pt',
 
-            description: `6 nk olmalı. Mevcut: ${spaceAfter.toFixed(1)} nk`,
+        'CAPTION_ALIGNMENT.title': 'Başlık: Hizalama',
 
-            paraIndex: index,
+        'CAPTION_ALIGNMENT.desc': 'Tablo/Şekil başlığı ortalanmış olmalı.',
 
-            severity: 'FORMAT'
+        'CAPTION_SPACE_BEFORE.title': 'Tablo/Şekil Başlığı: Paragraf Öncesi',
 
-        });
+        'CAPTION_SPACE_BEFORE.desc': 'Şekil/Tablo başlıklarında {expected} nk olmalı. Mevcut: {actual} nk',
 
-    }
+        'CAPTION_SPACE_AFTER.title': 'Tablo/Şekil Başlığı: Paragraf Sonrası',
 
+        'CAPTION_SPACE_AFTER.desc': 'Şekil/Tablo başlıklarında {expected} nk olmalı. Mevcut: {actual} nk',
 
 
-    // === NEW: Block indent (Sol Girinti) detection ===
 
-    // If the paragraph has significant left indent (not first line indent), it might be improperly formatted
+        // Cover page
 
-    const leftIndent = paraData.leftIndent;
+        'COVER_FONT_SIZE.title': 'KAPAK: Punto Hatası',
 
-    if (leftIndent !== undefined && leftIndent !== null && leftIndent >= EBYÜ_RULES.BLOCK_QUOTE_MIN_INDENT) {
+        'COVER_FONT_SIZE.desc': 'Kapak başlıkları {expected} punto olmalı. Mevcut: {actual} pt',
 
-        // This looks like a block quote or indented section - check if it's properly styled
+        'COVER_ALIGNMENT.title': 'KAPAK: Hizalama',
 
-        errors.push({
+        'COVER_ALIGNMENT.desc': 'Kapak öğeleri ortalanmış olmalı.',
 
-            type: 'warning',
+        'COVER_SPACE_BEFORE.title': 'KAPAK: Paragraf Öncesi Boşluk',
 
-            title: 'Metin: Blok Girinti Tespit Edildi',
+        'COVER_SPACE_BEFORE.desc': 'Kapakta {expected} nk olmalı. Mevcut: {actual} nk',
 
-            description: `Bu paragrafta ${(leftIndent / 28.35).toFixed(2)} cm sol girinti var. Blok alıntı ise 11pt/italik olmalı, aksi halde girintiyi kaldırın.`,
+        'COVER_SPACE_AFTER.title': 'KAPAK: Paragraf Sonrası Boşluk',
 
-            paraIndex: index,
+        'COVER_SPACE_AFTER.desc': 'Kapakta {expected} nk olmalı. Mevcut: {actual} nk',
 
-            severity: 'FORMAT'
+        'COVER_FONT_NAME.title': 'KAPAK: Yazı Tipi',
 
-        });
+        'COVER_FONT_NAME.desc': '{expected} olmalı. Mevcut: {actual}',
 
-    }
+        'COVER_VARIANT_MISSING.title': 'KAPAK: {field} Satırı Eksik',
 
-    // === END NEW ===
+        'COVER_VARIANT_MISSING.desc': 'Kapakta "{expected}" ifadesi bulunamadı.',
 
+        'COVER_VARIANT_MISMATCH.title': 'KAPAK: {field} İfadesi',
 
+        'COVER_VARIANT_MISMATCH.desc': 'Seçilen tür "{expected}", kapakta ise "{actual}" yazıyor.',
 
-    return errors;
 
-}
 
+        // Tables, images, page numbers
 
+        'TABLE_ALIGNMENT.title': 'Tablo {table}: Hizalama Hatası',
 
-function validateGhostHeading(paraData, index) {
+        'TABLE_ALIGNMENT.desc': 'Tablolar ortalanmış olmalı. Mevcut: {actual}',
 
-    const { style, outlineLevel } = paraData;
+        'TABLE_CELL_FONT_NAME.title': 'Tablo Hücresi: Yazı Tipi',
 
+        'TABLE_CELL_FONT_NAME.desc': '{expected} olmalı. Mevcut: {actual}. {cells}',
 
+        'TABLE_CELL_FONT_SIZE.title': 'Tablo Hücresi: Punto',
 
-    let reason = '';
+        'TABLE_CELL_FONT_SIZE.desc': 'Tablo içeriği {expected} punto olmalı. Mevcut: {actual} pt. {cells}',
 
-    if (typeof outlineLevel === 'number' && outlineLevel >= 0 && outlineLevel <= 8) {
+        'TABLE_CELL_LINE_SPACING.title': 'Tablo Hücresi: Satır Aralığı',
 
-        reason = `Taslak düzeyi ${outlineLevel + 1} olarak ayarlanmış`;
+        'TABLE_CELL_LINE_SPACING.desc': 'Tablolarda tek satır aralığı ({min}-{max} pt) olmalı. Mevcut: {actual} pt. {cells}',
 
-    } else if (isHeadingStyle(style)) {
+        'TABLE_CELL_FIRST_LINE_INDENT.title': 'Tablo Hücresi: İlk Satır Girintisi',
 
-        reason = `"${style}" başlık stili uygulanmış`;
+        'TABLE_CELL_FIRST_LINE_INDENT.desc': 'Tablo hücrelerinde ilk satır girintisi olmamalı. Mevcut: {actual} cm. {cells}',
 
-    }
+        'TABLE_CELL_SPACE_BEFORE.title': 'Tablo Hücresi: Paragraf Öncesi',
 
+        'TABLE_CELL_SPACE_BEFORE.desc': 'En fazla {max} nk olmalı. Mevcut: {actual} nk. {cells}',
 
+        'TABLE_CELL_SPACE_AFTER.title': 'Tablo Hücresi: Paragraf Sonrası',
 
-    return [{
+        'TABLE_CELL_SPACE_AFTER.desc': 'En fazla {max} nk olmalı. Mevcut: {actual} nk. {cells}',
 
-        type: 'error',
+        'CAPTION_CHAPTER_PREFIX.title': 'Başlık Numarası: Bölüm Numarası',
 
-        title: 'BOŞ BAŞLIK (Ghost Heading) - KRİTİK!',
+        'CAPTION_CHAPTER_PREFIX.desc': '"{caption}" {chapter}. bölümde yer alıyor; numarası "{expected}" olmalı.',
 
-        description: `Bu boş satıra ${reason}. İçindekiler tablosunda hatalı boş satır oluşturur! Satırı silin veya "Normal" stiline dönüştürün.`,
+        'CAPTION_NUMBER_DUPLICATE.title': 'Başlık Numarası: Tekrar',
 
-        paraIndex: index,
+        'CAPTION_NUMBER_DUPLICATE.desc': '"{caption}" numarası bu bölümde daha önce kullanılmış; bu başlığın numarası "{expected}" olmalı.',
 
-        severity: 'CRITICAL'
+        'CAPTION_NUMBER_SEQUENCE.title': 'Başlık Numarası: Sıra',
 
-    }];
+        'CAPTION_NUMBER_SEQUENCE.desc': '"{caption}" sıra dışı (her bölümde 1\'den başlayıp atlamadan ilerlemeli); numarası "{expected}" olmalı.',
 
-}
+        'FIGURE_CAPTION_MISSING.title': 'Şekil: Başlık Yok',
 
+        'FIGURE_CAPTION_MISSING.desc': 'Resim {picture} altında "Şekil X.Y." (ya da Grafik, Resim, Harita) biçiminde bir başlık bulunamadı.',
 
+        'FIGURE_CAPTION_ABOVE.title': 'Şekil: Başlık Üstte',
 
-function validateBibliography(paraData, index) {
+        'FIGURE_CAPTION_ABOVE.desc': '"{caption}" başlığı Resim {picture} üstünde; şekil başlığı şeklin altında olmalı.',
 
-    const errors = [];
+        'FIGURE_CAPTION_GAP.title': 'Şekil: Şekil ile Başlık Arasında Boşluk',
 
-    const { font, leftIndent, firstLineIndent, lineSpacing, spaceBefore, spaceAfter } = paraData;
+        'FIGURE_CAPTION_GAP.desc': 'Resim {picture} ile "{caption}" başlığı arasında {count} boş paragraf var; başlık şeklin hemen altında olmalı.',
 
+        'FIGURE_CAPTION_ORPHAN.title': 'Şekil: Başlığın Şekli Yok',
 
+        'FIGURE_CAPTION_ORPHAN.desc': '"{caption}" başlığının üstünde bir şekil bulunamadı.',
 
-    // Font name
+        'LAYOUT_TABLE.title': 'Tablo: Düzen Amaçlı Tablo',
 
-    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+        'LAYOUT_TABLE.desc': 'Tablo {table} veri yerine sayfa düzeni için kullanılmış görünüyor ({reason}). Metni yan yana dizmek için Düzen > Sütunlar kullanın.',
 
-        errors.push({
+        'layout.borderless': 'kenarlıksız',
 
-            type: 'error',
+        'layout.singleRow': 'tek satırda uzun metin',
 
-            title: 'Kaynakça: Yazı Tipi',
+        'layout.singleColumn': 'tek sütunda uzun metin',
 
-            description: `${EBYÜ_RULES.FONT_NAME} olmalı.`,
+        'TABLE_CAPTION_MISSING.title': 'Tablo: Başlık Yok',
 
-            paraIndex: index,
+        'TABLE_CAPTION_MISSING.desc': 'Tablo {table} için üstünde "Tablo X.Y." biçiminde bir başlık bulunamadı.',
 
-            severity: 'CRITICAL'
+        'TABLE_CAPTION_BELOW.title': 'Tablo: Başlık Altta',
 
-        });
+        'TABLE_CAPTION_BELOW.desc': '"{caption}" başlığı Tablo {table} altında; tablo başlığı tablonun üstünde olmalı.',
 
-    }
+        'TABLE_CAPTION_GAP.title': 'Tablo: Başlık ile Tablo Arasında Boşluk',
 
+        'TABLE_CAPTION_GAP.desc': '"{caption}" başlığı ile Tablo {table} arasında {count} boş paragraf var; başlık tablonun hemen üstünde olmalı.',
 
+        'TABLE_CAPTION_FORMAT.title': 'Tablo: Başlık Biçimi',
 
-    // 12pt
+        'TABLE_CAPTION_FORMAT.desc': 'Tablo {table} üstündeki "{caption}" başlığı "Tablo X.Y." biçiminde değil; bölüm ve tablo numarası nokta ile ayrılmalı (ör. "Tablo 1.1.").',
 
-    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_BODY) > 0.5) {
+        'TABLE_CAPTION_SHARED.title': 'Tablo: Başlık Başka Tabloya Ait',
 
-        errors.push({
+        'TABLE_CAPTION_SHARED.desc': 'Tablo {table} yakınındaki "{caption}" başlığı Tablo {owner} ile eşleşti; bu tablonun kendi başlığı yok.',
 
-            type: 'warning',
+        'IMAGE_ALIGNMENT.title': 'Resim {picture}: Hizalama Hatası',
 
-            title: 'Kaynakça: Punto',
+        'IMAGE_ALIGNMENT.desc': 'Resimler ortalanmış olmalı. Mevcut: {actual}',
 
-            description: `12 punto olmalı. Mevcut: ${font.size} pt`,
+        'PAGE_NUMBER_POSITION.title': 'Bölüm {section}: Sayfa No Konumu',
 
-            paraIndex: index,
+        'PAGE_NUMBER_POSITION.desc': 'Sayfa numarası alt kenardan {expected} cm yukarıda olmalı. Mevcut: {actual} cm',
 
-            severity: 'FORMAT'
+        'PAGE_NUMBER_MISSING.title': 'Bölüm {section}: Sayfa Numarası Eksik',
 
-        });
+        'PAGE_NUMBER_MISSING.desc': 'Alt bilgide sayfa numarası bulunamadı.',
 
-    }
 
 
+        // Abstracts
 
-    // Hanging indent (1cm = 28.35pt)
+        'ABSTRACT_TOO_SHORT.title': '{page}: Kelime Sayısı Az',
 
-    const hangingIndent = leftIndent - firstLineIndent;
+        'ABSTRACT_TOO_SHORT.desc': 'Özet en az {expected} kelime olmalı. Mevcut: {actual} kelime',
 
-    if (Math.abs(hangingIndent - EBYÜ_RULES.BIBLIOGRAPHY_HANGING_INDENT_POINTS) > EBYÜ_RULES.INDENT_TOLERANCE) {
+        'ABSTRACT_TOO_LONG.title': '{page}: Kelime Sayısı Fazla',
 
-        errors.push({
+        'ABSTRACT_TOO_LONG.desc': 'Özet en fazla {expected} kelime olmalı. Mevcut: {actual} kelime',
 
-            type: 'warning',
+        'ABSTRACT_DEBUG.title': '📊 ÖZET DEBUG',
 
-            title: 'Kaynakça: Asılı Girinti',
+        'ABSTRACT_DEBUG.desc': 'Paragraf index: {index}, Bulunan paragraf: {paragraphs}, Kelime sayısı: {words}',
 
-            description: `1 cm asılı girinti olmalı.`,
+        'ABSTRACT_NOT_FOUND.title': 'ÖZET DEBUG: Bulunamadı',
 
-            paraIndex: index,
+        'ABSTRACT_NOT_FOUND.desc': 'ÖZET başlığı bulunamadı veya sonrasında içerik algılanamadı. TOC\'deki ÖZET atlandı.',
 
-            severity: 'FORMAT'
 
-        });
 
-    }
+        // Thesis language and variant
 
+        'THESIS_LANGUAGE.title': 'Tez Dili',
 
+        'THESIS_LANGUAGE.desc': '{language} ({source})',
 
-    // Single line spacing
+        'THESIS_VARIANT.title': 'Tez Türü',
 
-    if (lineSpacing !== undefined && (lineSpacing < EBYÜ_RULES.LINE_SPACING_SINGLE_MIN || lineSpacing > EBYÜ_RULES.LINE_SPACING_SINGLE_MAX)) {
+        'THESIS_VARIANT.desc': '{degree} · {institute} ({source})',
 
-        errors.push({
+        'THESIS_VARIANT_UNKNOWN.title': 'Tez Türü Belirlenemedi',
 
-            type: 'warning',
+        'THESIS_VARIANT_UNKNOWN.desc': 'Kapakta tez türü veya enstitü bulunamadı. Türe özgü kurallar için "Kural profili" bölümünden seçin.',
 
-            title: 'Kaynakça: Satır Aralığı',
+        'REQUIRED_PAGE_MISSING.title': 'Eksik Sayfa: {page}',
 
-            description: `Tek satır olmalı. Mevcut: ${lineSpacing.toFixed(1)} pt`,
+        'REQUIRED_PAGE_MISSING.desc': '{owner} "{page}" sayfası bulunmalı.',
 
-            paraIndex: index,
+        'THESIS_MIN_PAGES.title': 'Tez Uzunluğu: Alt Sınır',
 
-            severity: 'FORMAT'
+        'THESIS_MIN_PAGES.desc': '{degree} tezinin ana metni en az {expected} sayfa olmalı. Mevcut: {actual} sayfa{note}',
 
-        });
+        'THESIS_MAX_PAGES.title': 'Tez Uzunluğu: Üst Sınır',
 
-    }
+        'THESIS_MAX_PAGES.desc': 'Ana metin en fazla {expected} sayfa olmalı. Mevcut: {actual} sayfa{note}',
 
 
 
-    // 3pt paragraph spacing
+        // Scan summary
 
-    if (spaceBefore !== undefined && Math.abs(spaceBefore - EBYÜ_RULES.SPACING_3NK) > EBYÜ_RULES.SPACING_TOLERANCE) {
+        'SCAN_OK.title': '✅ Tebrikler!',
 
-        errors.push({
+        'SCAN_OK.desc': 'Belge EBYÜ 2022 Tez Yazım Kılavuzu formatına uygun görünüyor.',
 
-            type: 'warning',
+        'SCAN_OK_PARTIAL.title': '✅ Tebrikler!',
 
-            title: 'Kaynakça: Paragraf Öncesi',
+        'SCAN_OK_PARTIAL.desc': 'Taranan kısım EBYÜ 2022 Tez Yazım Kılavuzu formatına uygun görünüyor.',
 
-            description: `3 nk olmalı. Mevcut: ${spaceBefore.toFixed(1)} nk`,
+        'SCAN_SUMMARY.title': 'Tarama Özeti',
 
-            paraIndex: index,
+        'SCAN_SUMMARY.desc': '🔴 Kritik: {errors} | 🟡 Format: {warnings} hata bulundu. {marking}',
 
-            severity: 'FORMAT'
+        'SCAN_FAILED.title': 'Tarama Hatası',
 
-        });
+        'SCAN_FAILED.desc': 'Hata: {message}. Lütfen tekrar deneyin.'
 
-    }
+    },
 
 
 
-    return errors;
+    en: {
 
-}
+        // Task pane
 
+        'ui.title': 'EBYÜ Thesis Validator',
 
+        'ui.subtitle': 'Erzincan Binali Yıldırım University',
 
-function validateBlockQuote(paraData, index) {
+        'ui.scan': 'SCAN DOCUMENT',
 
-    const errors = [];
+        'ui.scanning': 'SCANNING...',
 
-    const { font, leftIndent, rightIndent, lineSpacing } = paraData;
+        'ui.scanSelection': 'Scan Selection',
 
+        'ui.scanChapter': 'Scan This Chapter',
 
+        'ui.liveToggle': 'Live check',
 
-    // 11pt
+        'ui.liveToggleHint': 'Re-checks edited paragraphs and their neighbours while you type',
 
-    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_BLOCK_QUOTE) > 0.5) {
+        'ui.uiLanguage': 'Interface language',
 
-        errors.push({
+        'ui.profileSummary': 'Rule profile, thesis language and type',
 
-            type: 'warning',
+        'ui.thesisLanguage': 'Thesis language',
 
-            title: 'Blok Alıntı: Punto',
+        'ui.languageAuto': 'Automatic (from text)',
 
-            description: `11 punto olmalı. Mevcut: ${font.size} pt`,
+        'ui.markingMode': 'Marking in the document',
 
-            paraIndex: index,
+        'marks.highlight': 'Colour highlight',
 
-            severity: 'FORMAT'
+        'marks.underline': 'Wavy underline',
 
-        });
+        'marks.comments': 'Comments only',
 
-    }
+        'marks.panel': 'Panel only (document unchanged)',
 
+        'marks.changed': 'Previous marks removed; the new marking applies from the next scan.',
 
+        'marks.commentHeader': 'EBYÜ Thesis Validator',
 
-    // Italic
+        'ui.findingComments': 'Add Word comments for findings',
 
-    if (font.italic !== true) {
+        'marks.summaryMarked': 'They are marked in the document.',
 
-        errors.push({
+        'marks.summaryCommented': 'Flagged paragraphs have a comment.',
 
-            type: 'warning',
+        'marks.summaryMarkedCommented': 'They are marked and commented in the document.',
 
-            title: 'Blok Alıntı: İtalik',
+        'marks.summaryPanel': 'Findings are listed in the panel only.',
 
-            description: 'Blok alıntı italik olmalı.',
+        'marks.saveFailed': 'The record of marks in the document could not be saved; they may not be removed automatically later: {message}',
 
-            paraIndex: index,
+        'suppress.commentResolved': 'Word comment marked as resolved.',
 
-            severity: 'FORMAT'
+        'ui.degree': 'Degree',
 
-        });
+        'ui.institute': 'Institute',
 
-    }
+        'ui.variantAuto': 'Automatic (from cover)',
 
+        'ui.profileFile': 'Load from JSON file',
 
+        'ui.profileUrlLoad': 'Load',
 
-    // 1.25cm left and right indent
+        'ui.progress': 'Scanning...',
 
-    if (leftIndent !== undefined && Math.abs(leftIndent - EBYÜ_RULES.BLOCK_QUOTE_INDENT_POINTS) > EBYÜ_RULES.INDENT_TOLERANCE) {
+        'ui.quickFixHint': '🔧 Click "FIX" to correct a finding, or "Fix all of this kind" for every finding of the same kind.',
 
-        errors.push({
+        'ui.statErrors': 'Errors',
 
-            type: 'warning',
+        'ui.statWarnings': 'Warnings',
 
-            title: 'Blok Alıntı: Sol Girinti',
+        'ui.statSuccess': 'Passed',
 
-            description: `1.25 cm olmalı. Mevcut: ${(leftIndent / 28.35).toFixed(2)} cm`,
+        'ui.filterAll': 'All',
 
-            paraIndex: index,
+        'ui.filterErrors': 'Errors',
 
-            severity: 'FORMAT'
+        'ui.filterWarnings': 'Warnings',
 
-        });
+        'ui.filterSuccess': 'Passed',
 
-    }
+        'ui.searchPlaceholder': 'Search titles and descriptions...',
 
+        'ui.groupNone': 'No grouping',
 
+        'ui.groupRule': 'By rule',
 
-    if (rightIndent !== undefined && Math.abs(rightIndent - EBYÜ_RULES.BLOCK_QUOTE_INDENT_POINTS) > EBYÜ_RULES.INDENT_TOLERANCE) {
+        'ui.groupChapter': 'By chapter',
 
-        errors.push({
+        'ui.groupSeverity': 'By severity',
 
-            type: 'warning',
+        'ui.prevResult': 'Previous finding',
 
-            title: 'Blok Alıntı: Sağ Girinti',
+        'ui.nextResult': 'Next finding',
 
-            description: `1.25 cm olmalı. Mevcut: ${(rightIndent / 28.35).toFixed(2)} cm`,
+        'ui.emptyStart': 'Click the button above to scan the document',
 
-            paraIndex: index,
+        'ui.footerProfile': 'Rule profile:',
 
-            severity: 'FORMAT'
+        'ui.noFindings': '✅ No problems found.',
 
-        });
+        'ui.noFilterMatch': 'No findings match the filter.',
 
-    }
+        'ui.resolved': '✓ Resolved',
 
+        'ui.show': 'SHOW',
 
+        'ui.showCaption': 'CAPTION',
 
-    return errors;
+        'ui.fixed': '✓ Fixed',
 
-}
+        'ui.fix': 'FIX',
 
+        'ui.fixAll': 'Fix all of this kind ({count})',
 
+        'ui.severityCritical': '🔴 Critical',
 
-function validateCaption(paraData, index) {
+        'ui.severityFormat': '🟡 Format',
 
-    const errors = [];
+        'ui.exportFormat': 'Report format',
 
-    const { font, alignment, text } = paraData;
+        'ui.exportDownload': 'Download Report',
 
+        'ui.exportDialog': 'Open in Window',
 
 
-    // 12pt for caption title
 
-    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_CAPTION_TITLE) > 0.5) {
+        // Report export
 
-        errors.push({
+        'export.downloaded': '{filename} downloaded. If no download started, use "Open in Window".',
 
-            type: 'warning',
+        'export.dialogFailed': 'Could not open the report window: {message}',
 
-            title: 'Başlık: Punto',
+        'export.download': 'Download',
 
-            description: `Tablo/Şekil başlığı 12 punto olmalı. Mevcut: ${font.size} pt`,
+        'export.copy': 'Copy',
 
-            paraIndex: index,
+        'report.title': 'Format Compliance Report',
 
-            severity: 'FORMAT'
+        'report.document': 'Document',
 
-        });
+        'report.generatedAt': 'Report date',
 
-    }
+        'report.scannedAt': 'Scan date',
 
+        'report.scope': 'Scanned part',
 
+        'report.profile': 'Rule profile',
 
-    // Centered
+        'report.thesisLanguage': 'Thesis language',
+
+        'report.summary': 'Summary',
+
+        'report.chapters': 'By Chapter',
+
+        'report.findings': 'Findings',
+
+        'report.colType': 'Type',
+
+        'report.colRule': 'Rule',
+
+        'report.colFinding': 'Finding',
+
+        'report.colLocation': 'Location',
+
+        'report.colChapter': 'Chapter',
+
+        'report.type.error': 'Error',
+
+        'report.type.warning': 'Warning',
+
+        'report.type.success': 'Passed',
+
+        'report.status.fixed': 'fixed',
+
+        'report.status.resolved': 'resolved',
+
+        'report.colSeverity': 'Severity',
+
+        'report.counts': 'Findings',
+
+        'report.countsValue': '{errors} errors, {warnings} warnings',
+
+        'report.remaining': 'Remaining findings (by chapter)',
+
+        'report.noRemaining': 'No open findings remain.',
+
+        'report.inserted': 'Report added at the end of the document. Adding it again replaces the previous one.',
+
+        'report.insertedNew': 'Report opened in a new document.',
+
+        'report.insertFailed': 'Could not insert the report: {message}',
+
+        'report.insertUnsupported': 'This Word version cannot insert the report (WordApi 1.3 required).',
+
+        'report.newDocumentUnsupported': 'This Word version cannot write to a new document. Add the report at the end of the document instead.',
+
+        'ui.reportEnd': 'Add to End of Document',
+
+        'ui.reportNewDoc': 'Create in New Document',
+
+
+
+        // Saved scan
+
+        'lastScan.summary': 'Last scan: {when} · {profile}',
+
+        'lastScan.checking': 'Checking whether the document has changed...',
+
+        'lastScan.current': 'The document has not changed since this scan.',
+
+        'lastScan.stale': 'The document has changed since this scan; results may be out of date.',
+
+        'lastScan.profileChanged': 'This scan used a different rule profile than the one now selected.',
+
+        'lastScan.fixHint': 'Rescan the document to use automatic fixes.',
+
+        'lastScan.truncated': '{saved} of {total} findings were kept in the document (critical first); rescan to see them all.',
+
+        'lastScan.saveFailed': 'The scan results could not be saved in the document: {message}',
+
+        'ui.rescan': 'Rescan',
+
+
+
+        // Scan history
+
+        'history.title': 'Scan History',
+
+        'history.critical': 'Critical',
+
+        'history.format': 'Format',
+
+        'history.point': '{date}: {critical} critical, {format} format',
+
+        'history.needMore': 'At least two full-document scans are needed for the trend chart.',
+
+        'history.chapter': 'Chapter',
+
+        'history.open': 'Open',
+
+        'history.change': 'Change',
+
+        'history.diff': 'Since the previous scan: {added} new, {resolved} resolved findings',
+
+        'history.added': 'New findings ({count})',
+
+        'history.resolved': 'Resolved findings ({count})',
+
+
+
+        // Suppressions
+
+        'ui.suppress': 'Ignore',
+
+        'suppress.reasonPlaceholder': 'Reason (e.g. deliberately indented poem)',
+
+        'suppress.userPlaceholder': 'Your name',
+
+        'suppress.save': 'Save',
+
+        'suppress.cancel': 'Cancel',
+
+        'suppress.panelTitle': 'Ignored findings ({count})',
+
+        'suppress.reason': 'Reason: {reason}',
+
+        'suppress.by': '{user} · {date}',
+
+        'suppress.unknownUser': 'Unknown user',
+
+        'suppress.revoke': 'Revoke',
+
+        'suppress.revokeHint': 'Revoked findings are reported again on the next scan.',
+
+
+
+        // Fix preview and sessions
+
+        'fix.path.font.name': 'Font',
+
+        'fix.path.font.size': 'Font size',
+
+        'fix.path.font.bold': 'Bold',
+
+        'fix.path.font.italic': 'Italic',
+
+        'fix.path.alignment': 'Alignment',
+
+        'fix.path.firstLineIndent': 'First line indent',
+
+        'fix.path.leftIndent': 'Left indent',
+
+        'fix.path.rightIndent': 'Right indent',
+
+        'fix.path.lineSpacing': 'Line spacing',
+
+        'fix.path.spaceBefore': 'Spacing before',
+
+        'fix.path.spaceAfter': 'Spacing after',
+
+        'fix.mixed': 'mixed',
+
+        'fix.yes': 'Yes',
+
+        'fix.no': 'No',
+
+        'fix.previewTitle': 'Fix Preview ({count} changes)',
+
+        'fix.colParagraph': 'Para.',
+
+        'fix.colProperty': 'Property',
+
+        'fix.colBefore': 'Before',
+
+        'fix.colAfter': 'After',
+
+        'fix.apply': 'APPLY',
+
+        'fix.cancel': 'Cancel',
+
+        'fix.revert': 'Undo this session',
+
+        'fix.reverted': 'Undone',
+
+        'fix.revertedSkipped': 'Undone ({count} changes not found)',
+
+        'fix.session': 'Session {id} · {time} · {count} changes',
+
+        'fix.sessionsTitle': 'Fix Sessions',
+
+
+
+        // Progress
+
+        'progress.start': 'Starting scan...',
+
+        'progress.clear': 'Clearing previous marks...',
+
+        'progress.load': 'Loading document structure...',
+
+        'progress.margins': 'Checking margins...',
+
+        'progress.prepare': 'Preparing paragraph data...',
+
+        'progress.analyze': 'Analysing paragraphs...',
+
+        'progress.paragraph': 'Paragraph {n} / {total}',
+
+        'progress.tables': 'Checking tables...',
+
+        'progress.images': 'Checking images...',
+
+        'progress.captions': 'Checking caption numbers...',
+
+        'progress.pageNumbers': 'Checking page numbers...',
+
+        'progress.abstract': 'Checking Özet/Abstract...',
+
+        'progress.variant': 'Checking degree rules...',
+
+        'progress.highlights': 'Applying marks...',
+
+        'progress.summary': 'Preparing summary...',
+
+        'progress.done': 'Scan complete!',
+
+
+
+        // Rule profiles
+
+        'profile.active': 'Profile "{name}" is active. Scan again.',
+
+        'profile.documentFailed': 'Could not load the profile stored in the document: {message}',
+
+        'profile.fileFailed': 'Could not read the profile file: {message}',
+
+        'profile.urlFailed': 'Could not load the profile from the address: {message}',
+
+        'profile.error.notObject': 'A profile must be a JSON object.',
+
+        'profile.error.idName': 'A profile needs "id" and "name" fields.',
+
+        'profile.error.unknownRule': 'Unknown rule: {key}',
+
+        'profile.error.ruleType': '{key} expects a {type} value.',
+
+        'profile.error.unknownPattern': 'Unknown pattern: {key}',
+
+        'profile.error.patternList': '{key} expects a list of patterns.',
+
+        'profile.error.patternSingle': '{key} expects a single pattern.',
+
+        'profile.error.patternInvalid': 'Invalid {key} pattern: {message}',
+
+        'profile.error.variantFields': 'Variant {key} needs "label" and "cover".',
+
+        'profile.error.variantRule': '{key}: unknown rule {rule}',
+
+        'profile.error.variantPatterns': 'Invalid thesis variant patterns: {message}',
+
+
+
+        // Locations
+
+        'location.document': 'Whole document',
+
+        'location.paragraph': 'Paragraph {n}',
+
+        'location.section': 'Section {n}',
+
+        'location.table': 'Table {n}',
+
+        'location.picture': 'Image {n}',
+
+        'table.cells': '{count} cell(s) (row, column): {list}',
+
+        'location.cover': 'Cover page',
+
+        'location.ozet': 'Özet page',
+
+        'location.abstract': 'Abstract page',
+
+        'location.selection': 'Selection: paragraphs {start}–{end}',
+
+        'location.chapter': 'Chapter: paragraphs {start}–{end}',
+
+
+
+        // Shared fragments
+
+        'language.tr': 'Turkish',
+
+        'language.en': 'English',
+
+        'source.manual': 'chosen in the pane',
+
+        'source.cover': 'detected from the cover',
+
+        'source.text': 'detected from the text',
+
+        'variant.degreeField': 'Degree',
+
+        'variant.instituteField': 'Institute',
+
+        'variant.degreeTheses': '{degree} theses',
+
+        'variant.thisThesis': 'This thesis',
+
+        'variant.pagesEstimated': ' (estimated from word count)',
+
+
+
+        // Margins
+
+        'MARGIN_TOP.title': 'Section {section}: Top Margin',
+
+        'MARGIN_TOP.desc': 'Top margin must be {expected} cm. Current: {actual} cm',
+
+        'MARGIN_BOTTOM.title': 'Section {section}: Bottom Margin',
+
+        'MARGIN_BOTTOM.desc': 'Bottom margin must be {expected} cm. Current: {actual} cm',
+
+        'MARGIN_LEFT.title': 'Section {section}: Left Margin',
+
+        'MARGIN_LEFT.desc': 'Left margin must be {expected} cm. Current: {actual} cm',
+
+        'MARGIN_RIGHT.title': 'Section {section}: Right Margin',
+
+        'MARGIN_RIGHT.desc': 'Right margin must be {expected} cm. Current: {actual} cm',
+
+        'MARGIN_MANUAL.title': 'Margins (Check Manually)',
+
+        'MARGIN_MANUAL.desc': 'Automatic check failed. Please check manually: all margins {margin} cm, {special} cm top margin where a main chapter starts.',
+
+
+
+        // Main headings
+
+        'MAIN_HEADING_NOT_NUMBERED.title': 'Main Heading: Not Numbered',
+
+        'MAIN_HEADING_NOT_NUMBERED.desc': 'Main headings must be numbered with an automatic list (e.g. "1.", "2."). Use a Multilevel List in Word.',
+
+        'MAIN_HEADING_NUMBER_MISSING.title': 'Main Heading: Number Missing',
+
+        'MAIN_HEADING_NUMBER_MISSING.desc': 'No automatic number (listString) could be read for this main heading. Number it "1.", "2." with a Multilevel List in Word.',
+
+        'MAIN_HEADING_NUMBER_FORMAT.title': 'Main Heading: Number Format',
+
+        'MAIN_HEADING_NUMBER_FORMAT.desc': 'Main heading numbers must look like "1.", "2.". Current: "{actual}"',
+
+        'MAIN_HEADING_FONT_SIZE.title': 'Main Heading: Font Size',
+
+        'MAIN_HEADING_FONT_SIZE.desc': 'Main headings must be {expected} pt. Current: {actual} pt',
+
+        'MAIN_HEADING_BOLD.title': 'Main Heading: Bold',
+
+        'MAIN_HEADING_BOLD.desc': 'Main headings must be bold.',
+
+        'MAIN_HEADING_ALIGNMENT.title': 'Main Heading: Alignment',
+
+        'MAIN_HEADING_ALIGNMENT.desc': 'Main headings must be centred.',
+
+        'MAIN_HEADING_FONT_NAME.title': 'Main Heading: Font',
+
+        'MAIN_HEADING_FONT_NAME.desc': 'Must be {expected}. Current: {actual}',
+
+        'MAIN_HEADING_CASE.title': 'Main Heading: Capital Letters',
+
+        'MAIN_HEADING_CASE.desc': 'Main headings must be written entirely in capital letters. Suggested: "{suggested}"',
+
+        'MAIN_HEADING_TURKISH_I.title': 'Main Heading: Turkish İ/I',
+
+        'MAIN_HEADING_TURKISH_I.desc': 'Capitalisation broke the Turkish İ/I rule ({words}). Suggested: "{suggested}"',
+
+        'MAIN_HEADING_CAPS_EFFECT.title': 'Main Heading: All Caps Effect',
+
+        'MAIN_HEADING_CAPS_EFFECT.desc': 'The heading only looks capitalised through the All Caps font effect; it is typed as "{actual}". It may show in lower case in the table of contents and exports. Remove the effect and type "{suggested}".',
+
+
+
+        // Sub-headings
+
+        'SUB_HEADING_NOT_NUMBERED.title': 'Sub-heading: Not Numbered',
+
+        'SUB_HEADING_NOT_NUMBERED.desc': 'Sub-headings must be numbered with an automatic list (e.g. "1.1.", "2.3.1."). Use a Multilevel List in Word.',
+
+        'SUB_HEADING_NUMBER_MISSING.title': 'Sub-heading: Number Missing',
+
+        'SUB_HEADING_NUMBER_MISSING.desc': 'No automatic number (listString) could be read for this sub-heading. Number it "1.1.", "1.2." with a Multilevel List in Word.',
+
+        'SUB_HEADING_NUMBER_FORMAT.title': 'Sub-heading: Number Format',
+
+        'SUB_HEADING_NUMBER_FORMAT.desc': 'Sub-heading numbers must look like "1.1.", "1.2.", "1.1.1.". Current: "{actual}"',
+
+        'SUB_HEADING_FONT_SIZE.title': 'Sub-heading: Font Size',
+
+        'SUB_HEADING_FONT_SIZE.desc': 'Sub-headings must be {expected} pt. Current: {actual} pt',
+
+        'SUB_HEADING_BOLD.title': 'Sub-heading: Bold',
+
+        'SUB_HEADING_BOLD.desc': 'Sub-headings must be bold.',
+
+        'SUB_HEADING_FONT_NAME.title': 'Sub-heading: Font',
+
+        'SUB_HEADING_FONT_NAME.desc': 'Must be {expected}. Current: {actual}',
+
+        'SUB_HEADING_INDENT.title': 'Sub-heading: Indent',
+
+        'SUB_HEADING_INDENT.desc': 'A level {level} heading must start at {expected} cm. Current: {actual} cm',
+
+        'SUB_HEADING_ALIGNMENT.title': 'Sub-heading: Alignment',
+
+        'SUB_HEADING_ALIGNMENT.desc': 'Sub-headings must be left aligned or justified. Current: {actual}',
+
+        'SUB_HEADING_LINE_SPACING.title': 'Sub-heading: Line Spacing',
+
+        'SUB_HEADING_LINE_SPACING.desc': 'Must be 1.5 lines ({min}-{max} pt). Current: {actual} pt',
+
+        'SUB_HEADING_SPACE_BEFORE.title': 'Sub-heading: Space Before',
+
+        'SUB_HEADING_SPACE_BEFORE.desc': 'Must be {expected} pt for a level {level} heading. Current: {actual} pt',
+
+        'SUB_HEADING_SPACE_AFTER.title': 'Sub-heading: Space After',
+
+        'SUB_HEADING_SPACE_AFTER.desc': 'Must be {expected} pt for a level {level} heading. Current: {actual} pt',
+
+
+
+        // Body text
+
+        'BODY_MANUAL_TAB.title': 'WARNING: Do Not Indent with Tab',
+
+        'BODY_MANUAL_TAB.desc': 'Set the indent to {indent} cm in the ruler or paragraph settings instead of pressing "Tab".',
+
+        'BODY_MANUAL_SPACES.title': 'WARNING: Do Not Indent with Spaces',
+
+        'BODY_MANUAL_SPACES.desc': 'Set the indent to {indent} cm in the ruler or paragraph settings instead of typing spaces.',
+
+        'BODY_FONT_NAME.title': 'Text: Font',
+
+        'BODY_FONT_NAME.desc': 'Must be {expected}. Current: {actual}',
+
+        'BODY_FONT_SIZE.title': 'Text: Font Size',
+
+        'BODY_FONT_SIZE.desc': 'Text must be {expected} pt. Current: {actual} pt',
+
+        'BODY_FIRST_LINE_INDENT.title': 'Text: First Line Indent',
+
+        'BODY_FIRST_LINE_INDENT.desc': 'Must be {expected} cm. Current: {actual} cm',
+
+        'BODY_LINE_SPACING.title': 'Text: Line Spacing',
+
+        'BODY_LINE_SPACING.desc': 'Must be 1.5 lines ({min}-{max} pt). Current: {actual} pt',
+
+        'BODY_SPACE_BEFORE.title': 'Text: Spacing Before',
+
+        'BODY_SPACE_BEFORE.desc': 'Must be {expected} pt. Current: {actual} pt',
+
+        'BODY_SPACE_AFTER.title': 'Text: Spacing After',
+
+        'BODY_SPACE_AFTER.desc': 'Must be {expected} pt. Current: {actual} pt',
+
+        'BODY_BLOCK_INDENT.title': 'Text: Block Indent Detected',
+
+        'BODY_BLOCK_INDENT.desc': 'This paragraph has a {actual} cm left indent. A block quote must be {size} pt italic; otherwise remove the indent.',
+
+
+
+        // Ghost headings
+
+        'GHOST_HEADING_OUTLINE.title': 'EMPTY HEADING (Ghost Heading) - CRITICAL!',
+
+        'GHOST_HEADING_OUTLINE.desc': 'This empty line has outline level {level}. It creates a blank entry in the table of contents! Delete the line or change it to the "Normal" style.',
+
+        'GHOST_HEADING_STYLE.title': 'EMPTY HEADING (Ghost Heading) - CRITICAL!',
+
+        'GHOST_HEADING_STYLE.desc': 'This empty line uses the "{style}" heading style. It creates a blank entry in the table of contents! Delete the line or change it to the "Normal" style.',
+
+        'GHOST_HEADING_SUMMARY.title': '{count} Empty Headings (Ghost Headings) Found',
+
+        'GHOST_HEADING_SUMMARY.desc': 'These empty headings create blank entries in the table of contents. They are marked in red.',
+
+
+
+        // Bibliography
+
+        'BIBLIOGRAPHY_FONT_NAME.title': 'References: Font',
+
+        'BIBLIOGRAPHY_FONT_NAME.desc': 'Must be {expected}.',
+
+        'BIBLIOGRAPHY_FONT_SIZE.title': 'References: Font Size',
+
+        'BIBLIOGRAPHY_FONT_SIZE.desc': 'Must be {expected} pt. Current: {actual} pt',
+
+        'BIBLIOGRAPHY_HANGING_INDENT.title': 'References: Hanging Indent',
+
+        'BIBLIOGRAPHY_HANGING_INDENT.desc': 'Must have a {expected} cm hanging indent.',
+
+        'BIBLIOGRAPHY_LINE_SPACING.title': 'References: Line Spacing',
+
+        'BIBLIOGRAPHY_LINE_SPACING.desc': 'Must be single spaced. Current: {actual} pt',
+
+        'BIBLIOGRAPHY_SPACE_BEFORE.title': 'References: Spacing Before',
+
+        'BIBLIOGRAPHY_SPACE_BEFORE.desc': 'Must be {expected} pt. Current: {actual} pt',
+
+
+
+        // Block quotes
+
+        'BLOCK_QUOTE_FONT_SIZE.title': 'Block Quote: Font Size',
+
+        'BLOCK_QUOTE_FONT_SIZE.desc': 'Must be {expected} pt. Current: {actual} pt',
+
+        'BLOCK_QUOTE_ITALIC.title': 'Block Quote: Italic',
+
+        'BLOCK_QUOTE_ITALIC.desc': 'Block quotes must be italic.',
+
+        'BLOCK_QUOTE_LEFT_INDENT.title': 'Block Quote: Left Indent',
+
+        'BLOCK_QUOTE_LEFT_INDENT.desc': 'Must be {expected} cm. Current: {actual} cm',
+
+        'BLOCK_QUOTE_RIGHT_INDENT.title': 'Block Quote: Right Indent',
+
+        'BLOCK_QUOTE_RIGHT_INDENT.desc': 'Must be {expected} cm. Current: {actual} cm',
+
+
+
+        // Captions
+
+        'CAPTION_FONT_SIZE.title': 'Caption: Font Size',
+
+        'CAPTION_FONT_SIZE.desc': 'Table/figure captions must be {expected} pt. Current: {actual} pt',
+
+        'CAPTION_ALIGNMENT.title': 'Caption: Alignment',
+
+        'CAPTION_ALIGNMENT.desc': 'Table/figure captions must be centred.',
+
+        'CAPTION_SPACE_BEFORE.title': 'Table/Figure Caption: Spacing Before',
+
+        'CAPTION_SPACE_BEFORE.desc': 'Figure/table captions must have {expected} pt. Current: {actual} pt',
+
+        'CAPTION_SPACE_AFTER.title': 'Table/Figure Caption: Spacing After',
+
+        'CAPTION_SPACE_AFTER.desc': 'Figure/table captions must have {expected} pt. Current: {actual} pt',
+
+
+
+        // Cover page
+
+        'COVER_FONT_SIZE.title': 'COVER: Font Size',
+
+        'COVER_FONT_SIZE.desc': 'Cover titles must be {expected} pt. Current: {actual} pt',
+
+        'COVER_ALIGNMENT.title': 'COVER: Alignment',
+
+        'COVER_ALIGNMENT.desc': 'Cover items must be centred.',
+
+        'COVER_SPACE_BEFORE.title': 'COVER: Spacing Before',
+
+        'COVER_SPACE_BEFORE.desc': 'Cover lines must have {expected} pt. Current: {actual} pt',
+
+        'COVER_SPACE_AFTER.title': 'COVER: Spacing After',
+
+        'COVER_SPACE_AFTER.desc': 'Cover lines must have {expected} pt. Current: {actual} pt',
+
+        'COVER_FONT_NAME.title': 'COVER: Font',
+
+        'COVER_FONT_NAME.desc': 'Must be {expected}. Current: {actual}',
+
+        'COVER_VARIANT_MISSING.title': 'COVER: {field} Line Missing',
+
+        'COVER_VARIANT_MISSING.desc': 'The cover does not contain "{expected}".',
+
+        'COVER_VARIANT_MISMATCH.title': 'COVER: {field} Wording',
+
+        'COVER_VARIANT_MISMATCH.desc': 'The selected type is "{expected}" but the cover says "{actual}".',
+
+
+
+        // Tables, images, page numbers
+
+        'TABLE_ALIGNMENT.title': 'Table {table}: Alignment',
+
+        'TABLE_ALIGNMENT.desc': 'Tables must be centred. Current: {actual}',
+
+        'TABLE_CELL_FONT_NAME.title': 'Table Cell: Font',
+
+        'TABLE_CELL_FONT_NAME.desc': 'Must be {expected}. Current: {actual}. {cells}',
+
+        'TABLE_CELL_FONT_SIZE.title': 'Table Cell: Font Size',
+
+        'TABLE_CELL_FONT_SIZE.desc': 'Table content must be {expected} pt. Current: {actual} pt. {cells}',
+
+        'TABLE_CELL_LINE_SPACING.title': 'Table Cell: Line Spacing',
+
+        'TABLE_CELL_LINE_SPACING.desc': 'Tables must use single line spacing ({min}-{max} pt). Current: {actual} pt. {cells}',
+
+        'TABLE_CELL_FIRST_LINE_INDENT.title': 'Table Cell: First Line Indent',
+
+        'TABLE_CELL_FIRST_LINE_INDENT.desc': 'Table cells must have no first line indent. Current: {actual} cm. {cells}',
+
+        'TABLE_CELL_SPACE_BEFORE.title': 'Table Cell: Space Before',
+
+        'TABLE_CELL_SPACE_BEFORE.desc': 'Must be at most {max} pt. Current: {actual} pt. {cells}',
+
+        'TABLE_CELL_SPACE_AFTER.title': 'Table Cell: Space After',
+
+        'TABLE_CELL_SPACE_AFTER.desc': 'Must be at most {max} pt. Current: {actual} pt. {cells}',
+
+        'CAPTION_CHAPTER_PREFIX.title': 'Caption Number: Chapter Prefix',
+
+        'CAPTION_CHAPTER_PREFIX.desc': '"{caption}" is in chapter {chapter}; its number must be "{expected}".',
+
+        'CAPTION_NUMBER_DUPLICATE.title': 'Caption Number: Duplicate',
+
+        'CAPTION_NUMBER_DUPLICATE.desc': 'The number of "{caption}" is already used in this chapter; this caption must be "{expected}".',
+
+        'CAPTION_NUMBER_SEQUENCE.title': 'Caption Number: Sequence',
+
+        'CAPTION_NUMBER_SEQUENCE.desc': '"{caption}" is out of order (numbers restart at 1 in every chapter, without gaps); it must be "{expected}".',
+
+        'FIGURE_CAPTION_MISSING.title': 'Figure: No Caption',
+
+        'FIGURE_CAPTION_MISSING.desc': 'No "Figure X.Y." (or Graph, Chart, Map) caption was found below image {picture}.',
+
+        'FIGURE_CAPTION_ABOVE.title': 'Figure: Caption Above',
+
+        'FIGURE_CAPTION_ABOVE.desc': 'The caption "{caption}" is above image {picture}; figure captions must be placed below the figure.',
+
+        'FIGURE_CAPTION_GAP.title': 'Figure: Gap Between Figure and Caption',
+
+        'FIGURE_CAPTION_GAP.desc': '{count} empty paragraph(s) separate image {picture} from "{caption}"; the caption must sit directly below the figure.',
+
+        'FIGURE_CAPTION_ORPHAN.title': 'Figure: Caption Without a Figure',
+
+        'FIGURE_CAPTION_ORPHAN.desc': 'No figure was found above the caption "{caption}".',
+
+        'LAYOUT_TABLE.title': 'Table: Used for Layout',
+
+        'LAYOUT_TABLE.desc': 'Table {table} seems to position content rather than hold data ({reason}). Use Layout > Columns to place text side by side.',
+
+        'layout.borderless': 'no borders',
+
+        'layout.singleRow': 'long text in a single row',
+
+        'layout.singleColumn': 'long text in a single column',
+
+        'TABLE_CAPTION_MISSING.title': 'Table: No Caption',
+
+        'TABLE_CAPTION_MISSING.desc': 'No "Table X.Y." caption was found above table {table}.',
+
+        'TABLE_CAPTION_BELOW.title': 'Table: Caption Below',
+
+        'TABLE_CAPTION_BELOW.desc': 'The caption "{caption}" is below table {table}; table captions must be placed above the table.',
+
+        'TABLE_CAPTION_GAP.title': 'Table: Gap Between Caption and Table',
+
+        'TABLE_CAPTION_GAP.desc': '{count} empty paragraph(s) separate "{caption}" from table {table}; the caption must sit directly above the table.',
+
+        'TABLE_CAPTION_FORMAT.title': 'Table: Caption Format',
+
+        'TABLE_CAPTION_FORMAT.desc': 'The caption "{caption}" above table {table} is not in "Table X.Y." format; separate the chapter and table numbers with a dot (e.g. "Table 1.1.").',
+
+        'TABLE_CAPTION_SHARED.title': 'Table: Caption Belongs to Another Table',
+
+        'TABLE_CAPTION_SHARED.desc': 'The caption "{caption}" next to table {table} was paired with table {owner}; this table has no caption of its own.',
+
+        'IMAGE_ALIGNMENT.title': 'Image {picture}: Alignment',
+
+        'IMAGE_ALIGNMENT.desc': 'Images must be centred. Current: {actual}',
+
+        'PAGE_NUMBER_POSITION.title': 'Section {section}: Page Number Position',
+
+        'PAGE_NUMBER_POSITION.desc': 'Page numbers must sit {expected} cm above the bottom edge. Current: {actual} cm',
+
+        'PAGE_NUMBER_MISSING.title': 'Section {section}: Page Number Missing',
+
+        'PAGE_NUMBER_MISSING.desc': 'No page number found in the footer.',
+
+
+
+        // Abstracts
+
+        'ABSTRACT_TOO_SHORT.title': '{page}: Too Few Words',
+
+        'ABSTRACT_TOO_SHORT.desc': 'The abstract must have at least {expected} words. Current: {actual} words',
+
+        'ABSTRACT_TOO_LONG.title': '{page}: Too Many Words',
+
+        'ABSTRACT_TOO_LONG.desc': 'The abstract must have at most {expected} words. Current: {actual} words',
+
+        'ABSTRACT_DEBUG.title': '📊 ÖZET DEBUG',
+
+        'ABSTRACT_DEBUG.desc': 'Paragraph index: {index}, paragraphs found: {paragraphs}, word count: {words}',
+
+        'ABSTRACT_NOT_FOUND.title': 'ÖZET DEBUG: Not Found',
+
+        'ABSTRACT_NOT_FOUND.desc': 'No ÖZET heading found, or no content detected after it. The ÖZET entry in the table of contents was skipped.',
+
+
+
+        // Thesis language and variant
+
+        'THESIS_LANGUAGE.title': 'Thesis Language',
+
+        'THESIS_LANGUAGE.desc': '{language} ({source})',
+
+        'THESIS_VARIANT.title': 'Thesis Type',
+
+        'THESIS_VARIANT.desc': '{degree} · {institute} ({source})',
+
+        'THESIS_VARIANT_UNKNOWN.title': 'Thesis Type Not Detected',
+
+        'THESIS_VARIANT_UNKNOWN.desc': 'The degree or institute was not found on the cover. Choose them under "Rule profile" to apply type-specific rules.',
+
+        'REQUIRED_PAGE_MISSING.title': 'Missing Page: {page}',
+
+        'REQUIRED_PAGE_MISSING.desc': '{owner} must include a "{page}" page.',
+
+        'THESIS_MIN_PAGES.title': 'Thesis Length: Minimum',
+
+        'THESIS_MIN_PAGES.desc': 'The main text of a {degree} thesis must be at least {expected} pages. Current: {actual} pages{note}',
+
+        'THESIS_MAX_PAGES.title': 'Thesis Length: Maximum',
+
+        'THESIS_MAX_PAGES.desc': 'The main text must be at most {expected} pages. Current: {actual} pages{note}',
+
+
+
+        // Scan summary
+
+        'SCAN_OK.title': '✅ Well done!',
+
+        'SCAN_OK.desc': 'The document appears to follow the EBYÜ 2022 Thesis Writing Guide.',
+
+        'SCAN_OK_PARTIAL.title': '✅ Well done!',
+
+        'SCAN_OK_PARTIAL.desc': 'The scanned part appears to follow the EBYÜ 2022 Thesis Writing Guide.',
+
+        'SCAN_SUMMARY.title': 'Scan Summary',
+
+        'SCAN_SUMMARY.desc': '🔴 Critical: {errors} | 🟡 Format: {warnings} problems found. {marking}',
+
+        'SCAN_FAILED.title': 'Scan Error',
+
+        'SCAN_FAILED.desc': 'Error: {message}. Please try again.'
+
+    }
+
+};
+
+
+
+// ============================================
+
+// LOCALIZATION (Yerelleştirme)
+
+// ============================================
+
+
+
+const UI_LANGUAGE_KEY = 'ebyuUiLanguage';
+
+const UI_LOCALES = { tr: 'tr-TR', en: 'en-GB' };
+
+
+
+let uiLanguage = 'tr';
+
+
+
+/**
+
+* Stored choice first, then the Office display language (tr-* → Turkish,
+
+* anything else → English)
+
+*/
+
+function detectUiLanguage() {
+
+    try {
+
+        const stored = localStorage.getItem(UI_LANGUAGE_KEY);
+
+        if (stored && MESSAGES[stored]) return stored;
+
+    } catch (e) {
+
+        // localStorage may be blocked in some hosts
+
+    }
+
+
+
+    const displayLanguage = (Office.context && Office.context.displayLanguage) || 'tr-TR';
+
+    return /^tr/i.test(displayLanguage) ? 'tr' : 'en';
+
+}
+
+
+
+function getUiLocale() {
+
+    const displayLanguage = Office.context && Office.context.displayLanguage;
+
+    if (displayLanguage && displayLanguage.toLowerCase().startsWith(uiLanguage)) return displayLanguage;
+
+    return UI_LOCALES[uiLanguage];
+
+}
+
+
+
+/**
+
+* Message reference for t(): used where a localized string is a parameter of
+
+* another message or a result location, so it can be re-rendered later
+
+*/
+
+function msg(key, params = {}) {
+
+    return { key, params };
+
+}
+
+
+
+function formatMessageValue(value) {
+
+    if (value === null || value === undefined) return '';
+
+    if (typeof value === 'number') {
+
+        return new Intl.NumberFormat(getUiLocale(), { maximumFractionDigits: 2 }).format(value);
+
+    }
+
+    if (typeof value === 'object' && value.key) return t(value.key, value.params);
+
+    return String(value);
+
+}
+
+
+
+/**
+
+* Translate a message key, filling {name} placeholders from params
+
+*/
+
+function t(key, params = {}) {
+
+    const catalogue = MESSAGES[uiLanguage] || MESSAGES.tr;
+
+    const template = catalogue[key] !== undefined ? catalogue[key] : MESSAGES.tr[key];
+
+    if (template === undefined) return key;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+
+        params && name in params ? formatMessageValue(params[name]) : match);
+
+}
+
+
+
+/**
+
+* Title and description of a finding, with the rule ID and params kept so
+
+* the finding can be re-rendered when the language changes
+
+*/
+
+function ruleMessage(ruleId, params = {}) {
+
+    return {
+
+        ruleId,
+
+        params,
+
+        title: t(`${ruleId}.title`, params),
+
+        description: t(`${ruleId}.desc`, params)
+
+    };
+
+}
+
+
+
+function localizeResult(result) {
+
+    if (result.ruleId) {
+
+        result.title = t(`${result.ruleId}.title`, result.params);
+
+        result.description = t(`${result.ruleId}.desc`, result.params);
+
+    }
+
+    if (result.locationRef) {
+
+        result.location = t(result.locationRef.key, result.locationRef.params);
+
+    }
+
+}
+
+
+
+/**
+
+* Static pane text: data-i18n (text), data-i18n-placeholder, data-i18n-title
+
+*/
+
+function applyUiTranslations() {
+
+    document.documentElement.lang = uiLanguage;
+
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+
+        el.textContent = t(el.dataset.i18n);
+
+    });
+
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+
+    });
+
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+
+        el.title = t(el.dataset.i18nTitle);
+
+    });
+
+}
+
+
+
+function setUiLanguage(language) {
+
+    if (!MESSAGES[language]) return;
+
+    uiLanguage = language;
+
+    try {
+
+        localStorage.setItem(UI_LANGUAGE_KEY, language);
+
+    } catch (e) {
+
+        logStep('I18N', `UI language not stored: ${e.message}`);
+
+    }
+
+
+
+    applyUiTranslations();
+
+    validationResults.forEach(localizeResult);
+
+    if (scanDiff) scanDiff.resolved.forEach(localizeResult);
+
+    renderProfileControls();
+
+    displayResults();
+
+    displayFixPreview();
+
+    displayFixSessions();
+
+    renderLastScanBanner();
+
+    renderScanHistory();
+
+    renderSuppressions();
+
+    logStep('I18N', `UI language = ${language}`);
+
+}
+
+
+
+function initializeLocalization() {
+
+    uiLanguage = detectUiLanguage();
+
+    applyUiTranslations();
+
+
+
+    const select = document.getElementById('uiLanguageSelect');
+
+    if (select) {
+
+        select.value = uiLanguage;
+
+        select.onchange = () => setUiLanguage(select.value);
+
+    }
+
+}
+
+
+
+// ============================================
+
+// GLOBAL STATE
+
+// ============================================
+
+
+
+let validationResults = [];
+
+let nextResultId = 0; // Result ids stay stable while live validation replaces results
+
+let scanLog = [];
+
+let isScanning = false;
+
+let paragraphSnapshot = []; // Plain paragraphDataList copy from the last scan
+
+let pendingFixSession = null;
+
+let fixSessions = [];
+
+let lastScanInfo = null; // Mode, scope and time of the last completed scan (reports)
+
+let savedScanState = null; // Scan restored from document settings (banner), null after a new scan
+
+let scanHistory = []; // Per-scan counts kept in document settings (trend chart)
+
+let scanDiff = null; // { added, resolved } findings against the previous scan
+
+let suppressions = []; // Accepted exceptions kept in document settings
+
+let pendingSuppressionId = null; // Result whose "Yoksay" form is open
+
+let markingMode = 'highlight'; // MARKING_MODES value, kept per user
+
+let markLedger = []; // Places the validator marked and what they looked like before
+
+let findingCommentsEnabled = false; // Word comments next to highlight/underline marks, kept per user
+
+
+
+// Result list view state (filter tabs, grouping, search)
+
+let resultFilter = 'all';
+
+let resultGrouping = 'none';
+
+let resultSearch = '';
+
+const expandedResultGroups = new Set();
+
+let activeResultId = null; // Last finding navigated to (previous/next stepping)
+
+
+
+// ============================================
+
+// LOGGING UTILITY
+
+// ============================================
+
+
+
+function logStep(category, message, details = null) {
+
+    const timestamp = new Date().toISOString();
+
+    scanLog.push({ timestamp, category, message, details });
+
+    console.log(`[${category}] ${message}`, details || '');
+
+}
+
+
+
+// ============================================
+
+// HELPER FUNCTIONS - Pattern Matching
+
+// ============================================
+
+
+
+function pointsToCm(points) {
+
+    return Number((points / 28.35).toFixed(2));
+
+}
+
+
+
+function matchesAnyPattern(text, patterns) {
+
+    if (!text || !patterns) return false;
+
+    return patterns.some(p => p.test(text.trim()));
+
+}
+
+
+
+function isMainHeadingText(text) {
+
+    return matchesAnyPattern(text, PATTERNS.MAIN_HEADING);
+
+}
+
+
+
+function isSubHeadingText(text) {
+
+    return matchesAnyPattern(text, PATTERNS.SUB_HEADING);
+
+}
+
+
+
+function isTOCEntry(style, text) {
+
+    const styleLower = (style || '').toLowerCase();
+
+    if (styleLower.includes('toc') || styleLower.includes('içindekiler')) return true;
+
+    if (PATTERNS.TOC_CONTENT.test(text)) return true;
+
+    return false;
+
+}
+
+
+
+function isCaption(text) {
+
+    const trimmed = (text || '').trim();
+
+    const tableMatch = trimmed.match(PATTERNS.CAPTION_TABLE);
+
+    const figureMatch = trimmed.match(PATTERNS.CAPTION_FIGURE);
+
+    return {
+
+        isCaption: !!(tableMatch || figureMatch),
+
+        type: tableMatch ? 'table' : (figureMatch ? 'figure' : null),
+
+        isCorrect: !!(tableMatch || figureMatch)
+
+    };
+
+}
+
+
+
+function isCoverItem(text) {
+
+    return matchesAnyPattern(text, PATTERNS.COVER_IDENTIFIERS);
+
+}
+
+
+
+/**
+
+* Check if alignment is centered - handles Word.Alignment enum variations
+
+* Word.Alignment.centered can be: "Centered", "centered", 2, or the enum value
+
+*/
+
+function isCentered(alignment) {
+
+    if (alignment === undefined || alignment === null) return true; // Skip check if undefined
+
+
+
+    // String comparison (case-insensitive)
+
+    if (typeof alignment === 'string') {
+
+        return alignment.toLowerCase() === 'centered';
+
+    }
+
+
+
+    // Numeric comparison (Word.Alignment.centered = 2)
+
+    if (typeof alignment === 'number') {
+
+        return alignment === 2;
+
+    }
+
+
+
+    // Direct enum comparison
+
+    if (alignment === Word.Alignment.centered) {
+
+        return true;
+
+    }
+
+
+
+    return false;
+
+}
+
+
+
+/**
+
+* Check if alignment is left or justified (sub-headings may use either)
+
+*/
+
+function isLeftOrJustified(alignment) {
+
+    if (alignment === undefined || alignment === null) return true; // Skip check if undefined
+
+
+
+    if (typeof alignment === 'string') {
+
+        const value = alignment.toLowerCase();
+
+        return value === 'left' || value === 'justified';
+
+    }
+
+
+
+    // Numeric comparison (Word.Alignment.left = 1, justified = 4)
+
+    if (typeof alignment === 'number') {
+
+        return alignment === 1 || alignment === 4;
+
+    }
+
+
+
+    return alignment === Word.Alignment.left || alignment === Word.Alignment.justified;
+
+}
+
+
+
+function isHeadingStyle(style) {
+
+    if (!style) return false;
+
+    const s = style.toLowerCase();
+
+    return s.includes('heading') || s.includes('başlık') || s.includes('title');
+
+}
+
+
+
+// ============================================
+
+// PARAGRAPH TYPE DETECTION (Priority-Based)
+
+// ============================================
+
+
+
+/**
+
+* Detect paragraph type using outlineLevel as primary indicator
+
+* @param {Object} paraData - Pre-loaded paragraph data
+
+* @param {string} zone - Current document zone
+
+* @param {boolean} isInBiblio - Currently in bibliography section
+
+* @returns {string} - PARA_TYPES value
+
+*/
+
+function detectParagraphType(paraData, zone, isInBiblio) {
+
+    const { text, style, outlineLevel, tableNestingLevel, leftIndent, font } = paraData;
+
+    const trimmed = (text || '').trim();
+
+
+
+    // Priority 1: Inside table = table content
+
+    if (tableNestingLevel > 0) {
+
+        const captionInfo = isCaption(trimmed);
+
+        return captionInfo.isCaption ? PARA_TYPES.CAPTION_TITLE : PARA_TYPES.TABLE_CONTENT;
+
+    }
+
+
+
+    // Priority 2: Empty paragraph - check for Ghost Heading
+
+    if (trimmed.length === 0) {
+
+        // Ghost Heading: empty text but has outline level (not body text level)
+
+        // In Word, outlineLevel is a number 0-8 for headings, or "BodyText" for normal text
+
+        if (outlineLevel !== undefined && outlineLevel !== null) {
+
+            // If outlineLevel is a number (0-8), it's a heading level
+
+            if (typeof outlineLevel === 'number' || (typeof outlineLevel === 'string' && !isNaN(parseInt(outlineLevel)))) {
+
+                const level = typeof outlineLevel === 'number' ? outlineLevel : parseInt(outlineLevel);
+
+                if (level >= 0 && level <= 8) {
+
+                    return PARA_TYPES.GHOST_HEADING;
+
+                }
+
+            }
+
+        }
+
+        // Also check heading style
+
+        if (isHeadingStyle(style)) {
+
+            return PARA_TYPES.GHOST_HEADING;
+
+        }
+
+        return PARA_TYPES.EMPTY;
+
+    }
+
+
+
+    // Priority 3: TOC entries
+
+    if (isTOCEntry(style, trimmed)) {
+
+        return PARA_TYPES.TOC_ENTRY;
+
+    }
+
+
+
+    // Priority 4: Cover page
+
+    if (zone === ZONES.COVER || isCoverItem(trimmed)) {
+
+        return PARA_TYPES.COVER_TEXT;
+
+    }
+
+
+
+    // Priority 5: Captions
+
+    const captionInfo = isCaption(trimmed);
+
+    if (captionInfo.isCaption) {
+
+        return PARA_TYPES.CAPTION_TITLE;
+
+    }
+
+
+
+    // Priority 6: Bibliography zone
+
+    if (isInBiblio && trimmed.length > 5) {
+
+        if (!matchesAnyPattern(trimmed, PATTERNS.BACK_MATTER_START)) {
+
+            return PARA_TYPES.BIBLIOGRAPHY;
+
+        }
+
+    }
+
+
+
+    // Priority 7: Main Heading (outlineLevel first, then text pattern)
+
+    const isMainByOutline = outlineLevel === 0 || outlineLevel === 1;
+
+    const isMainByText = isMainHeadingText(trimmed);
+
+    const isMainByStyle = isHeadingStyle(style) && (/heading\s*1/i.test(style) || /başlık\s*1/i.test(style));
+
+
+
+    if (isMainByOutline || isMainByText || isMainByStyle) {
+
+        return PARA_TYPES.MAIN_HEADING;
+
+    }
+
+
+
+    // Priority 8: Sub-Heading
+
+    const isSubByOutline = typeof outlineLevel === 'number' && outlineLevel >= 2 && outlineLevel <= 8;
+
+    const isSubByText = isSubHeadingText(trimmed);
+
+    const isSubByStyle = isHeadingStyle(style) && !isMainByStyle;
+
+
+
+    if (isSubByOutline || isSubByText || isSubByStyle) {
+
+        return PARA_TYPES.SUB_HEADING;
+
+    }
+
+
+
+    // Priority 9: Block quote (significant left indent)
+
+    if (leftIndent && leftIndent >= EBYÜ_RULES.BLOCK_QUOTE_MIN_INDENT) {
+
+        return PARA_TYPES.BLOCK_QUOTE;
+
+    }
+
+
+
+    // Priority 10: Body text
+
+    if (trimmed.length >= 20) {
+
+        return PARA_TYPES.BODY_TEXT;
+
+    }
+
+
+
+    return PARA_TYPES.UNKNOWN;
+
+}
+
+
+
+// ============================================
+
+// RESULT MANAGEMENT
+
+// ============================================
+
+
+
+/**
+
+* @param {string|{key: string, params: Object}} location - Text or msg() reference
+
+* (references are re-rendered when the UI language changes)
+
+*/
+
+function addResult(type, title, description, location = null, paraIndex = null, severity = null, extra = null) {
+
+    const locationRef = typeof location === 'string' ? null : (location || msg('location.document'));
+
+
+
+    const result = {
+
+        id: nextResultId++,
+
+        type,
+
+        title,
+
+        description,
+
+        location: locationRef ? t(locationRef.key, locationRef.params) : location,
+
+        locationRef,
+
+        paraIndex,
+
+        severity: severity || (type === 'error' ? 'CRITICAL' : 'FORMAT'),
+
+        timestamp: new Date().toISOString(),
+
+        ...(extra || {})
+
+    };
+
+
+
+    // Paragraph findings keep their paragraph's text key (see getFindingKey)
+
+    const paraData = result.target ? null : paragraphSnapshot[getFindingPosition(result)];
+
+    if (paraData && paraData.textKey && result.textKey === undefined) result.textKey = paraData.textKey;
+
+
+
+    validationResults.push(result);
+
+}
+
+
+
+/**
+
+* Add a result whose title and description come from the message catalogue
+
+*/
+
+function addRuleResult(type, ruleId, params = {}, location = null, paraIndex = null, severity = null, extra = null) {
+
+    const message = ruleMessage(ruleId, params);
+
+    addResult(type, message.title, message.description, location, paraIndex, severity, {
+
+        ruleId,
+
+        params,
+
+        ...(extra || {})
+
+    });
+
+}
+
+
+
+function clearResults() {
+
+    validationResults = [];
+
+    scanLog = [];
+
+    nextResultId = 0;
+
+    lastScanInfo = null;
+
+    savedScanState = null;
+
+    scanDiff = null;
+
+    renderLastScanBanner();
+
+}
+
+
+
+function getResultById(resultId) {
+
+    return validationResults.find(r => r.id === resultId) || null;
+
+}
+
+
+
+// ============================================
+
+// UI FUNCTIONS
+
+// ============================================
+
+
+
+function initializeUI() {
+
+    initializeLocalization();
+
+
+
+    // Match index.html: id="scanBtn"
+
+    const scanBtn = document.getElementById('scanBtn');
+
+    if (scanBtn) {
+
+        scanBtn.onclick = () => scanDocument(SCAN_MODES.DOCUMENT);
+
+    } else {
+
+        console.error('Scan button (scanBtn) not found!');
+
+    }
+
+
+
+    const scanSelectionBtn = document.getElementById('scanSelectionBtn');
+
+    const scanChapterBtn = document.getElementById('scanChapterBtn');
+
+    if (scanSelectionBtn) scanSelectionBtn.onclick = () => scanDocument(SCAN_MODES.SELECTION);
+
+    if (scanChapterBtn) scanChapterBtn.onclick = () => scanDocument(SCAN_MODES.CHAPTER);
+
+
+
+    initializeProfileUI();
+
+
+
+    // Filter tabs: Tümü / Hatalar / Uyarılar / Başarılı
+
+    document.querySelectorAll('.filter-tab').forEach(tab => {
+
+        tab.onclick = () => setResultFilter(tab.dataset.filter);
+
+    });
+
+
+
+    const prevBtn = document.getElementById('prevResultBtn');
+
+    const nextBtn = document.getElementById('nextResultBtn');
+
+    if (prevBtn) prevBtn.onclick = () => stepResult(-1);
+
+    if (nextBtn) nextBtn.onclick = () => stepResult(1);
+
+
+
+    const searchInput = document.getElementById('resultSearch');
+
+    if (searchInput) {
+
+        searchInput.oninput = () => {
+
+            resultSearch = searchInput.value;
+
+            displayResults();
+
+        };
+
+    }
+
+
+
+    const liveToggle = document.getElementById('liveToggle');
+
+    if (liveToggle) {
+
+        liveToggle.onchange = () => setLiveValidation(liveToggle.checked);
+
+    }
+
+
+
+    const exportFormat = document.getElementById('exportFormat');
+
+    const exportDownloadBtn = document.getElementById('exportDownloadBtn');
+
+    const exportDialogBtn = document.getElementById('exportDialogBtn');
+
+    if (exportFormat && exportDownloadBtn) exportDownloadBtn.onclick = () => downloadReport(exportFormat.value);
+
+    if (exportFormat && exportDialogBtn) exportDialogBtn.onclick = () => openReportDialog(exportFormat.value);
+
+
+
+    const reportEndBtn = document.getElementById('reportEndBtn');
+
+    const reportNewDocBtn = document.getElementById('reportNewDocBtn');
+
+    if (reportEndBtn) reportEndBtn.onclick = () => insertComplianceReport(REPORT_TARGETS.END);
+
+    if (reportNewDocBtn) reportNewDocBtn.onclick = () => insertComplianceReport(REPORT_TARGETS.NEW_DOCUMENT);
+
+
+
+    const rescanBtn = document.getElementById('lastScanRescanBtn');
+
+    if (rescanBtn) rescanBtn.onclick = () => scanDocument(SCAN_MODES.DOCUMENT);
+
+
+
+    const groupSelect = document.getElementById('groupBySelect');
+
+    if (groupSelect) {
+
+        groupSelect.onchange = () => {
+
+            resultGrouping = groupSelect.value;
+
+            expandedResultGroups.clear();
+
+            displayResults();
+
+        };
+
+    }
+
+
+
+    // Returning to the pane after editing: drop findings whose text was deleted
+
+    window.addEventListener('focus', refreshResultAnchors);
+
+
+
+    logStep('UI', 'User interface initialized');
+
+
+
+    // Show the findings saved with the document before the first scan
+
+    restoreScanHistory();
+
+    restoreSuppressions();
+
+    restoreMarkLedger();
+
+    restoreMarkingMode();
+
+    const markingSelect = document.getElementById('markingModeSelect');
+
+    if (markingSelect) {
+
+        markingSelect.value = markingMode;
+
+        markingSelect.onchange = () => setMarkingMode(markingSelect.value);
+
+    }
+
+    const commentsToggle = document.getElementById('commentsToggle');
+
+    if (commentsToggle) {
+
+        commentsToggle.checked = findingCommentsEnabled;
+
+        commentsToggle.onchange = () => setFindingComments(commentsToggle.checked);
+
+    }
+
+    restoreLastScan();
+
+}
+
+
+
+function setButtonState(enabled) {
+
+    for (const id of ['scanSelectionBtn', 'scanChapterBtn']) {
+
+        const partialBtn = document.getElementById(id);
+
+        if (partialBtn) partialBtn.disabled = !enabled;
+
+    }
+
+
+
+    const btn = document.getElementById('scanBtn');
+
+    if (btn) {
+
+        btn.disabled = !enabled;
+
+        // Button has SVG + span structure in index.html
+
+        const textSpan = btn.querySelector('span');
+
+        if (textSpan) {
+
+            textSpan.textContent = t(enabled ? 'ui.scan' : 'ui.scanning');
+
+        }
+
+    }
+
+}
+
+
+
+function updateProgress(percent, message) {
+
+    // Match index.html: progressSection, progressFill, progressText
+
+    const progressContainer = document.getElementById('progressSection');
+
+    const progressBar = document.getElementById('progressFill');
+
+    const progressText = document.getElementById('progressText');
+
+
+
+    if (progressContainer) {
+
+        progressContainer.classList.remove('hidden');
+
+    }
+
+    if (progressBar) progressBar.style.width = `${percent}%`;
+
+    if (progressText) progressText.textContent = message;
+
+}
+
+
+
+function hideProgress() {
+
+    const progressContainer = document.getElementById('progressSection');
+
+    if (progressContainer) {
+
+        progressContainer.classList.add('hidden');
+
+    }
+
+}
+
+
+
+function displayResults() {
+
+    // Match index.html: resultsList, summarySection, errorCount, warningCount, successCount
+
+    const resultsContainer = document.getElementById('resultsList');
+
+    const summarySection = document.getElementById('summarySection');
+
+    const errorCountEl = document.getElementById('errorCount');
+
+    const warningCountEl = document.getElementById('warningCount');
+
+    const successCountEl = document.getElementById('successCount');
+
+
+
+    if (!resultsContainer) return;
+
+
+
+    const filterTabs = document.getElementById('filterTabs');
+
+    const resultToolbar = document.getElementById('resultToolbar');
+
+    const exportSection = document.getElementById('exportSection');
+
+
+
+    if (validationResults.length === 0) {
+
+        resultsContainer.innerHTML = `<div class="empty-state"><p>${t('ui.noFindings')}</p></div>`;
+
+        if (summarySection) summarySection.classList.add('hidden');
+
+        if (filterTabs) filterTabs.classList.add('hidden');
+
+        if (resultToolbar) resultToolbar.classList.add('hidden');
+
+        if (exportSection) exportSection.classList.add('hidden');
+
+        return;
+
+    }
+
+
+
+    // Show summary section, filter tabs and search/grouping toolbar
+
+    if (summarySection) summarySection.classList.remove('hidden');
+
+    if (filterTabs) filterTabs.classList.remove('hidden');
+
+    if (resultToolbar) resultToolbar.classList.remove('hidden');
+
+    if (exportSection) exportSection.classList.remove('hidden');
+
+
+
+    // Show fix hint only when at least one finding can be corrected automatically
+
+    const quickFixSection = document.getElementById('quickFixSection');
+
+    const fixKindCounts = countOpenFixKinds();
+
+    if (quickFixSection) {
+
+        quickFixSection.classList.toggle('hidden', Object.keys(fixKindCounts).length === 0);
+
+    }
+
+
+
+    const errors = validationResults.filter(r => r.type === 'error');
+
+    const warnings = validationResults.filter(r => r.type === 'warning');
+
+    const successes = validationResults.filter(r => r.type === 'success');
+
+
+
+    // Update stat cards
+
+    if (errorCountEl) errorCountEl.textContent = errors.length;
+
+    if (warningCountEl) warningCountEl.textContent = warnings.length;
+
+    if (successCountEl) successCountEl.textContent = successes.length;
+
+
+
+    // Errors first, then warnings, then successes
+
+    const visible = [...errors, ...warnings, ...successes].filter(isResultVisible);
+
+
+
+    if (visible.length === 0) {
+
+        resultsContainer.innerHTML = `<div class="empty-state"><p>${t('ui.noFilterMatch')}</p></div>`;
+
+        return;
+
+    }
+
+
+
+    if (resultGrouping === 'none') {
+
+        resultsContainer.innerHTML = visible.map(r => createResultItem(r, r.type, fixKindCounts)).join('');
+
+        return;
+
+    }
+
+
+
+    let html = '';
+
+    for (const group of groupResults(visible, resultGrouping)) {
+
+        const isOpen = expandedResultGroups.has(group.key);
+
+        html += `
+
+<details class="result-group"${isOpen ? ' open' : ''} data-group="${encodeURIComponent(group.key)}" ontoggle="onResultGroupToggle(this)">
+
+<summary><span class="result-group-title">${escapeHtml(group.label)}</span><span class="result-group-count">${group.results.length}</span></summary>
+
+${group.results.map(r => createResultItem(r, r.type, fixKindCounts)).join('')}
+
+</details>
+
+`;
+
+    }
+
+    resultsContainer.innerHTML = html;
+
+}
+
+
+
+// ============================================
+
+// RESULT FILTERING & GROUPING
+
+// ============================================
+
+
+
+function escapeHtml(text) {
+
+    return String(text === undefined || text === null ? '' : text)
+
+        .replace(/&/g, '&amp;')
+
+        .replace(/</g, '&lt;')
+
+        .replace(/>/g, '&gt;')
+
+        .replace(/"/g, '&quot;');
+
+}
+
+
+
+function setResultFilter(filter) {
+
+    resultFilter = filter || 'all';
+
+    document.querySelectorAll('.filter-tab').forEach(tab => {
+
+        tab.classList.toggle('active', tab.dataset.filter === resultFilter);
+
+    });
+
+    displayResults();
+
+}
+
+
+
+function isResultVisible(result) {
+
+    if (resultFilter !== 'all' && result.type !== resultFilter) return false;
+
+
+
+    const query = resultSearch.trim().toLocaleLowerCase(getUiLocale());
+
+    if (!query) return true;
+
+
+
+    const haystack = `${result.title} ${result.description}`.toLocaleLowerCase(getUiLocale());
+
+    return haystack.includes(query);
+
+}
+
+
+
+function getResultGroup(result, grouping) {
+
+    switch (grouping) {
+
+        case 'rule':
+
+            return { key: result.title, label: result.title };
+
+        case 'chapter':
+
+            return result.chapter
+
+                ? { key: `chapter:${result.chapter}`, label: result.chapter }
+
+                : { key: 'chapter:', label: t('location.document') };
+
+        case 'severity':
+
+            return result.severity === 'CRITICAL'
+
+                ? { key: 'CRITICAL', label: t('ui.severityCritical') }
+
+                : { key: 'FORMAT', label: t('ui.severityFormat') };
+
+        default:
+
+            return { key: '', label: '' };
+
+    }
+
+}
+
+
+
+/**
+
+* Group results preserving the incoming order (first occurrence decides group order)
+
+* @returns {Array<{key: string, label: string, results: Array}>}
+
+*/
+
+function groupResults(results, grouping) {
+
+    const groups = new Map();
+
+    for (const result of results) {
+
+        const { key, label } = getResultGroup(result, grouping);
+
+        if (!groups.has(key)) {
+
+            groups.set(key, { key, label, results: [] });
+
+        }
+
+        groups.get(key).results.push(result);
+
+    }
+
+    return Array.from(groups.values());
+
+}
+
+
+
+function onResultGroupToggle(element) {
+
+    const key = decodeURIComponent(element.dataset.group || '');
+
+    if (element.open) {
+
+        expandedResultGroups.add(key);
+
+    } else {
+
+        expandedResultGroups.delete(key);
+
+    }
+
+}
+
+
+
+function createResultItem(result, type, fixKindCounts = {}) {
+
+    const canNavigate = isResultNavigable(result);
+
+
+
+    let showButton = '';
+
+    if (result.resolved) {
+
+        showButton = `<span class="fix-status">${t('ui.resolved')}</span>`;
+
+    } else if (canNavigate) {
+
+        showButton = `<button class="show-error-btn" onclick="goToError(${result.id})">${t('ui.show')}</button>`;
+
+    }
+
+
+
+    // Caption paired with a table or figure: second button to jump to it
+
+    const relatedButton = result.related && !result.resolved
+
+        ? `<button class="show-error-btn" onclick="goToRelated(${result.id})">${t('ui.showCaption')}</button>`
+
+        : '';
+
+
+
+    // Titles and descriptions quote document text (headings, captions)
+
+    return `
+
+<div class="result-item ${type}${result.resolved ? ' resolved' : ''}${result.id === activeResultId ? ' active' : ''}">
+
+<div class="result-header">
+
+<span class="result-title">${escapeHtml(result.title)}</span>
+
+${relatedButton}
+
+${showButton}
+
+</div>
+
+<div class="result-description">${escapeHtml(result.description)}</div>
+
+<div class="result-location">${escapeHtml(result.location || '')}</div>
+
+${createFixActions(result, fixKindCounts)}
+
+${createSuppressActions(result)}
+
+</div>
+
+`;
+
+}
+
+
+
+function createFixActions(result, fixKindCounts) {
+
+    if (!result.fix || result.resolved) return '';
+
+
+
+    if (result.fixed) {
+
+        return `<div class="result-actions"><span class="fix-status">${t('ui.fixed')}</span></div>`;
+
+    }
+
+
+
+    const sameKindCount = fixKindCounts[result.fix.kind] || 0;
+
+    const fixAllButton = sameKindCount > 1
+
+        ? `<button class="fix-button" onclick="applyFixAll(${result.id})">${t('ui.fixAll', { count: sameKindCount })}</button>`
+
+        : '';
+
+
+
+    return `
+
+<div class="result-actions">
+
+<button class="fix-button" onclick="applyFix(${result.id})">${t('ui.fix')}</button>
+
+${fixAllButton}
+
+</div>
+
+`;
+
+}
+
+
+
+// ============================================
+
+// NAVIGATE TO ERROR (Hataya Git)
+
+// ============================================
+
+
+
+async function goToError(resultId) {
+
+    const result = getResultById(resultId);
+
+    if (!result) return;
+
+
+
+    activeResultId = resultId;
+
+
+
+    try {
+
+        await Word.run(async (context) => {
+
+            if (result.target) {
+
+                await selectResultTarget(context, result.target);
+
+                logStep('NAVIGATE', `Navigated to ${result.target.kind} ${result.target.index + 1}`);
+
+                return;
+
+            }
+
+
+
+            const [paragraph] = await resolveParagraphs(context, [getResultTarget(result)]);
+
+
+
+            if (!paragraph) {
+
+                // The anchored text no longer exists: the finding is gone with it
+
+                result.resolved = true;
+
+                logStep('NAVIGATE', `Anchor of result ${resultId} no longer exists`);
+
+                return;
+
+            }
+
+
+
+            paragraph.select();
+
+            await context.sync();
+
+            logStep('NAVIGATE', `Navigated to result ${resultId} (paragraph ${result.paraIndex + 1})`);
+
+        });
+
+    } catch (error) {
+
+        console.error('Navigation error:', error);
+
+    }
+
+
+
+    displayResults();
+
+}
+
+
+
+/**
+
+* Select the paragraph linked to a finding (the caption of a table or figure)
+
+*/
+
+async function goToRelated(resultId) {
+
+    const result = getResultById(resultId);
+
+    if (!result || !result.related) return;
+
+
+
+    activeResultId = resultId;
+
+
+
+    try {
+
+        await Word.run(async (context) => {
+
+            const [paragraph] = await resolveParagraphs(context, [result.related]);
+
+            if (!paragraph) {
+
+                logStep('NAVIGATE', `Related paragraph of result ${resultId} no longer exists`);
+
+                return;
+
+            }
+
+
+
+            paragraph.select();
+
+            await context.sync();
+
+            logStep('NAVIGATE', `Navigated to paragraph ${result.related.paraIndex + 1} related to result ${resultId}`);
+
+        });
+
+    } catch (error) {
+
+        console.error('Navigation error:', error);
+
+    }
+
+
+
+    displayResults();
+
+}
+
+
+
+function isResultNavigable(result) {
+
+    return !!result.target || !!result.anchor || (result.paraIndex !== null && result.paraIndex !== undefined);
+
+}
+
+
+
+/**
+
+* Select a non-paragraph target: table, inline picture, the first paragraph
+
+* of a section, or a section's primary footer (opens the footer for editing)
+
+*/
+
+async function selectResultTarget(context, target) {
+
+    switch (target.kind) {
+
+        case 'table': {
+
+            const tables = context.document.body.tables;
+
+            tables.load('items');
+
+            await context.sync();
+
+            if (tables.items[target.index]) tables.items[target.index].select();
+
+            break;
+
+        }
+
+        case 'picture': {
+
+            const pictures = context.document.body.inlinePictures;
+
+            pictures.load('items');
+
+            await context.sync();
+
+            if (pictures.items[target.index]) pictures.items[target.index].select();
+
+            break;
+
+        }
+
+        case 'section':
+
+        case 'footer': {
+
+            const sections = context.document.sections;
+
+            sections.load('items');
+
+            await context.sync();
+
+            const section = sections.items[target.index];
+
+            if (!section) break;
+
+            if (target.kind === 'footer') {
+
+                section.getFooter('Primary').select();
+
+            } else {
+
+                section.body.paragraphs.getFirst().select();
+
+            }
+
+            break;
+
+        }
+
+    }
+
+    await context.sync();
+
+}
+
+
+
+/**
+
+* Step through visible, navigable findings in document order
+
+* @param {number} direction - -1 for previous, 1 for next
+
+*/
+
+async function stepResult(direction) {
+
+    const ordered = validationResults
+
+        .filter(r => isResultNavigable(r) && !r.resolved && isResultVisible(r) &&
+
+            r.order !== null && r.order !== undefined)
+
+        .sort((a, b) => (a.order - b.order) || (a.id - b.id));
+
+    if (ordered.length === 0) return;
+
+
+
+    const position = ordered.findIndex(r => r.id === activeResultId);
+
+    let next;
+
+    if (position < 0) {
+
+        next = direction > 0 ? 0 : ordered.length - 1;
+
+    } else {
+
+        next = (position + direction + ordered.length) % ordered.length;
+
+    }
+
+
+
+    await goToError(ordered[next].id);
+
+}
+
+
+
+// ============================================
+
+// RESULT ANCHORS (Kalıcı Bağlantılar)
+
+// ============================================
+
+
+
+// Hidden bookmarks (leading underscore) so anchors never show in the Bookmark dialog
+
+const ANCHOR_PREFIX = '_EBYU_';
+
+
+
+function isAnchorSupported() {
+
+    return Office.context.requirements.isSetSupported('WordApi', '1.4');
+
+}
+
+
+
+function isAnchorName(name) {
+
+    return (name || '').toUpperCase().startsWith(ANCHOR_PREFIX);
+
+}
+
+
+
+function getParagraphChapter(paraIndex) {
+
+    const paraData = paragraphSnapshot[paraIndex];
+
+    return paraData ? paraData.chapter || null : null;
+
+}
+
+
+
+function getResultTarget(result) {
+
+    const paraData = paragraphSnapshot[result.paraIndex] || {};
+
+    return { paraIndex: result.paraIndex, text: paraData.text, anchor: result.anchor || null };
+
+}
+
+
+
+/**
+
+* Bookmark every flagged paragraph so its findings keep pointing at the same
+
+* text after edits. Anchors from earlier scans are reused; unused ones deleted.
+
+*/
+
+async function assignResultAnchors(context, paragraphDataList, options = {}) {
+
+    if (!isAnchorSupported()) {
+
+        logStep('ANCHOR', 'WordApi 1.4 not available, falling back to paragraph indexes');
+
+        return;
+
+    }
+
+    if (markingMode === MARKING_MODES.PANEL) return;
+
+
+
+    try {
+
+        const flagged = [...new Set(validationResults
+
+            .filter(r => r.paraIndex !== null && r.paraIndex !== undefined && paragraphDataList[r.paraIndex])
+
+            .map(r => r.paraIndex))];
+
+
+
+        // BATCH LOAD: existing bookmarks of the whole body and of each flagged paragraph
+
+        const allBookmarks = context.document.body.getRange('Whole').getBookmarks(true, false);
+
+        const ownBookmarks = new Map();
+
+        for (const index of flagged) {
+
+            ownBookmarks.set(index, paragraphDataList[index].paragraph.getRange('Whole').getBookmarks(true, false));
+
+        }
+
+        await context.sync();
+
+
+
+        const stamp = Date.now().toString(36);
+
+        const anchorByIndex = new Map();
+
+        for (const index of flagged) {
+
+            const existing = ownBookmarks.get(index).value.find(isAnchorName);
+
+            const name = existing || `${ANCHOR_PREFIX}${stamp}_${index.toString(36)}`;
+
+            if (!existing) {
+
+                paragraphDataList[index].paragraph.getRange('Whole').insertBookmark(name);
+
+            }
+
+            anchorByIndex.set(index, name);
+
+        }
+
+
+
+        // Drop anchors of paragraphs that are no longer flagged (not on partial
+
+        // scans: paragraphs outside the scope were not checked)
+
+        const inUse = new Set(Array.from(anchorByIndex.values(), name => name.toUpperCase()));
+
+        let deleted = 0;
+
+        for (const name of allBookmarks.value) {
+
+            if (!options.keepStale && isAnchorName(name) && !inUse.has(name.toUpperCase())) {
+
+                context.document.deleteBookmark(name);
+
+                deleted++;
+
+            }
+
+        }
+
+
+
+        for (const result of validationResults) {
+
+            if (anchorByIndex.has(result.paraIndex)) {
+
+                result.anchor = anchorByIndex.get(result.paraIndex);
+
+            }
+
+        }
+
+
+
+        await context.sync();
+
+        logStep('ANCHOR', `Anchored ${anchorByIndex.size} paragraphs, removed ${deleted} stale anchors`);
+
+    } catch (error) {
+
+        logStep('ANCHOR', `Anchor assignment failed: ${error.message}`);
+
+    }
+
+}
+
+
+
+/**
+
+* Resolve targets ({ paraIndex, text, anchor }) to Word paragraphs.
+
+* Anchored targets use their bookmark; a deleted bookmark resolves to null.
+
+* Targets without an anchor fall back to text matching around the old index.
+
+*/
+
+async function resolveParagraphs(context, targets) {
+
+    const paragraphs = context.document.body.paragraphs;
+
+    paragraphs.load('items/text');
+
+
+
+    const anchorRanges = targets.map(target => {
+
+        if (!target.anchor || !isAnchorSupported()) return null;
+
+        const range = context.document.getBookmarkRangeOrNullObject(target.anchor);
+
+        range.load('text');
+
+        return range;
+
+    });
+
+    await context.sync();
+
+
+
+    return targets.map((target, i) => {
+
+        const range = anchorRanges[i];
+
+        if (!range) return resolveParagraph(paragraphs.items, target);
+
+        if (range.isNullObject || isAnchorTextDeleted(range.text, target)) return null;
+
+        return range.paragraphs.getFirst();
+
+    });
+
+}
+
+
+
+function isAnchorTextDeleted(currentText, target) {
+
+    // Ghost headings are empty by definition; only a removed bookmark resolves them
+
+    return !matchesTargetText(target, '') && (currentText || '').trim().length === 0;
+
+}
+
+
+
+/**
+
+* Mark findings whose anchored text was deleted as resolved
+
+*/
+
+async function refreshResultAnchors() {
+
+    if (isScanning || !isAnchorSupported()) return;
+
+
+
+    const anchored = validationResults.filter(r => r.anchor && !r.resolved);
+
+    if (anchored.length === 0) return;
+
+
+
+    try {
+
+        let changed = 0;
+
+        await Word.run(async (context) => {
+
+            const ranges = anchored.map(result => {
+
+                const range = context.document.getBookmarkRangeOrNullObject(result.anchor);
+
+                range.load('text');
+
+                return range;
+
+            });
+
+            await context.sync();
+
+
+
+            anchored.forEach((result, i) => {
+
+                if (ranges[i].isNullObject || isAnchorTextDeleted(ranges[i].text, getResultTarget(result))) {
+
+                    result.resolved = true;
+
+                    changed++;
+
+                }
+
+            });
+
+        });
+
+
+
+        if (changed > 0) {
+
+            logStep('ANCHOR', `${changed} finding(s) resolved by deleted text`);
+
+            displayResults();
+
+        }
+
+    } catch (error) {
+
+        logStep('ANCHOR', `Anchor refresh failed: ${error.message}`);
+
+    }
+
+}
+
+
+
+// ============================================
+
+// AUTO-FIX (Otomatik Düzeltme)
+
+// ============================================
+
+
+
+/**
+
+* Fixable properties. Each one maps an expected value to the concrete
+
+* Word.Paragraph properties that have to be written (dot path => value).
+
+*/
+
+const FIX_PROPERTIES = {
+
+    fontName: { writes: v => ({ 'font.name': v }) },
+
+    fontSize: { writes: v => ({ 'font.size': v }) },
+
+    bold: { writes: v => ({ 'font.bold': v }) },
+
+    italic: { writes: v => ({ 'font.italic': v }) },
+
+    alignment: { writes: v => ({ alignment: v }) },
+
+    firstLineIndent: { writes: v => ({ firstLineIndent: v }) },
+
+    leftIndent: { writes: v => ({ leftIndent: v }) },
+
+    rightIndent: { writes: v => ({ rightIndent: v }) },
+
+    hangingIndent: { writes: v => ({ leftIndent: v, firstLineIndent: -v }) },
+
+    firstLineStart: { writes: v => ({ leftIndent: 0, firstLineIndent: v }) },
+
+    lineSpacing: { writes: v => ({ lineSpacing: v }) },
+
+    spaceBefore: { writes: v => ({ spaceBefore: v }) },
+
+    spaceAfter: { writes: v => ({ spaceAfter: v }) }
+
+};
+
+
+
+/**
+
+* Build a typed fix descriptor for a paragraph finding
+
+* @param {number} paraIndex - Index of the target paragraph in body.paragraphs
+
+* @param {string} property - FIX_PROPERTIES key
+
+* @param {*} value - Expected value (points for sizes/indents/spacing)
+
+*/
+
+function createFix(paraIndex, property, value) {
+
+    return { target: 'paragraph', paraIndex, property, value, kind: null };
+
+}
+
+
+
+/**
+
+* Fix kind used by "fix all of this kind". It includes the paragraph type,
+
+* the zone and whether the paragraph sits in a table, so a body text rule
+
+* is never applied to table text or to another zone's paragraphs.
+
+*/
+
+function getFixKind(fix, paraType, zone, paraData) {
+
+    const container = paraData.tableNestingLevel > 0 ? 'TABLE' : 'TEXT';
+
+    return [paraType, zone, container, fix.property, fix.value].join('|');
+
+}
+
+
+
+function getFixChanges(fix) {
+
+    const definition = FIX_PROPERTIES[fix.property];
+
+    return definition ? definition.writes(fix.value) : {};
+
+}
+
+
+
+function setParagraphProperty(paragraph, path, value) {
+
+    if (path.startsWith('font.')) {
+
+        paragraph.font[path.substring(5)] = value;
+
+    } else {
+
+        paragraph[path] = value;
+
+    }
+
+}
+
+
+
+function countOpenFixKinds() {
+
+    const counts = {};
+
+    for (const result of validationResults) {
+
+        if (result.fix && !result.fixed && !result.resolved) {
+
+            counts[result.fix.kind] = (counts[result.fix.kind] || 0) + 1;
+
+        }
+
+    }
+
+    return counts;
+
+}
+
+
+
+async function applyFix(resultId) {
+
+    const result = getResultById(resultId);
+
+    if (!result || !result.fix) return;
+
+    previewFixSession([result]);
+
+}
+
+
+
+async function applyFixAll(resultId) {
+
+    const result = getResultById(resultId);
+
+    if (!result || !result.fix) return;
+
+
+
+    const sameKind = validationResults.filter(r => r.fix && !r.fixed && !r.resolved && r.fix.kind === result.fix.kind);
+
+    previewFixSession(sameKind);
+
+}
+
+
+
+// ============================================
+
+// FIX SESSIONS (Önizleme ve Geri Alma)
+
+// ============================================
+
+
+
+/**
+
+* Value of a dot path ('font.size', 'alignment') on paragraph data or a loaded
+
+* Word.Paragraph; null when mixed or unknown
+
+*/
+
+function readParagraphValue(paraData, path) {
+
+    const value = path.startsWith('font.')
+
+        ? (paraData.font || {})[path.substring(5)]
+
+        : paraData[path];
+
+    return value === undefined ? null : value;
+
+}
+
+
+
+/**
+
+* Build a pending fix session: one row per paragraph property that will be
+
+* written. The preview shows the last scan's value as 'before'; applying
+
+* replaces it with the value read from the document.
+
+*/
+
+function createFixSession(results) {
+
+    const rowsByKey = new Map();
+
+
+
+    for (const result of results) {
+
+        for (const fix of getResultFixes(result)) {
+
+            const { paraIndex } = fix;
+
+            const paraData = paragraphSnapshot[paraIndex];
+
+            if (!paraData) continue;
+
+
+
+            const changes = getFixChanges(fix);
+
+            for (const path of Object.keys(changes)) {
+
+                const key = `${paraIndex}|${path}`;
+
+                const row = rowsByKey.get(key) || {
+
+                    paraIndex,
+
+                    text: paraData.text,
+
+                    anchor: paraIndex === result.paraIndex ? result.anchor || null : null,
+
+                    path,
+
+                    before: readParagraphValue(paraData, path),
+
+                    applied: false,
+
+                    results: []
+
+                };
+
+                row.after = changes[path];
+
+                row.results.push(result);
+
+                rowsByKey.set(key, row);
+
+            }
+
+        }
+
+    }
+
+
+
+    return {
+
+        id: fixSessions.length + 1,
+
+        createdAt: new Date().toISOString(),
+
+        results, // References: results of a later scan are never touched
+
+        rows: Array.from(rowsByKey.values()).sort((a, b) => a.paraIndex - b.paraIndex),
+
+        status: 'pending'
+
+    };
+
+}
+
+
+
+function previewFixSession(results) {
+
+    if (isScanning || results.length === 0) return;
+
+
+
+    pendingFixSession = createFixSession(results);
+
+    logStep('FIX', `Prepared fix session with ${pendingFixSession.rows.length} change(s)`);
+
+    displayFixPreview();
+
+}
+
+
+
+function cancelFixSession() {
+
+    pendingFixSession = null;
+
+    displayFixPreview();
+
+}
+
+
+
+async function confirmFixSession() {
+
+    const session = pendingFixSession;
+
+    if (!session) return;
+
+
+
+    pendingFixSession = null;
+
+    displayFixPreview();
+
+
+
+    const written = await writeSessionValues(session, 'after');
+
+    if (written === null) return;
+
+
+
+    session.status = 'applied';
+
+    session.appliedAt = new Date().toISOString();
+
+    fixSessions.push(session);
+
+    setSessionResultsFixed(session, true);
+
+
+
+    logStep('FIX', `Session ${session.id}: applied ${written}/${session.rows.length} change(s)`);
+
+    displayFixSessions();
+
+    displayResults();
+
+}
+
+
+
+async function revertFixSession(sessionId) {
+
+    const session = fixSessions.find(s => s.id === sessionId);
+
+    if (!session || session.status !== 'applied') return;
+
+
+
+    const written = await writeSessionValues(session, 'before');
+
+    if (written === null) return;
+
+
+
+    const applied = session.rows.filter(row => row.applied).length;
+
+    session.status = 'reverted';
+
+    session.skipped = applied - written;
+
+    setSessionResultsFixed(session, false);
+
+
+
+    logStep('FIX', `Session ${session.id}: reverted ${written}/${applied} change(s)`);
+
+    displayFixSessions();
+
+    displayResults();
+
+}
+
+
+
+/**
+
+* Flag the findings of a session whose every change was written; rows skipped
+
+* for a missing paragraph or value leave their findings open
+
+*/
+
+function setSessionResultsFixed(session, fixed) {
+
+    for (const result of session.results) {
+
+        const rows = session.rows.filter(row => row.results.includes(result));
+
+        if (rows.length > 0 && rows.every(row => row.applied)) {
+
+            result.fixed = fixed;
+
+        }
+
+    }
+
+}
+
+
+
+/**
+
+* Short FNV-1a hash of a paragraph text (trimmed); saved places keep this
+
+* instead of the text itself
+
+*/
+
+function getTextHash(text) {
+
+    const trimmed = (text || '').trim();
+
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < trimmed.length; i++) {
+
+        hash ^= trimmed.charCodeAt(i);
+
+        hash = Math.imul(hash, 0x01000193);
+
+    }
+
+    return (hash >>> 0).toString(36);
+
+}
+
+
+
+/**
+
+* Does the text belong to the target? Targets carry the text or its hash.
+
+*/
+
+function matchesTargetText(target, text) {
+
+    return target.textHash !== undefined ? getTextHash(text) === target.textHash : text === target.text;
+
+}
+
+
+
+/**
+
+* Find the paragraph of an unanchored target. Indexes shift when the user edits
+
+* elsewhere, so the recorded text is matched, nearest to the old index first.
+
+*/
+
+function resolveParagraph(paragraphItems, target) {
+
+    const { paraIndex } = target;
+
+    const candidate = paragraphItems[paraIndex];
+
+    if (candidate && matchesTargetText(target, candidate.text)) return candidate;
+
+
+
+    for (let offset = 1; offset < paragraphItems.length; offset++) {
+
+        const before = paragraphItems[paraIndex - offset];
+
+        if (before && matchesTargetText(target, before.text)) return before;
+
+
+
+        const after = paragraphItems[paraIndex + offset];
+
+        if (after && matchesTargetText(target, after.text)) return after;
+
+
+
+        if (!before && !after) break;
+
+    }
+
+    return null;
+
+}
+
+
+
+/**
+
+* Write the 'after' (apply) or 'before' (revert) value of the session rows.
+
+* Applying first reads each property's current value as the revert baseline
+
+* and flags the rows it writes; reverting only touches those rows.
+
+* @returns {number|null} - Number of rows written, null if Word rejected the batch
+
+*/
+
+async function writeSessionValues(session, side) {
+
+    const applying = side === 'after';
+
+    const rows = applying ? session.rows : session.rows.filter(row => row.applied);
+
+
+
+    try {
+
+        const writtenRows = [];
+
+        await Word.run(async (context) => {
+
+            const targets = await resolveParagraphs(context, rows);
+
+
+
+            if (applying) {
+
+                targets.forEach((paragraph, i) => {
+
+                    if (paragraph) paragraph.load(rows[i].path.replace('.', '/'));
+
+                });
+
+                await context.sync();
+
+                rows.forEach((row, i) => {
+
+                    row.before = targets[i] ? readParagraphValue(targets[i], row.path) : null;
+
+                });
+
+            }
+
+
+
+            for (let i = 0; i < rows.length; i++) {
+
+                const row = rows[i];
+
+                const value = row[side];
+
+                // Mixed or unreadable originals cannot be restored
+
+                if (value === null) continue;
+
+
+
+                const paragraph = targets[i];
+
+                if (!paragraph) continue;
+
+
+
+                setParagraphProperty(paragraph, row.path, value);
+
+                writtenRows.push(row);
+
+            }
+
+
+
+            await context.sync();
+
+        });
+
+        if (applying) writtenRows.forEach(row => { row.applied = true; });
+
+        return writtenRows.length;
+
+    } catch (error) {
+
+        logStep('FIX', `Session ${session.id} write failed: ${error.message}`);
+
+        console.error('Fix session error:', error);
+
+        return null;
+
+    }
+
+}
+
+
+
+function getFixPathLabel(path) {
+
+    const label = t(`fix.path.${path}`);
+
+    return label === `fix.path.${path}` ? path : label;
+
+}
+
+
+
+function formatFixValue(path, value) {
+
+    if (value === null || value === undefined) return t('fix.mixed');
+
+    if (typeof value === 'boolean') return t(value ? 'fix.yes' : 'fix.no');
+
+    if (/Indent$/.test(path)) return `${formatMessageValue(pointsToCm(value))} cm`;
+
+    if (path === 'font.size') return `${formatMessageValue(value)} pt`;
+
+    if (path === 'lineSpacing') return `${formatMessageValue(Number(Number(value).toFixed(1)))} pt`;
+
+    if (/^space/.test(path)) return `${formatMessageValue(Number(Number(value).toFixed(1)))} nk`;
+
+    return String(value);
+
+}
+
+
+
+function displayFixPreview() {
+
+    const section = document.getElementById('fixPreviewSection');
+
+    if (!section) return;
+
+
+
+    if (!pendingFixSession) {
+
+        section.classList.add('hidden');
+
+        section.innerHTML = '';
+
+        return;
+
+    }
+
+
+
+    const rows = pendingFixSession.rows.map(row => `
+
+<tr>
+
+<td>${row.paraIndex + 1}</td>
+
+<td>${getFixPathLabel(row.path)}</td>
+
+<td>${formatFixValue(row.path, row.before)}</td>
+
+<td>${formatFixValue(row.path, row.after)}</td>
+
+</tr>`).join('');
+
+
+
+    section.innerHTML = `
+
+<div class="fix-preview-title">${t('fix.previewTitle', { count: pendingFixSession.rows.length })}</div>
+
+<table class="fix-preview-table">
+
+<thead><tr><th>${t('fix.colParagraph')}</th><th>${t('fix.colProperty')}</th><th>${t('fix.colBefore')}</th><th>${t('fix.colAfter')}</th></tr></thead>
+
+<tbody>${rows}</tbody>
+
+</table>
+
+<div class="result-actions">
+
+<button class="fix-button" onclick="confirmFixSession()">${t('fix.apply')}</button>
+
+<button class="show-button" onclick="cancelFixSession()">${t('fix.cancel')}</button>
+
+</div>
+
+`;
+
+    section.classList.remove('hidden');
+
+}
+
+
+
+function displayFixSessions() {
+
+    const section = document.getElementById('fixSessionsSection');
+
+    if (!section) return;
+
+
+
+    if (fixSessions.length === 0) {
+
+        section.classList.add('hidden');
+
+        return;
+
+    }
+
+
+
+    const items = fixSessions.slice().reverse().map(session => {
+
+        const time = new Date(session.appliedAt || session.createdAt).toLocaleTimeString(getUiLocale());
+
+        const action = session.status === 'applied'
+
+            ? `<button class="show-button" onclick="revertFixSession(${session.id})">${t('fix.revert')}</button>`
+
+            : `<span class="fix-status">${session.skipped ? t('fix.revertedSkipped', { count: session.skipped }) : t('fix.reverted')}</span>`;
+
+        return `
+
+<div class="fix-session-item">
+
+<span>${t('fix.session', { id: session.id, time, count: session.rows.length })}</span>
+
+${action}
+
+</div>`;
+
+    }).join('');
+
+
+
+    section.innerHTML = `<div class="fix-preview-title">${t('fix.sessionsTitle')}</div>${items}`;
+
+    section.classList.remove('hidden');
+
+}
+
+
+
+// ============================================
+
+// REPORT EXPORT (Rapor Dışa Aktarma)
+
+// ============================================
+
+
+
+const EXPORT_FORMATS = {
+
+    html: { extension: 'html', mimeType: 'text/html;charset=utf-8', build: buildReportHtml },
+
+    json: { extension: 'json', mimeType: 'application/json;charset=utf-8', build: buildReportJson },
+
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8', build: buildReportCsv }
+
+};
+
+
+
+const EXPORT_HANDOFF_KEY = 'ebyuReportExport'; // localStorage handoff to report-dialog.html
+
+const CSV_COLUMNS = ['id', 'type', 'severity', 'ruleId', 'title', 'description', 'location', 'chapter', 'paragraph', 'status'];
+
+
+
+function getDocumentName() {
+
+    try {
+
+        const url = Office.context.document.url || '';
+
+        return decodeURIComponent(url.split(/[\\/]/).pop()) || null;
+
+    } catch (e) {
+
+        return null;
+
+    }
+
+}
+
+
+
+function getResultStatus(result) {
+
+    if (result.fixed) return 'fixed';
+
+    if (result.resolved) return 'resolved';
+
+    return 'open';
+
+}
+
+
+
+/**
+
+* Everything the export formats need, taken from the current results
+
+*/
+
+function buildReportData() {
+
+    const count = type => validationResults.filter(r => r.type === type).length;
+
+
+
+    // Per-chapter breakdown of errors and warnings, in document order
+
+    const chapters = new Map();
+
+    for (const result of validationResults) {
+
+        if (result.type === 'success') continue;
+
+        const name = result.chapter || t('location.document');
+
+        if (!chapters.has(name)) chapters.set(name, { chapter: name, errors: 0, warnings: 0 });
+
+        chapters.get(name)[result.type === 'error' ? 'errors' : 'warnings']++;
+
+    }
+
+
+
+    return {
+
+        generatedAt: new Date().toISOString(),
+
+        document: getDocumentName(),
+
+        language: uiLanguage,
+
+        profile: { id: activeProfile.id, name: activeProfile.name, version: activeProfile.version || null },
+
+        thesisLanguage,
+
+        scan: lastScanInfo,
+
+        summary: { errors: count('error'), warnings: count('warning'), successes: count('success') },
+
+        chapters: Array.from(chapters.values()),
+
+        history: scanHistory,
+
+        suppressions,
+
+        results: validationResults.map(result => ({
+
+            id: result.id,
+
+            type: result.type,
+
+            severity: result.severity,
+
+            ruleId: result.ruleId || null,
+
+            title: result.title,
+
+            description: result.description,
+
+            location: result.location,
+
+            chapter: result.chapter || null,
+
+            paragraph: result.paraIndex !== null && result.paraIndex !== undefined ? result.paraIndex + 1 : null,
+
+            status: getResultStatus(result)
+
+        })),
+
+        log: scanLog
+
+    };
+
+}
+
+
+
+function buildReportJson(report) {
+
+    return JSON.stringify(report, null, 2);
+
+}
+
+
+
+function toCsvField(value) {
+
+    const text = value === null || value === undefined ? '' : String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+}
+
+
+
+function buildReportCsv(report) {
+
+    const lines = [CSV_COLUMNS.join(',')];
+
+    for (const result of report.results) {
+
+        lines.push(CSV_COLUMNS.map(column => toCsvField(result[column])).join(','));
+
+    }
+
+    // BOM so spreadsheet programs read the file as UTF-8 (Turkish characters)
+
+    return '\uFEFF' + lines.join('\r\n');
+
+}
+
+
+
+function getReportScopeLabel(scan) {
+
+    if (!scan || !scan.scope) return t('location.document');
+
+    return t(scan.mode === SCAN_MODES.SELECTION ? 'location.selection' : 'location.chapter', scan.scope);
+
+}
+
+
+
+/**
+
+* Standalone HTML page (inline styles, no scripts) that can be archived or
+
+* sent to an advisor
+
+*/
+
+function buildReportHtml(report) {
+
+    const formatDate = iso => new Date(iso).toLocaleString(getUiLocale());
+
+    const metaRows = [
+
+        [t('report.document'), report.document || '-'],
+
+        [t('report.generatedAt'), formatDate(report.generatedAt)],
+
+        [t('report.scannedAt'), report.scan ? formatDate(report.scan.finishedAt) : '-'],
+
+        [t('report.scope'), getReportScopeLabel(report.scan)],
+
+        [t('report.profile'), `${report.profile.name}${report.profile.version ? ` (${report.profile.version})` : ''}`],
+
+        [t('report.thesisLanguage'), t(`language.${report.thesisLanguage}`)]
+
+    ].map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+
+
+    const chapterRows = report.chapters.map(chapter =>
+
+        `<tr><td>${escapeHtml(chapter.chapter)}</td><td class="num">${chapter.errors}</td><td class="num">${chapter.warnings}</td></tr>`
+
+    ).join('');
+
+
+
+    const findingRows = report.results.map(result => `
+
+<tr class="${result.type}">
+
+<td class="num">${result.id + 1}</td>
+
+<td>${escapeHtml(t(`report.type.${result.type}`))}${result.status !== 'open' ? `<br><small>${escapeHtml(t(`report.status.${result.status}`))}</small>` : ''}</td>
+
+<td><code>${escapeHtml(result.ruleId || '-')}</code></td>
+
+<td><strong>${escapeHtml(result.title)}</strong><br>${escapeHtml(result.description)}</td>
+
+<td>${escapeHtml(result.location)}</td>
+
+<td>${escapeHtml(result.chapter || '')}</td>
+
+</tr>`).join('');
+
+
+
+    return `<!DOCTYPE html>
+
+<html lang="${report.language}">
+
+<head>
+
+<meta charset="UTF-8">
+
+<title>${escapeHtml(t('report.title'))}${report.document ? ` - ${escapeHtml(report.document)}` : ''}</title>
+
+<style>
+
+body { font-family: 'Segoe UI', Tahoma, sans-serif; max-width: 960px; margin: 32px auto; padding: 0 16px; color: #1f2937; }
+
+h1 { font-size: 22px; border-bottom: 2px solid #2563eb; padding-bottom: 8px; }
+
+h2 { font-size: 16px; margin-top: 28px; }
+
+table { width: 100%; border-collapse: collapse; font-size: 13px; }
+
+th, td { border: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; vertical-align: top; }
+
+th { background: #f3f4f6; }
+
+.meta th { width: 180px; }
+
+.num { text-align: right; white-space: nowrap; }
+
+.counts { display: flex; gap: 12px; }
+
+.count { flex: 1; border-radius: 6px; padding: 12px; text-align: center; font-size: 13px; }
+
+.count strong { display: block; font-size: 24px; }
+
+.count.error, tr.error td:first-child { background: #fee2e2; }
+
+.count.warning, tr.warning td:first-child { background: #fef3c7; }
+
+.count.success, tr.success td:first-child { background: #dcfce7; }
+
+</style>
+
+</head>
+
+<body>
+
+<h1>${escapeHtml(t('report.title'))}</h1>
+
+<table class="meta">${metaRows}</table>
+
+<h2>${escapeHtml(t('report.summary'))}</h2>
+
+<div class="counts">
+
+<div class="count error"><strong>${report.summary.errors}</strong>${escapeHtml(t('ui.statErrors'))}</div>
+
+<div class="count warning"><strong>${report.summary.warnings}</strong>${escapeHtml(t('ui.statWarnings'))}</div>
+
+<div class="count success"><strong>${report.summary.successes}</strong>${escapeHtml(t('ui.statSuccess'))}</div>
+
+</div>
+
+<h2>${escapeHtml(t('report.chapters'))}</h2>
+
+<table>
+
+<thead><tr><th>${escapeHtml(t('report.colChapter'))}</th><th class="num">${escapeHtml(t('ui.statErrors'))}</th><th class="num">${escapeHtml(t('ui.statWarnings'))}</th></tr></thead>
+
+<tbody>${chapterRows || `<tr><td colspan="3">${escapeHtml(t('ui.noFindings'))}</td></tr>`}</tbody>
+
+</table>
+
+<h2>${escapeHtml(t('report.findings'))}</h2>
+
+<table>
+
+<thead><tr><th class="num">#</th><th>${escapeHtml(t('report.colType'))}</th><th>${escapeHtml(t('report.colRule'))}</th><th>${escapeHtml(t('report.colFinding'))}</th><th>${escapeHtml(t('report.colLocation'))}</th><th>${escapeHtml(t('report.colChapter'))}</th></tr></thead>
+
+<tbody>${findingRows}</tbody>
+
+</table>
+
+</body>
+
+</html>
+
+`;
+
+}
+
+
+
+/**
+
+* @returns {{filename: string, mimeType: string, content: string}}
+
+*/
+
+function buildExportFile(format) {
+
+    const exportFormat = EXPORT_FORMATS[format] || EXPORT_FORMATS.html;
+
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+
+    return {
+
+        filename: `ebyu-rapor-${stamp}.${exportFormat.extension}`,
+
+        mimeType: exportFormat.mimeType,
+
+        format,
+
+        content: exportFormat.build(buildReportData())
+
+    };
+
+}
+
+
+
+function setExportStatus(message, isError = false) {
+
+    const status = document.getElementById('exportStatus');
+
+    if (!status) return;
+
+    status.textContent = message;
+
+    status.classList.toggle('error', isError);
+
+}
+
+
+
+function downloadReport(format) {
+
+    const file = buildExportFile(format);
+
+    try {
+
+        const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+
+        const link = document.createElement('a');
+
+        link.href = url;
+
+        link.download = file.filename;
+
+        document.body.appendChild(link);
+
+        link.click();
+
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+
+
+        // Some Office hosts ignore downloads silently, so point at the dialog too
+
+        setExportStatus(t('export.downloaded', { filename: file.filename }));
+
+        logStep('EXPORT', `Downloaded ${file.filename}`);
+
+    } catch (error) {
+
+        logStep('EXPORT', `Download failed, opening dialog: ${error.message}`);
+
+        openReportDialog(format);
+
+    }
+
+}
+
+
+
+/**
+
+* Show the report in an Office dialog (a regular browser window, where saving
+
+* always works). The file goes over messageChild where supported, otherwise
+
+* through localStorage.
+
+*/
+
+function openReportDialog(format) {
+
+    const file = buildExportFile(format);
+
+    file.labels = { download: t('export.download'), copy: t('export.copy') };
+
+
+
+    try {
+
+        localStorage.setItem(EXPORT_HANDOFF_KEY, JSON.stringify(file));
+
+    } catch (e) {
+
+        logStep('EXPORT', `Report handoff not stored: ${e.message}`);
+
+    }
+
+
+
+    const url = new URL('report-dialog.html', window.location.href).href;
+
+    Office.context.ui.displayDialogAsync(url, { height: 80, width: 70 }, (asyncResult) => {
+
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+
+            setExportStatus(t('export.dialogFailed', { message: asyncResult.error.message }), true);
+
+            logStep('EXPORT', `Dialog failed: ${asyncResult.error.message}`);
+
+            return;
+
+        }
+
+
+
+        const dialog = asyncResult.value;
+
+        dialog.addEventHandler(Office.EventType.DialogMessageReceived, (arg) => {
+
+            if (arg.message === 'ready' && Office.context.requirements.isSetSupported('DialogApi', '1.2')) {
+
+                dialog.messageChild(JSON.stringify(file));
+
+            }
+
+        });
+
+        setExportStatus('');
+
+        logStep('EXPORT', `Opened ${file.filename} in dialog`);
+
+    });
+
+}
+
+
+
+// ============================================
+
+// REPORT INSERTION (Rapor Ekleme)
+
+// ============================================
+
+
+
+const REPORT_TAG = 'ebyu-format-report';
+
+const REPORT_HEADING_PATTERN = /^(FORMAT UYGUNLUK RAPORU|FORMAT COMPLIANCE REPORT)$/i;
+
+const REPORT_TARGETS = { END: 'end', NEW_DOCUMENT: 'newDocument' };
+
+
+
+function isReportParagraph(paraIndex) {
+
+    const paraData = paragraphSnapshot[paraIndex];
+
+    return !!paraData && paraData.zone === ZONES.REPORT;
+
+}
+
+
+
+/**
+
+* Header row plus one row per open error/warning, grouped by chapter in
+
+* document order
+
+*/
+
+function buildReportTableValues(report) {
+
+    const remaining = report.results.filter(result => result.type !== 'success' && result.status === 'open');
+
+    const chapterOrder = new Map();
+
+    remaining.forEach(result => {
+
+        const chapter = result.chapter || t('location.document');
+
+        if (!chapterOrder.has(chapter)) chapterOrder.set(chapter, chapterOrder.size);
+
+    });
+
+
+
+    const rows = remaining
+
+        .map(result => ({ result, chapter: result.chapter || t('location.document') }))
+
+        .sort((a, b) => chapterOrder.get(a.chapter) - chapterOrder.get(b.chapter))
+
+        .map(({ result, chapter }) => [
+
+            chapter,
+
+            result.title,
+
+            result.location,
+
+            t(result.severity === 'CRITICAL' ? 'ui.severityCritical' : 'ui.severityFormat')
+
+        ]);
+
+
+
+    return [[t('report.colChapter'), t('report.colFinding'), t('report.colLocation'), t('report.colSeverity')], ...rows];
+
+}
+
+
+
+/**
+
+* Plain formatting for report paragraphs: Normal style with explicit values
+
+* so the report never inherits the look of the paragraph before it
+
+*/
+
+function formatReportParagraph(paragraph, options = {}) {
+
+    paragraph.styleBuiltIn = Word.BuiltInStyleName.normal;
+
+    paragraph.font.set({
+
+        name: EBYÜ_RULES.FONT_NAME,
+
+        size: options.size || EBYÜ_RULES.FONT_SIZE_BODY,
+
+        bold: !!options.bold,
+
+        italic: false,
+
+        highlightColor: null
+
+    });
+
+    paragraph.alignment = options.alignment || 'Left';
+
+    paragraph.firstLineIndent = 0;
+
+    paragraph.leftIndent = 0;
+
+    paragraph.spaceBefore = 0;
+
+    paragraph.spaceAfter = EBYÜ_RULES.SPACING_6NK;
+
+}
+
+
+
+/**
+
+* Fill the report below its heading paragraph
+
+* @param {Word.Paragraph} heading - Already inserted heading paragraph
+
+* @param {Word.Body|Word.ContentControl} container - Receives the rest at its end
+
+*/
+
+function writeReportContent(heading, container, report) {
+
+    formatReportParagraph(heading, { size: EBYÜ_RULES.FONT_SIZE_HEADING_MAIN, bold: true, alignment: 'Centered' });
+
+
+
+    const lines = [
+
+        [t('report.document'), report.document || '-'],
+
+        [t('report.scannedAt'), report.scan ? new Date(report.scan.finishedAt).toLocaleString(getUiLocale()) : '-'],
+
+        [t('report.scope'), getReportScopeLabel(report.scan)],
+
+        [t('report.profile'), `${report.profile.name}${report.profile.version ? ` (${report.profile.version})` : ''}`],
+
+        [t('report.counts'), t('report.countsValue', { errors: report.summary.errors, warnings: report.summary.warnings })]
+
+    ];
+
+    for (const [label, value] of lines) {
+
+        formatReportParagraph(container.insertParagraph(`${label}: ${value}`, 'End'));
+
+    }
+
+
+
+    formatReportParagraph(container.insertParagraph(t('report.remaining'), 'End'), { bold: true });
+
+
+
+    const values = buildReportTableValues(report);
+
+    if (values.length === 1) {
+
+        formatReportParagraph(container.insertParagraph(t('report.noRemaining'), 'End'));
+
+        return;
+
+    }
+
+
+
+    const table = container.insertTable(values.length, values[0].length, 'End', values);
+
+    table.headerRowCount = 1;
+
+    table.font.set({ name: EBYÜ_RULES.FONT_NAME, size: EBYÜ_RULES.TABLE_CONTENT_SIZE, highlightColor: null });
+
+    table.rows.getFirst().font.bold = true;
+
+}
+
+
+
+/**
+
+* Insert the report at the end of the document (inside a tagged content
+
+* control that replaces the previous report; no section break, so sections
+
+* and page numbering stay as they are) or into a new document
+
+* @param {string} target - REPORT_TARGETS value
+
+*/
+
+async function insertComplianceReport(target) {
+
+    if (!Office.context.requirements.isSetSupported('WordApi', '1.3')) {
+
+        setExportStatus(t('report.insertUnsupported'), true);
+
+        return;
+
+    }
+
+    if (target === REPORT_TARGETS.NEW_DOCUMENT && !Office.context.requirements.isSetSupported('WordApiHiddenDocument', '1.3')) {
+
+        setExportStatus(t('report.newDocumentUnsupported'), true);
+
+        return;
+
+    }
+
+
+
+    const report = buildReportData();
+
+    const headingText = t('report.title').toLocaleUpperCase(getUiLocale());
+
+
+
+    try {
+
+        await Word.run(async (context) => {
+
+            if (target === REPORT_TARGETS.NEW_DOCUMENT) {
+
+                const newDocument = context.application.createDocument();
+
+                const heading = newDocument.body.paragraphs.getFirst();
+
+                heading.insertText(headingText, 'Replace');
+
+                writeReportContent(heading, newDocument.body, report);
+
+                await context.sync();
+
+                newDocument.open();
+
+                await context.sync();
+
+                logStep('REPORT', 'Compliance report opened in a new document');
+
+                return;
+
+            }
+
+
+
+            const previous = context.document.body.contentControls.getByTag(REPORT_TAG);
+
+            previous.load('items');
+
+            await context.sync();
+
+            previous.items.forEach(control => control.delete(false));
+
+
+
+            // The page break goes inside the control so replacing the report removes it too
+
+            const heading = context.document.body.insertParagraph(headingText, 'End');
+
+            const control = heading.insertContentControl();
+
+            control.tag = REPORT_TAG;
+
+            control.title = t('report.title');
+
+            control.insertBreak(Word.BreakType.page, 'Start');
+
+            writeReportContent(heading, control, report);
+
+            await context.sync();
+
+
+
+            control.getRange('Start').select();
+
+            await context.sync();
+
+            logStep('REPORT', `Compliance report inserted (${previous.items.length} previous removed)`);
+
+        });
+
+        setExportStatus(t(target === REPORT_TARGETS.NEW_DOCUMENT ? 'report.insertedNew' : 'report.inserted'));
+
+    } catch (error) {
+
+        logStep('REPORT', `Report insertion failed: ${error.message}`);
+
+        setExportStatus(t('report.insertFailed', { message: error.message }), true);
+
+    }
+
+}
+
+
+
+// ============================================
+
+// SAVED SCAN (Son Tarama)
+
+// ============================================
+
+
+
+const LAST_SCAN_SETTING_KEY = 'ebyuLastScan';
+
+const LAST_SCAN_RESULT_LIMIT = 300; // Document settings are size limited; critical findings are kept first
+
+
+
+// Paragraph properties whose change makes a saved scan stale
+
+const SIGNATURE_PROPERTIES = [
+
+    'text', 'style', 'font/name', 'font/size', 'font/bold', 'font/italic', 'alignment',
+
+    'firstLineIndent', 'leftIndent', 'lineSpacing', 'spaceBefore', 'spaceAfter'
+
+];
+
+
+
+// Result fields kept in the document; fixes need a fresh paragraph snapshot
+
+const SAVED_RESULT_FIELDS = [
+
+    'id', 'type', 'title', 'description', 'location', 'locationRef', 'paraIndex', 'severity',
+
+    'timestamp', 'ruleId', 'params', 'chapter', 'order', 'anchor', 'textKey', 'target', 'related', 'resolved', 'fixed'
+
+];
+
+
+
+/**
+
+* FNV-1a hash over the formatting-relevant properties of every paragraph
+
+* (paragraphs must be loaded with SIGNATURE_PROPERTIES)
+
+*/
+
+function getDocumentSignature(paragraphItems) {
+
+    let hash = 0x811c9dc5;
+
+    for (const p of paragraphItems) {
+
+        const font = p.font || {};
+
+        const line = [p.text, p.style, font.name, font.size, font.bold, font.italic, p.alignment,
+
+            p.firstLineIndent, p.leftIndent, p.lineSpacing, p.spaceBefore, p.spaceAfter].join('\u241F');
+
+        for (let i = 0; i < line.length; i++) {
+
+            hash ^= line.charCodeAt(i);
+
+            hash = Math.imul(hash, 0x01000193);
+
+        }
+
+        hash ^= 0x0a;
+
+        hash = Math.imul(hash, 0x01000193);
+
+    }
+
+    return `${paragraphItems.length}:${(hash >>> 0).toString(16)}`;
+
+}
+
+
+
+function pickSavedResult(result) {
+
+    const saved = {};
+
+    for (const field of SAVED_RESULT_FIELDS) {
+
+        if (result[field] !== undefined) saved[field] = result[field];
+
+    }
+
+    return saved;
+
+}
+
+
+
+/**
+
+* Saved form of a rule finding: rule ID, params and place only. Title,
+
+* description and location are rendered again (in the UI language) on restore.
+
+*/
+
+function compactSavedResult(result) {
+
+    const saved = pickSavedResult(result);
+
+    delete saved.timestamp;
+
+    if (saved.ruleId) {
+
+        delete saved.title;
+
+        delete saved.description;
+
+    }
+
+    if (saved.locationRef) delete saved.location;
+
+    for (const field of Object.keys(saved)) {
+
+        if (saved[field] === null) delete saved[field];
+
+    }
+
+    return saved;
+
+}
+
+
+
+/**
+
+* Store the finished scan in the document settings so the pane can show it on reopen
+
+*/
+
+function saveLastScan(signature) {
+
+    const kept = validationResults
+
+        .filter(r => r.severity === 'CRITICAL')
+
+        .concat(validationResults.filter(r => r.severity !== 'CRITICAL'))
+
+        .slice(0, LAST_SCAN_RESULT_LIMIT);
+
+
+
+    const settings = Office.context.document.settings;
+
+    settings.set(LAST_SCAN_SETTING_KEY, {
+
+        savedAt: lastScanInfo.finishedAt,
+
+        signature,
+
+        profile: { id: activeProfile.id, name: activeProfile.name, version: activeProfile.version },
+
+        scan: lastScanInfo,
+
+        total: validationResults.length,
+
+        results: kept.map(compactSavedResult)
+
+    });
+
+    settings.saveAsync((asyncResult) => {
+
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+
+            const message = asyncResult.error ? asyncResult.error.message : '';
+
+            logStep('SAVED', `Last scan not saved: ${message}`);
+
+            setSaveStatus(t('lastScan.saveFailed', { message }), true);
+
+        } else {
+
+            setSaveStatus('');
+
+        }
+
+    });
+
+}
+
+
+
+function setSaveStatus(message, isError = false) {
+
+    const status = document.getElementById('saveStatus');
+
+    if (!status) return;
+
+    status.textContent = message;
+
+    status.classList.toggle('error', isError);
+
+}
+
+
+
+function removeLastScan() {
+
+    const settings = Office.context.document.settings;
+
+    if (!settings.get(LAST_SCAN_SETTING_KEY)) return;
+
+    settings.remove(LAST_SCAN_SETTING_KEY);
+
+    settings.saveAsync((asyncResult) => {
+
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+
+            logStep('SAVED', `Last scan not removed: ${asyncResult.error && asyncResult.error.message}`);
+
+        }
+
+    });
+
+}
+
+
+
+/**
+
+* "2 gün önce" / "2 days ago" in the UI language
+
+*/
+
+function formatRelativeTime(isoDate) {
+
+    const seconds = Math.round((new Date(isoDate).getTime() - Date.now()) / 1000);
+
+    const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+
+    const formatter = new Intl.RelativeTimeFormat(getUiLocale(), { numeric: 'always' });
+
+    for (const [unit, size] of units) {
+
+        if (Math.abs(seconds) >= size) return formatter.format(Math.trunc(seconds / size), unit);
+
+    }
+
+    return new Intl.RelativeTimeFormat(getUiLocale(), { numeric: 'auto' }).format(0, 'second');
+
+}
+
+
+
+function renderLastScanBanner() {
+
+    const banner = document.getElementById('lastScanBanner');
+
+    if (!banner) return;
+
+
+
+    if (!savedScanState) {
+
+        banner.classList.add('hidden');
+
+        return;
+
+    }
+
+
+
+    const { savedAt, profile, stale, saved, total } = savedScanState;
+
+    const profileChanged = profile.id !== activeProfile.id || profile.version !== activeProfile.version;
+
+    const stateKey = stale === null ? 'lastScan.checking' : (stale ? 'lastScan.stale' : 'lastScan.current');
+
+
+
+    document.getElementById('lastScanSummary').textContent =
+
+        t('lastScan.summary', { when: formatRelativeTime(savedAt), profile: `${profile.name} (${profile.version})` });
+
+    document.getElementById('lastScanState').textContent = [
+
+        t(stateKey),
+
+        profileChanged ? t('lastScan.profileChanged') : '',
+
+        total > saved ? t('lastScan.truncated', { saved, total }) : '',
+
+        t('lastScan.fixHint')
+
+    ].filter(Boolean).join(' ');
+
+
+
+    banner.classList.toggle('stale', stale === true);
+
+    banner.classList.remove('hidden');
+
+}
+
+
+
+/**
+
+* Show the scan saved in the document, then compare its signature with the
+
+* current document to flag it as stale
+
+*/
+
+async function restoreLastScan() {
+
+    const stored = Office.context.document.settings.get(LAST_SCAN_SETTING_KEY);
+
+    if (!stored || !Array.isArray(stored.results) || validationResults.length > 0) return;
+
+
+
+    // Compact entries carry no text: localizeResult renders it from the rule ID
+
+    validationResults = stored.results
+
+        .map(result => ({ paraIndex: null, ...result }))
+
+        .filter(result => !findSuppression(result));
+
+    validationResults.forEach(localizeResult);
+
+    nextResultId = validationResults.reduce((max, r) => Math.max(max, r.id + 1), 0);
+
+    lastScanInfo = stored.scan || null;
+
+    savedScanState = {
+
+        savedAt: stored.savedAt,
+
+        profile: stored.profile,
+
+        stale: null,
+
+        saved: stored.results.length,
+
+        total: stored.total || stored.results.length
+
+    };
+
+    renderLastScanBanner();
+
+    displayResults();
+
+    logStep('SAVED', `Restored ${validationResults.length} findings from ${stored.savedAt}`);
+
+
+
+    try {
+
+        // Partial scans save no signature: nothing to compare with
+
+        if (!stored.signature) throw new Error('no signature (partial scan)');
+
+
+
+        await Word.run(async (context) => {
+
+            const paragraphs = context.document.body.paragraphs;
+
+            paragraphs.load(SIGNATURE_PROPERTIES.map(prop => `items/${prop}`).join(','));
+
+            await context.sync();
+
+
+
+            if (!savedScanState) return; // A new scan started meanwhile
+
+            savedScanState.stale = getDocumentSignature(paragraphs.items) !== stored.signature;
+
+            logStep('SAVED', `Saved scan is ${savedScanState.stale ? 'stale' : 'current'}`);
+
+        });
+
+    } catch (error) {
+
+        logStep('SAVED', `Staleness check failed: ${error.message}`);
+
+        if (savedScanState) savedScanState.stale = true;
+
+    }
+
+    renderLastScanBanner();
+
+    refreshResultAnchors();
+
+}
+
+
+
+// ============================================
+
+// SCAN HISTORY (Tarama Geçmişi)
+
+// ============================================
+
+
+
+const HISTORY_SETTING_KEY = 'ebyuScanHistory';
+
+const HISTORY_LIMIT = 50; // Oldest entries are dropped to keep document settings small
+
+const HISTORY_CHART_POINTS = 20;
+
+
+
+// Results that summarize a scan instead of pointing at the thesis
+
+const SUMMARY_RULE_IDS = new Set(['SCAN_OK', 'SCAN_OK_PARTIAL', 'SCAN_SUMMARY', 'SCAN_FAILED', 'GHOST_HEADING_SUMMARY', 'ABSTRACT_DEBUG']);
+
+
+
+function isTrackedFinding(result) {
+
+    return result.type !== 'success' && !SUMMARY_RULE_IDS.has(result.ruleId);
+
+}
+
+
+
+/**
+
+* Same rule at the same place; anchors survive edits, the paragraph text key
+
+* serves where no anchor is set (panel marking), indexes are the last resort
+
+*/
+
+function getFindingKey(result) {
+
+    const place = (result.anchor && result.anchor.toUpperCase()) ||
+
+        (result.target ? `${result.target.kind}:${result.target.index}` : null) ||
+
+        (result.textKey ? `t${result.textKey}` : `p${getFindingPosition(result)}`);
+
+    return `${result.ruleId || result.title}|${place}`;
+
+}
+
+
+
+/**
+
+* Give every snapshot paragraph a key from its text hash; repeated texts
+
+* (empty paragraphs, recurring lines) are told apart by occurrence
+
+*/
+
+function assignTextKeys(snapshot) {
+
+    const seen = new Map();
+
+    for (const paraData of snapshot) {
+
+        const hash = getTextHash(paraData.text);
+
+        const occurrence = seen.get(hash) || 0;
+
+        seen.set(hash, occurrence + 1);
+
+        paraData.textKey = occurrence === 0 ? hash : `${hash}~${occurrence}`;
+
+    }
+
+}
+
+
+
+function getFindingPosition(result) {
+
+    if (result.paraIndex !== null && result.paraIndex !== undefined) return result.paraIndex;
+
+    return typeof result.order === 'number' ? result.order : null;
+
+}
+
+
+
+/**
+
+* New and resolved findings between two runs. Partial scans only compare
+
+* the previous findings inside their scope (0-based paragraph span).
+
+*/
+
+function diffScanResults(previous, current, scope) {
+
+    const inScope = result => {
+
+        if (!scope) return true;
+
+        const position = getFindingPosition(result);
+
+        return position !== null && position >= scope.start && position <= scope.end;
+
+    };
+
+    const before = previous.filter(inScope);
+
+    const beforeKeys = new Set(before.map(getFindingKey));
+
+    const currentKeys = new Set(current.map(getFindingKey));
+
+
+
+    return {
+
+        added: current.filter(r => !beforeKeys.has(getFindingKey(r))),
+
+        resolved: before.filter(r => !currentKeys.has(getFindingKey(r)))
+
+    };
+
+}
+
+
+
+function countBy(results, getKey) {
+
+    const counts = {};
+
+    for (const result of results) {
+
+        const key = getKey(result);
+
+        counts[key] = (counts[key] || 0) + 1;
+
+    }
+
+    return counts;
+
+}
+
+
+
+function restoreScanHistory() {
+
+    const stored = Office.context.document.settings.get(HISTORY_SETTING_KEY);
+
+    scanHistory = Array.isArray(stored) ? stored : [];
+
+    renderScanHistory();
+
+}
+
+
+
+/**
+
+* Append the finished scan to the history and diff it against the previous
+
+* run (null when the pane had no earlier scan to compare with)
+
+*/
+
+function recordScanHistory(previousResults, scope) {
+
+    const findings = validationResults.filter(isTrackedFinding);
+
+    scanDiff = previousResults ? diffScanResults(previousResults, findings, scope) : null;
+
+
+
+    scanHistory.push({
+
+        at: lastScanInfo.finishedAt,
+
+        mode: lastScanInfo.mode,
+
+        scope: lastScanInfo.scope,
+
+        profile: { id: activeProfile.id, version: activeProfile.version || null },
+
+        critical: findings.filter(r => r.severity === 'CRITICAL').length,
+
+        format: findings.filter(r => r.severity !== 'CRITICAL').length,
+
+        rules: countBy(findings, r => r.ruleId || '-'),
+
+        chapters: countBy(findings, r => r.chapter || ''),
+
+        added: scanDiff ? scanDiff.added.length : null,
+
+        resolved: scanDiff ? scanDiff.resolved.length : null
+
+    });
+
+    scanHistory = scanHistory.slice(-HISTORY_LIMIT);
+
+
+
+    const settings = Office.context.document.settings;
+
+    settings.set(HISTORY_SETTING_KEY, scanHistory);
+
+    settings.saveAsync((asyncResult) => {
+
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+
+            logStep('HISTORY', `Scan history not saved: ${asyncResult.error && asyncResult.error.message}`);
+
+        }
+
+    });
+
+    logStep('HISTORY', scanDiff
+
+        ? `${scanDiff.added.length} new, ${scanDiff.resolved.length} resolved since the previous scan`
+
+        : 'No previous scan to compare');
+
+}
+
+
+
+/**
+
+* Critical and format trend lines over the recent full-document scans
+
+*/
+
+function buildHistoryChart(entries) {
+
+    const width = 280;
+
+    const height = 110;
+
+    const pad = { left: 24, right: 8, top: 8, bottom: 20 };
+
+    const maxValue = Math.max(1, ...entries.map(e => Math.max(e.critical, e.format)));
+
+    const x = i => pad.left + (i * (width - pad.left - pad.right)) / (entries.length - 1);
+
+    const y = value => pad.top + (1 - value / maxValue) * (height - pad.top - pad.bottom);
+
+    const date = entry => new Date(entry.at).toLocaleDateString(getUiLocale());
+
+
+
+    const series = ['critical', 'format'].map(field => {
+
+        const points = entries.map((e, i) => `${x(i).toFixed(1)},${y(e[field]).toFixed(1)}`).join(' ');
+
+        const dots = entries.map((e, i) => `<circle class="history-dot ${field}" cx="${x(i).toFixed(1)}" cy="${y(e[field]).toFixed(1)}" r="2.5">` +
+
+            `<title>${escapeHtml(t('history.point', { date: date(e), critical: e.critical, format: e.format }))}</title></circle>`).join('');
+
+        return `<polyline class="history-line ${field}" points="${points}"/>${dots}`;
+
+    }).join('');
+
+
+
+    return `
+
+<svg class="history-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(t('history.title'))}">
+
+<line class="history-axis" x1="${pad.left}" y1="${y(0)}" x2="${width - pad.right}" y2="${y(0)}"/>
+
+<text class="history-label" x="${pad.left - 4}" y="${y(maxValue) + 4}" text-anchor="end">${maxValue}</text>
+
+<text class="history-label" x="${pad.left - 4}" y="${y(0) + 4}" text-anchor="end">0</text>
+
+<text class="history-label" x="${pad.left}" y="${height - 4}">${escapeHtml(date(entries[0]))}</text>
+
+<text class="history-label" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${escapeHtml(date(entries[entries.length - 1]))}</text>
+
+${series}
+
+</svg>
+
+<div class="history-legend">
+
+<span class="history-key critical">${t('history.critical')}</span>
+
+<span class="history-key format">${t('history.format')}</span>
+
+</div>`;
+
+}
+
+
+
+/**
+
+* Open findings per chapter in the latest full scan, with the change since the one before
+
+*/
+
+function buildHistoryChapterTable(latest, previous) {
+
+    const chapters = [...new Set([...Object.keys(latest.chapters), ...Object.keys(previous ? previous.chapters : {})])];
+
+    if (chapters.length === 0) return '';
+
+
+
+    const rows = chapters.map(chapter => {
+
+        const now = latest.chapters[chapter] || 0;
+
+        const change = previous ? now - (previous.chapters[chapter] || 0) : null;
+
+        const changeText = change === null || change === 0 ? '–' : `${change > 0 ? '+' : ''}${change}`;
+
+        return `<tr><td>${escapeHtml(chapter || t('location.document'))}</td><td>${now}</td><td class="history-change ${change > 0 ? 'up' : change < 0 ? 'down' : ''}">${changeText}</td></tr>`;
+
+    }).join('');
+
+
+
+    return `
+
+<table class="fix-preview-table">
+
+<thead><tr><th>${t('history.chapter')}</th><th>${t('history.open')}</th><th>${t('history.change')}</th></tr></thead>
+
+<tbody>${rows}</tbody>
+
+</table>`;
+
+}
+
+
+
+function buildScanDiffList(titleKey, results, withShowButton) {
+
+    if (results.length === 0) return '';
+
+    const items = results.map(result => {
+
+        const show = withShowButton ? ` <button class="show-button" onclick="goToError(${result.id})">${t('ui.show')}</button>` : '';
+
+        return `<li>${escapeHtml(result.title)} <span class="history-location">${escapeHtml(result.location || '')}</span>${show}</li>`;
+
+    }).join('');
+
+    return `<details class="history-diff"><summary>${t(titleKey, { count: results.length })}</summary><ul>${items}</ul></details>`;
+
+}
+
+
+
+function renderScanHistory() {
+
+    const section = document.getElementById('historySection');
+
+    if (!section) return;
+
+
+
+    if (scanHistory.length === 0) {
+
+        section.classList.add('hidden');
+
+        return;
+
+    }
+
+
+
+    const fullScans = scanHistory.filter(e => e.mode === SCAN_MODES.DOCUMENT).slice(-HISTORY_CHART_POINTS);
+
+    const latest = fullScans[fullScans.length - 1] || null;
+
+    const previous = fullScans[fullScans.length - 2] || null;
+
+
+
+    const chart = fullScans.length >= 2
+
+        ? buildHistoryChart(fullScans)
+
+        : `<p class="history-note">${t('history.needMore')}</p>`;
+
+    const diff = scanDiff
+
+        ? `<p class="history-note">${t('history.diff', { added: scanDiff.added.length, resolved: scanDiff.resolved.length })}</p>` +
+
+            buildScanDiffList('history.added', scanDiff.added, true) +
+
+            buildScanDiffList('history.resolved', scanDiff.resolved, false)
+
+        : '';
+
+
+
+    section.innerHTML = `<div class="fix-preview-title">${t('history.title')}</div>${chart}${diff}${latest ? buildHistoryChapterTable(latest, previous) : ''}`;
+
+    section.classList.remove('hidden');
+
+}
+
+
+
+// ============================================
+
+// SUPPRESSIONS (Yoksayılan Bulgular)
+
+// ============================================
+
+
+
+const SUPPRESSION_SETTING_KEY = 'ebyuSuppressions';
+
+const REVIEWER_NAME_KEY = 'ebyuReviewerName'; // localStorage: name recorded with suppressions
+
+
+
+function restoreSuppressions() {
+
+    const stored = Office.context.document.settings.get(SUPPRESSION_SETTING_KEY);
+
+    suppressions = Array.isArray(stored) ? stored : [];
+
+    renderSuppressions();
+
+}
+
+
+
+function saveSuppressions() {
+
+    const settings = Office.context.document.settings;
+
+    if (suppressions.length > 0) {
+
+        settings.set(SUPPRESSION_SETTING_KEY, suppressions);
+
+    } else {
+
+        settings.remove(SUPPRESSION_SETTING_KEY);
+
+    }
+
+    settings.saveAsync((asyncResult) => {
+
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+
+            logStep('SUPPRESS', `Suppressions not saved: ${asyncResult.error && asyncResult.error.message}`);
+
+        }
+
+    });
+
+}
+
+
+
+/**
+
+* A suppression matches by key, or by its recorded anchor or text key, so it
+
+* holds in every marking mode (panel marking sets no anchors)
+
+*/
+
+function findSuppression(result) {
+
+    if (!isTrackedFinding(result)) return null;
+
+    const key = getFindingKey(result);
+
+    const rule = result.ruleId || result.title;
+
+    return suppressions.find(s => s.key === key || ((s.ruleId || s.title) === rule && (
+
+        (s.anchor && result.anchor && s.anchor.toUpperCase() === result.anchor.toUpperCase()) ||
+
+        (s.textKey && s.textKey === result.textKey)))) || null;
+
+}
+
+
+
+function buildSuppression(result, reason, user) {
+
+    return {
+
+        id: suppressions.reduce((max, s) => Math.max(max, s.id + 1), 1),
+
+        key: getFindingKey(result),
+
+        ruleId: result.ruleId || null,
+
+        params: result.params || null,
+
+        anchor: result.anchor || null,
+
+        textKey: result.textKey || null,
+
+        title: result.title,
+
+        location: result.location,
+
+        locationRef: result.locationRef || null,
+
+        chapter: result.chapter || null,
+
+        reason,
+
+        user,
+
+        createdAt: new Date().toISOString()
+
+    };
+
+}
+
+
+
+function canSuppress(result) {
+
+    return isTrackedFinding(result) && !result.resolved && !result.fixed;
+
+}
+
+
+
+/**
+
+* Re-highlight the places of suppressed findings from the findings left there
+
+* @param {Function} getParagraph - (result, index) => Word.Paragraph or null
+
+*/
+
+async function clearSuppressedHighlights(context, suppressedResults, getParagraph) {
+
+    const open = validationResults.filter(r => r.type !== 'success');
+
+    const tableIndexes = [];
+
+
+
+    for (const result of suppressedResults) {
+
+        const kind = result.target ? result.target.kind : 'paragraph';
+
+        if (kind === 'table') {
+
+            if (!open.some(r => r.target && r.target.kind === 'table' && r.target.index === result.target.index)) {
+
+                tableIndexes.push(result.target.index);
+
+            }
+
+            continue;
+
+        }
+
+        // Section margins and footers are never highlighted
+
+        if (kind !== 'paragraph' && kind !== 'picture') continue;
+
+
+
+        const index = getFindingPosition(result);
+
+        const paragraph = index === null ? null : getParagraph(result, index);
+
+        if (!paragraph) continue;
+
+
+
+        const remaining = open.filter(r => getFindingPosition(r) === index && (!r.target || r.target.kind === 'picture'));
+
+        applyParagraphHighlight(paragraph, remaining, index);
+
+    }
+
+
+
+    if (tableIndexes.length > 0) {
+
+        const tables = context.document.body.tables;
+
+        tables.load('items');
+
+        await context.sync();
+
+        for (const index of tableIndexes) {
+
+            if (tables.items[index]) unmarkPlace({ kind: 'table', index }, tables.items[index].font);
+
+        }
+
+    }
+
+    await context.sync();
+
+}
+
+
+
+/**
+
+* Drop suppressed findings of a scan (after anchoring, so keys match)
+
+* @returns {{errors: number, warnings: number}} - Counts to leave out of the summary
+
+*/
+
+async function applySuppressions(context, paragraphDataList) {
+
+    const suppressed = validationResults.filter(r => findSuppression(r));
+
+    if (suppressed.length === 0) return { errors: 0, warnings: 0 };
+
+
+
+    validationResults = validationResults.filter(r => !suppressed.includes(r));
+
+    try {
+
+        await clearSuppressedHighlights(context, suppressed,
+
+            (result, index) => paragraphDataList[index] ? paragraphDataList[index].paragraph : null);
+
+    } catch (error) {
+
+        logStep('SUPPRESS', `Highlights of suppressed findings kept: ${error.message}`);
+
+    }
+
+
+
+    logStep('SUPPRESS', `${suppressed.length} suppressed finding(s) left out`);
+
+    return {
+
+        errors: suppressed.filter(r => r.type === 'error').length,
+
+        warnings: suppressed.filter(r => r.type !== 'error').length
+
+    };
+
+}
+
+
+
+function createSuppressActions(result) {
+
+    if (!canSuppress(result)) return '';
+
+
+
+    if (pendingSuppressionId !== result.id) {
+
+        return `<div class="result-actions"><button class="show-button" onclick="openSuppressionForm(${result.id})">${t('ui.suppress')}</button></div>`;
+
+    }
+
+
+
+    let reviewer = '';
+
+    try {
+
+        reviewer = localStorage.getItem(REVIEWER_NAME_KEY) || '';
+
+    } catch (e) {
+
+        reviewer = '';
+
+    }
+
+
+
+    return `
+
+<div class="suppress-form">
+
+<input id="suppressReason" class="result-search" type="text" placeholder="${escapeHtml(t('suppress.reasonPlaceholder'))}">
+
+<input id="suppressUser" class="result-search" type="text" value="${escapeHtml(reviewer)}" placeholder="${escapeHtml(t('suppress.userPlaceholder'))}">
+
+<div class="result-actions">
+
+<button class="fix-button" onclick="confirmSuppression(${result.id})">${t('suppress.save')}</button>
+
+<button class="show-button" onclick="cancelSuppressionForm()">${t('suppress.cancel')}</button>
+
+</div>
+
+</div>`;
+
+}
+
+
+
+function openSuppressionForm(resultId) {
+
+    pendingSuppressionId = resultId;
+
+    displayResults();
+
+    const input = document.getElementById('suppressReason');
+
+    if (input) input.focus();
+
+}
+
+
+
+function cancelSuppressionForm() {
+
+    pendingSuppressionId = null;
+
+    displayResults();
+
+}
+
+
+
+/**
+
+* Record the open form's finding as an accepted exception and take it out of the list
+
+*/
+
+async function confirmSuppression(resultId) {
+
+    const result = getResultById(resultId);
+
+    const reasonInput = document.getElementById('suppressReason');
+
+    const userInput = document.getElementById('suppressUser');
+
+    if (!result || !reasonInput) return;
+
+
+
+    const reason = reasonInput.value.trim();
+
+    if (!reason) {
+
+        reasonInput.focus();
+
+        return;
+
+    }
+
+    const user = userInput ? userInput.value.trim() : '';
+
+    try {
+
+        localStorage.setItem(REVIEWER_NAME_KEY, user);
+
+    } catch (e) {
+
+        logStep('SUPPRESS', `Reviewer name not stored: ${e.message}`);
+
+    }
+
+
+
+    suppressions.push(buildSuppression(result, reason, user));
+
+    saveSuppressions();
+
+
+
+    pendingSuppressionId = null;
+
+    validationResults = validationResults.filter(r => r !== result);
+
+    displayResults();
+
+    renderSuppressions();
+
+    logStep('SUPPRESS', `Suppressed ${result.ruleId || result.title}`);
+
+
+
+    try {
+
+        await Word.run(async (context) => {
+
+            const index = getFindingPosition(result);
+
+            const target = result.target
+
+                ? { paraIndex: index, text: (paragraphSnapshot[index] || {}).text, anchor: null }
+
+                : getResultTarget(result);
+
+            const [paragraph] = index === null ? [null] : await resolveParagraphs(context, [target]);
+
+            await clearSuppressedHighlights(context, [result], () => paragraph);
+
+        });
+
+        saveMarkLedger();
+
+    } catch (error) {
+
+        logStep('SUPPRESS', `Highlight not cleared: ${error.message}`);
+
+    }
+
+}
+
+
+
+function revokeSuppression(suppressionId) {
+
+    suppressions = suppressions.filter(s => s.id !== suppressionId);
+
+    saveSuppressions();
+
+    renderSuppressions();
+
+    logStep('SUPPRESS', `Suppression ${suppressionId} revoked`);
+
+}
+
+
+
+/**
+
+* Review panel: every suppression with its reason, author and date
+
+*/
+
+function renderSuppressions() {
+
+    const section = document.getElementById('suppressionSection');
+
+    if (!section) return;
+
+
+
+    if (suppressions.length === 0) {
+
+        section.classList.add('hidden');
+
+        return;
+
+    }
+
+
+
+    const items = suppressions.map(s => {
+
+        const title = s.ruleId ? t(`${s.ruleId}.title`, s.params || {}) : s.title;
+
+        const location = s.locationRef ? t(s.locationRef.key, s.locationRef.params) : (s.location || '');
+
+        const by = t('suppress.by', {
+
+            user: s.user || t('suppress.unknownUser'),
+
+            date: new Date(s.createdAt).toLocaleString(getUiLocale())
+
+        });
+
+        return `
+
+<div class="suppress-item">
+
+<div class="suppress-text">
+
+<strong>${escapeHtml(title)}</strong> <span class="history-location">${escapeHtml(location)}</span>
+
+<div>${escapeHtml(t('suppress.reason', { reason: s.reason }))}</div>
+
+<div class="history-location">${escapeHtml(by)}</div>
+
+</div>
+
+<button class="show-button" onclick="revokeSuppression(${s.id})">${t('suppress.revoke')}</button>
+
+</div>`;
+
+    }).join('');
+
+
+
+    document.getElementById('suppressionSummary').textContent = t('suppress.panelTitle', { count: suppressions.length });
+
+    document.getElementById('suppressionList').innerHTML =
+
+        `<p class="history-note">${t('suppress.revokeHint')}</p>${items}`;
+
+    section.classList.remove('hidden');
+
+}
+
+
+
+// ============================================
+
+// CLEAR HIGHLIGHTS
+
+// ============================================
+
+
+
+async function clearHighlightsAndResults() {
+
+    clearResults();
+
+    removeLastScan();
+
+
+
+    try {
+
+        await Word.run(async (context) => {
+
+            await restoreDocumentMarks(context, markLedger.slice());
+
+        });
+
+        saveMarkLedger();
+
+        displayResults();
+
+        logStep('CLEAR', 'Highlights and results cleared');
+
+    } catch (error) {
+
+        console.error('Clear error:', error);
+
+    }
+
+}
+
+
+
+// ============================================
+
+// SECTION-BASED MARGIN VALIDATION (7cm Rule)
+
+// ============================================
+
+
+
+/**
+
+* Validate section margins using batch loading
+
+* Checks for 7cm top margin on main chapter starts
+
+* @param {number[]} sectionIndexes - Sections to check (those in the scan scope)
+
+* @param {Array<number|null>} sectionStarts - From getSectionStartIndexes
+
+*/
+
+async function validateSectionMargins(context, sections, sectionIndexes, sectionStarts, paragraphDataList) {
+
+    const marginErrors = [];
+
+
+
+    try {
+
+        // Batch load the page setup of the checked sections
+
+        const pageSetups = new Map();
+
+        for (const i of sectionIndexes) {
+
+            try {
+
+                const pageSetup = sections.items[i].getPageSetup();
+
+                pageSetup.load('topMargin, bottomMargin, leftMargin, rightMargin');
+
+                pageSetups.set(i, pageSetup);
+
+            } catch (e) {
+
+                // Mac compatibility - getPageSetup may not be available
+
+                logStep('MARGIN', `Section ${i + 1}: getPageSetup not available`);
+
+            }
+
+        }
+
+
+
+        await context.sync();
+
+
+
+        // Now validate each section
+
+        for (const [i, pageSetup] of pageSetups) {
+
+            try {
+
+                // First paragraph of the section tells if it's a main heading
+
+                const firstPara = paragraphDataList[sectionStarts[i]];
+
+                const firstParaText = firstPara ? firstPara.text.trim() : '';
+
+
+
+                // Determine expected top margin
+
+                const isMainChapterStart = isMainHeadingText(firstParaText);
+
+                const expectedTopMargin = isMainChapterStart
+
+                    ? EBYÜ_RULES.MARGIN_TOP_SPECIAL_POINTS
+
+                    : EBYÜ_RULES.MARGIN_POINTS;
+
+
+
+                const tolerance = EBYÜ_RULES.MARGIN_TOLERANCE;
+
+
+
+                // Check top margin
+
+                if (pageSetup.topMargin !== undefined) {
+
+                    if (Math.abs(pageSetup.topMargin - expectedTopMargin) > tolerance) {
+
+                        const expectedCm = isMainChapterStart ? EBYÜ_RULES.MARGIN_TOP_SPECIAL_CM : EBYÜ_RULES.MARGIN_CM;
+
+                        marginErrors.push({
+
+                            type: 'error',
+
+                            ...ruleMessage('MARGIN_TOP', { section: i + 1, expected: expectedCm, actual: pointsToCm(pageSetup.topMargin) }),
+
+                            location: msg('location.section', { n: i + 1 }),
+
+                            severity: 'CRITICAL',
+
+                            sectionIndex: i
+
+                        });
+
+                    }
+
+
+
+                    // Check other margins (should always be 3cm)
+
+                    if (Math.abs(pageSetup.bottomMargin - EBYÜ_RULES.MARGIN_POINTS) > tolerance) {
+
+                        marginErrors.push({
+
+                            type: 'error',
+
+                            ...ruleMessage('MARGIN_BOTTOM', { section: i + 1, expected: EBYÜ_RULES.MARGIN_CM, actual: pointsToCm(pageSetup.bottomMargin) }),
+
+                            location: msg('location.section', { n: i + 1 }),
+
+                            severity: 'CRITICAL',
+
+                            sectionIndex: i
+
+                        });
+
+                    }
+
+
+
+                    if (Math.abs(pageSetup.leftMargin - EBYÜ_RULES.MARGIN_POINTS) > tolerance) {
+
+                        marginErrors.push({
+
+                            type: 'error',
+
+                            ...ruleMessage('MARGIN_LEFT', { section: i + 1, expected: EBYÜ_RULES.MARGIN_CM, actual: pointsToCm(pageSetup.leftMargin) }),
+
+                            location: msg('location.section', { n: i + 1 }),
+
+                            severity: 'CRITICAL',
+
+                            sectionIndex: i
+
+                        });
+
+                    }
+
+
+
+                    if (Math.abs(pageSetup.rightMargin - EBYÜ_RULES.MARGIN_POINTS) > tolerance) {
+
+                        marginErrors.push({
+
+                            type: 'error',
+
+                            ...ruleMessage('MARGIN_RIGHT', { section: i + 1, expected: EBYÜ_RULES.MARGIN_CM, actual: pointsToCm(pageSetup.rightMargin) }),
+
+                            location: msg('location.section', { n: i + 1 }),
+
+                            severity: 'CRITICAL',
+
+                            sectionIndex: i
+
+                        });
+
+                    }
+
+                }
+
+            } catch (sectionError) {
+
+                logStep('MARGIN', `Section ${i + 1} check failed: ${sectionError.message}`);
+
+            }
+
+        }
+
+
+
+        if (marginErrors.length === 0) {
+
+            logStep('MARGIN', 'All section margins validated successfully');
+
+        }
+
+
+
+    } catch (error) {
+
+        logStep('MARGIN', `Margin validation failed: ${error.message}`);
+
+        addRuleResult('warning', 'MARGIN_MANUAL',
+
+            { margin: EBYÜ_RULES.MARGIN_CM, special: EBYÜ_RULES.MARGIN_TOP_SPECIAL_CM });
+
+    }
+
+
+
+    return marginErrors;
+
+}
+
+
+
+// ============================================
+
+// HEADING CAPITALS (Başlık Büyük Harf)
+
+// ============================================
+
+
+
+// Heading words whose capitals need a dotted İ; "GIRIŞ" is what a
+
+// locale-blind toUpperCase() makes of "giriş"
+
+const TURKISH_CAPITAL_WORDS = [
+
+    'GİRİŞ', 'BİRİNCİ', 'İKİNCİ', 'BEŞİNCİ', 'YEDİNCİ', 'SEKİZİNCİ', 'İÇİNDEKİLER', 'LİSTESİ', 'DİZİNİ',
+
+    'ŞEKİLLER', 'SİMGELER', 'GRAFİKLER', 'ÇİZELGELER', 'ÖNERİLER', 'ÖZGEÇMİŞ', 'DEĞERLENDİRME', 'LİTERATÜR',
+
+    'İNCELEMESİ', 'YÖNTEMİ', 'MODELİ', 'ANALİZ', 'ANALİZİ', 'VERİ', 'VERİLER', 'İLGİLİ', 'ÖNEMİ', 'İSTATİSTİKSEL',
+
+    'TEKNİKLERİ', 'ETİK', 'BİLDİRİMİ', 'GENEL', 'SİSTEM', 'SİSTEMİ', 'TARİHÇE', 'TARİHİ', 'EKİ', 'EKİNDEKİLER'
+
+];
+
+const TURKISH_CAPITALS_BY_FOLD = new Map(TURKISH_CAPITAL_WORDS.map(word => [word.replace(/İ/g, 'I'), word]));
+
+
+
+function isFontEffectSupported() {
+
+    return Office.context.requirements.isSetSupported('WordApiDesktop', '1.2');
+
+}
+
+
+
+/**
+
+* Put the dotted İ back into known heading words of an upper-case text
+
+* @returns {{text: string, changes: string[]}} - Corrected text and "GIRIŞ → GİRİŞ" notes
+
+*/
+
+function correctTurkishCapitals(text) {
+
+    const changes = [];
+
+    const corrected = text.replace(/\p{L}+/gu, word => {
+
+        const known = TURKISH_CAPITALS_BY_FOLD.get(word.replace(/İ/g, 'I'));
+
+        if (!known || known === word) return word;
+
+        changes.push(`${word} → ${known}`);
+
+        return known;
+
+    });
+
+    return { text: corrected, changes };
+
+}
+
+
+
+/**
+
+* Main headings are typed in capitals (BÜYÜK HARF) using the thesis language's
+
+* case rules. Capitals that only come from the All Caps effect are reported
+
+* separately: the typed text is what the TOC, PDF bookmarks and search see.
+
+*/
+
+function validateHeadingCase(paraData, index) {
+
+    const text = (paraData.text || '').trim();
+
+    if (!/\p{L}/u.test(text)) return [];
+
+
+
+    const upper = text.toLocaleUpperCase(thesisLanguage === 'en' ? 'en-GB' : 'tr-TR');
+
+    const { text: suggested, changes } = thesisLanguage === 'en'
+
+        ? { text: upper, changes: [] }
+
+        : correctTurkishCapitals(upper);
+
+
+
+    if (text !== upper) {
+
+        const ruleId = paraData.font.allCaps === true ? 'MAIN_HEADING_CAPS_EFFECT' : 'MAIN_HEADING_CASE';
+
+        return [{
+
+            type: 'warning',
+
+            ...ruleMessage(ruleId, { actual: text, suggested }),
+
+            paraIndex: index,
+
+            severity: 'FORMAT'
+
+        }];
+
+    }
+
+
+
+    if (changes.length > 0) {
+
+        return [{
+
+            type: 'warning',
+
+            ...ruleMessage('MAIN_HEADING_TURKISH_I', { words: changes.join(', '), suggested }),
+
+            paraIndex: index,
+
+            severity: 'FORMAT'
+
+        }];
+
+    }
+
+
+
+    return [];
+
+}
+
+
+
+// ============================================
+
+// PARAGRAPH VALIDATION FUNCTIONS
+
+// ============================================
+
+
+
+function validateMainHeading(paraData, index) {
+
+    const errors = [];
+
+    const { font, alignment, text, isListItem, listString } = paraData;
+
+
+
+    // === NEW: Başlık Numaralandırma (List String) Kontrolü ===
+
+    // Ana başlıklar numaralandırılmalı: "1.", "2.", "3." formatında
+
+    // Not: GİRİŞ, SONUÇ, ÖZET gibi özel başlıklar numaralandırılmaz
+
+    const trimmedText = (text || '').trim();
+
+    const isSpecialHeading = PATTERNS.UNNUMBERED_HEADING.test(trimmedText);
+
+
+
+    if (!isSpecialHeading) {
+
+        // Check if paragraph is a list item (has automatic numbering)
+
+        if (!isListItem) {
+
+            errors.push({
+
+                type: 'error',
+
+                ...ruleMessage('MAIN_HEADING_NOT_NUMBERED'),
+
+                paraIndex: index,
+
+                severity: 'CRITICAL'
+
+            });
+
+        } else {
+
+            // Validate listString format: should be like "1.", "2.", "3." etc.
+
+            const mainHeadingPattern = /^\d+\.?$/;
+
+            const cleanListString = (listString || '').trim();
+
+
+
+            if (!cleanListString) {
+
+                errors.push({
+
+                    type: 'error',
+
+                    ...ruleMessage('MAIN_HEADING_NUMBER_MISSING'),
+
+                    paraIndex: index,
+
+                    severity: 'CRITICAL'
+
+                });
+
+            } else if (!mainHeadingPattern.test(cleanListString)) {
+
+                errors.push({
+
+                    type: 'warning',
+
+                    ...ruleMessage('MAIN_HEADING_NUMBER_FORMAT', { actual: cleanListString }),
+
+                    paraIndex: index,
+
+                    severity: 'FORMAT'
+
+                });
+
+            }
+
+        }
+
+    }
+
+    // === END NEW ===
+
+
+
+    // Font size: 14pt
+
+    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_HEADING_MAIN) > 0.5) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('MAIN_HEADING_FONT_SIZE', { expected: EBYÜ_RULES.FONT_SIZE_HEADING_MAIN, actual: font.size }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontSize', EBYÜ_RULES.FONT_SIZE_HEADING_MAIN),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Bold
+
+    if (font.bold !== true) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('MAIN_HEADING_BOLD'),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'bold', true),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Centered
+
+    if (!isCentered(alignment)) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('MAIN_HEADING_ALIGNMENT'),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'alignment', 'Centered'),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Font name
+
+    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+
+        errors.push({
+
+            type: 'error',
+
+            ...ruleMessage('MAIN_HEADING_FONT_NAME', { expected: EBYÜ_RULES.FONT_NAME, actual: font.name }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontName', EBYÜ_RULES.FONT_NAME),
+
+            severity: 'CRITICAL'
+
+        });
+
+    }
+
+
+
+    // BÜYÜK HARF: typed capitals with Turkish İ/I, not the All Caps font effect
+
+    errors.push(...validateHeadingCase(paraData, index));
+
+
+
+    return errors;
+
+}
+
+
+
+// Rule keys per sub-heading depth; deeper headings use the last level
+
+const SUB_HEADING_LEVELS = {
+
+    2: { indent: 'SUB_HEADING_2_INDENT_POINTS', spaceBefore: 'SUB_HEADING_2_SPACE_BEFORE', spaceAfter: 'SUB_HEADING_2_SPACE_AFTER' },
+
+    3: { indent: 'SUB_HEADING_3_INDENT_POINTS', spaceBefore: 'SUB_HEADING_3_SPACE_BEFORE', spaceAfter: 'SUB_HEADING_3_SPACE_AFTER' },
+
+    4: { indent: 'SUB_HEADING_4_INDENT_POINTS', spaceBefore: 'SUB_HEADING_4_SPACE_BEFORE', spaceAfter: 'SUB_HEADING_4_SPACE_AFTER' }
+
+};
+
+
+
+/**
+
+* Sub-heading depth: 2 for "1.1.", 3 for "1.1.1.", 4 for "1.1.1.1."
+
+* The list level decides when the chapter number is part of the same
+
+* multilevel list; otherwise the parts of the number (or of a typed
+
+* number at the start of the text) are counted.
+
+*/
+
+function getSubHeadingDepth(paraData) {
+
+    const { listLevel, listString, text } = paraData;
+
+    let depth = typeof listLevel === 'number' ? listLevel + 1 : 0;
+
+
+
+    if (depth < 2) {
+
+        const number = (listString || '').trim() || ((text || '').trim().match(/^\d+(\.\d+)+\.?/) || [''])[0];
+
+        depth = number.split('.').filter(part => /^\d+$/.test(part)).length;
+
+    }
+
+
+
+    return Math.min(Math.max(depth, 2), 4);
+
+}
+
+
+
+function validateSubHeading(paraData, index) {
+
+    const errors = [];
+
+    const { font, alignment, text, isListItem, listString, leftIndent, firstLineIndent, lineSpacing, spaceBefore, spaceAfter } = paraData;
+
+    const depth = getSubHeadingDepth(paraData);
+
+    const level = SUB_HEADING_LEVELS[depth];
+
+
+
+    // === NEW: Alt Başlık Numaralandırma (List String) Kontrolü ===
+
+    // Alt başlıklar hiyerarşik numaralandırılmalı: "1.1.", "1.1.2.", "2.3.1." formatında
+
+    // Check if paragraph is a list item (has automatic numbering)
+
+    if (!isListItem) {
+
+        errors.push({
+
+            type: 'error',
+
+            ...ruleMessage('SUB_HEADING_NOT_NUMBERED'),
+
+            paraIndex: index,
+
+            severity: 'CRITICAL'
+
+        });
+
+    } else {
+
+        // Validate listString format: should be hierarchical like "1.1.", "1.2.", "1.1.1.", "2.3.1."
+
+        // Pattern: at least two numbers separated by periods, optionally ending with period
+
+        const subHeadingPattern = /^\d+\.\d+(\.\d+)*\.?$/;
+
+        const cleanListString = (listString || '').trim();
+
+
+
+        if (!cleanListString) {
+
+            errors.push({
+
+                type: 'error',
+
+                ...ruleMessage('SUB_HEADING_NUMBER_MISSING'),
+
+                paraIndex: index,
+
+                severity: 'CRITICAL'
+
+            });
+
+        } else if (!subHeadingPattern.test(cleanListString)) {
+
+            errors.push({
+
+                type: 'warning',
+
+                ...ruleMessage('SUB_HEADING_NUMBER_FORMAT', { actual: cleanListString }),
+
+                paraIndex: index,
+
+                severity: 'FORMAT'
+
+            });
+
+        }
+
+    }
+
+    // === END NEW ===
+
+
+
+    // Font size: 12pt
+
+    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_HEADING_SUB) > 0.5) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('SUB_HEADING_FONT_SIZE', { expected: EBYÜ_RULES.FONT_SIZE_HEADING_SUB, actual: font.size }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontSize', EBYÜ_RULES.FONT_SIZE_HEADING_SUB),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Bold
+
+    if (font.bold !== true) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('SUB_HEADING_BOLD'),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'bold', true),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Font name
+
+    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+
+        errors.push({
+
+            type: 'error',
+
+            ...ruleMessage('SUB_HEADING_FONT_NAME', { expected: EBYÜ_RULES.FONT_NAME, actual: font.name }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontName', EBYÜ_RULES.FONT_NAME),
+
+            severity: 'CRITICAL'
+
+        });
+
+    }
+
+
+
+    // Indent: the first line (number included) starts at 1.25cm, whether
+
+    // it is set as a first-line indent or as a left indent
+
+    if (leftIndent !== undefined || firstLineIndent !== undefined) {
+
+        const expectedIndent = EBYÜ_RULES[level.indent];
+
+        const firstLineStart = (leftIndent || 0) + (firstLineIndent || 0);
+
+        if (Math.abs(firstLineStart - expectedIndent) > EBYÜ_RULES.INDENT_TOLERANCE) {
+
+            errors.push({
+
+                type: 'warning',
+
+                ...ruleMessage('SUB_HEADING_INDENT', { level: depth, expected: pointsToCm(expectedIndent), actual: pointsToCm(firstLineStart) }),
+
+                paraIndex: index,
+
+                fix: createFix(index, 'firstLineStart', expectedIndent),
+
+                severity: 'FORMAT'
+
+            });
+
+        }
+
+    }
+
+
+
+    // Left or justified, never centered
+
+    if (!isLeftOrJustified(alignment)) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('SUB_HEADING_ALIGNMENT', { actual: alignment }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'alignment', 'Left'),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Line spacing: 1.5
+
+    if (lineSpacing !== undefined && lineSpacing !== null && (lineSpacing < EBYÜ_RULES.LINE_SPACING_1_5_MIN || lineSpacing > EBYÜ_RULES.LINE_SPACING_1_5_MAX)) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('SUB_HEADING_LINE_SPACING', { min: EBYÜ_RULES.LINE_SPACING_1_5_MIN, max: EBYÜ_RULES.LINE_SPACING_1_5_MAX, actual: Number(lineSpacing.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'lineSpacing', EBYÜ_RULES.LINE_SPACING_1_5_POINTS),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Paragraph spacing per level
+
+    const expectedBefore = EBYÜ_RULES[level.spaceBefore];
+
+    if (spaceBefore !== undefined && spaceBefore !== null && Math.abs(spaceBefore - expectedBefore) > EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('SUB_HEADING_SPACE_BEFORE', { level: depth, expected: expectedBefore, actual: Number(spaceBefore.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceBefore', expectedBefore),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    const expectedAfter = EBYÜ_RULES[level.spaceAfter];
+
+    if (spaceAfter !== undefined && spaceAfter !== null && Math.abs(spaceAfter - expectedAfter) > EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('SUB_HEADING_SPACE_AFTER', { level: depth, expected: expectedAfter, actual: Number(spaceAfter.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceAfter', expectedAfter),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+function validateBodyText(paraData, index) {
+
+    const errors = [];
+
+    const { font, firstLineIndent, lineSpacing, spaceBefore, spaceAfter, text } = paraData;
+
+
+
+    // Skip short paragraphs
+
+    if ((text || '').trim().length < EBYÜ_RULES.MIN_BODY_TEXT_LENGTH) {
+
+        return errors;
+
+    }
+
+
+
+    // === DEBUG: Log paragraph spacing values ===
+
+    logStep('BODY_TEXT_DEBUG', `Paragraf ${index + 1}: lineSpacing=${lineSpacing}, spaceBefore=${spaceBefore}, spaceAfter=${spaceAfter}, firstLineIndent=${firstLineIndent}, leftIndent=${paraData.leftIndent}, text="${(text || '').substring(0, 50)}..."`);
+
+    // === END DEBUG ===
+
+
+
+    // === NEW: Manuel Tab/Boşluk Kontrolü ===
+
+    // Check if text starts with Tab character or multiple spaces (manual indentation)
+
+    if (text) {
+
+        // Check for Tab character at the beginning
+
+        if (text.startsWith('\t')) {
+
+            errors.push({
+
+                type: 'warning',
+
+                ...ruleMessage('BODY_MANUAL_TAB', { indent: EBYÜ_RULES.FIRST_LINE_INDENT_CM }),
+
+                paraIndex: index,
+
+                severity: 'FORMAT'
+
+            });
+
+        }
+
+        // Check for multiple spaces at the beginning (2 or more spaces)
+
+        else if (/^\s{2,}/.test(text) && !text.startsWith('\t')) {
+
+            errors.push({
+
+                type: 'warning',
+
+                ...ruleMessage('BODY_MANUAL_SPACES', { indent: EBYÜ_RULES.FIRST_LINE_INDENT_CM }),
+
+                paraIndex: index,
+
+                severity: 'FORMAT'
+
+            });
+
+        }
+
+    }
+
+    // === END NEW ===
+
+
+
+    // Font name
+
+    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+
+        errors.push({
+
+            type: 'error',
+
+            ...ruleMessage('BODY_FONT_NAME', { expected: EBYÜ_RULES.FONT_NAME, actual: font.name }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontName', EBYÜ_RULES.FONT_NAME),
+
+            severity: 'CRITICAL'
+
+        });
+
+    }
+
+
+
+    // Font size: 12pt
+
+    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_BODY) > 0.5) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BODY_FONT_SIZE', { expected: EBYÜ_RULES.FONT_SIZE_BODY, actual: font.size }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontSize', EBYÜ_RULES.FONT_SIZE_BODY),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // First line indent: 1.25cm (35.4pt)
+
+    if (firstLineIndent !== undefined && Math.abs(firstLineIndent - EBYÜ_RULES.FIRST_LINE_INDENT_POINTS) > EBYÜ_RULES.INDENT_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BODY_FIRST_LINE_INDENT', { expected: EBYÜ_RULES.FIRST_LINE_INDENT_CM, actual: pointsToCm(firstLineIndent) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'firstLineIndent', EBYÜ_RULES.FIRST_LINE_INDENT_POINTS),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Line spacing: 1.5 (15-22pt range)
+
+    if (lineSpacing !== undefined && lineSpacing !== null && (lineSpacing < EBYÜ_RULES.LINE_SPACING_1_5_MIN || lineSpacing > EBYÜ_RULES.LINE_SPACING_1_5_MAX)) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BODY_LINE_SPACING', { min: EBYÜ_RULES.LINE_SPACING_1_5_MIN, max: EBYÜ_RULES.LINE_SPACING_1_5_MAX, actual: Number(lineSpacing.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'lineSpacing', EBYÜ_RULES.LINE_SPACING_1_5_POINTS),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Paragraph spacing: 6pt before and after
+
+    if (spaceBefore !== undefined && spaceBefore !== null && Math.abs(spaceBefore - EBYÜ_RULES.SPACING_6NK) > EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BODY_SPACE_BEFORE', { expected: EBYÜ_RULES.SPACING_6NK, actual: Number(spaceBefore.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceBefore', EBYÜ_RULES.SPACING_6NK),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    if (spaceAfter !== undefined && spaceAfter !== null && Math.abs(spaceAfter - EBYÜ_RULES.SPACING_6NK) > EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BODY_SPACE_AFTER', { expected: EBYÜ_RULES.SPACING_6NK, actual: Number(spaceAfter.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceAfter', EBYÜ_RULES.SPACING_6NK),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // === NEW: Block indent (Sol Girinti) detection ===
+
+    // If the paragraph has significant left indent (not first line indent), it might be improperly formatted
+
+    const leftIndent = paraData.leftIndent;
+
+    if (leftIndent !== undefined && leftIndent !== null && leftIndent >= EBYÜ_RULES.BLOCK_QUOTE_MIN_INDENT) {
+
+        // This looks like a block quote or indented section - check if it's properly styled
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BODY_BLOCK_INDENT', { actual: pointsToCm(leftIndent), size: EBYÜ_RULES.FONT_SIZE_BLOCK_QUOTE }),
+
+            paraIndex: index,
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+    // === END NEW ===
+
+
+
+    return errors;
+
+}
+
+
+
+function validateGhostHeading(paraData, index) {
+
+    const { style, outlineLevel } = paraData;
+
+
+
+    const message = typeof outlineLevel === 'number' && outlineLevel >= 0 && outlineLevel <= 8
+
+        ? ruleMessage('GHOST_HEADING_OUTLINE', { level: outlineLevel + 1 })
+
+        : ruleMessage('GHOST_HEADING_STYLE', { style });
+
+
+
+    return [{
+
+        type: 'error',
+
+        ...message,
+
+        paraIndex: index,
+
+        severity: 'CRITICAL'
+
+    }];
+
+}
+
+
+
+function validateBibliography(paraData, index) {
+
+    const errors = [];
+
+    const { font, firstLineIndent, lineSpacing, spaceBefore, spaceAfter } = paraData;
+
+
+
+    // Font name
+
+    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+
+        errors.push({
+
+            type: 'error',
+
+            ...ruleMessage('BIBLIOGRAPHY_FONT_NAME', { expected: EBYÜ_RULES.FONT_NAME }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontName', EBYÜ_RULES.FONT_NAME),
+
+            severity: 'CRITICAL'
+
+        });
+
+    }
+
+
+
+    // 12pt
+
+    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_BODY) > 0.5) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BIBLIOGRAPHY_FONT_SIZE', { expected: EBYÜ_RULES.FONT_SIZE_BODY, actual: font.size }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontSize', EBYÜ_RULES.FONT_SIZE_BODY),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Hanging indent (1cm = 28.35pt): Word stores it as a negative first-line
+
+    // indent, the same way the 'hangingIndent' fix writes it
+
+    const hangingIndent = -firstLineIndent;
+
+    if (firstLineIndent !== undefined && firstLineIndent !== null && Math.abs(hangingIndent - EBYÜ_RULES.BIBLIOGRAPHY_HANGING_INDENT_POINTS) > EBYÜ_RULES.INDENT_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BIBLIOGRAPHY_HANGING_INDENT', { expected: pointsToCm(EBYÜ_RULES.BIBLIOGRAPHY_HANGING_INDENT_POINTS) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'hangingIndent', EBYÜ_RULES.BIBLIOGRAPHY_HANGING_INDENT_POINTS),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Single line spacing
+
+    if (lineSpacing !== undefined && (lineSpacing < EBYÜ_RULES.LINE_SPACING_SINGLE_MIN || lineSpacing > EBYÜ_RULES.LINE_SPACING_SINGLE_MAX)) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BIBLIOGRAPHY_LINE_SPACING', { actual: Number(lineSpacing.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'lineSpacing', EBYÜ_RULES.LINE_SPACING_SINGLE_POINTS),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // 3pt paragraph spacing
+
+    if (spaceBefore !== undefined && Math.abs(spaceBefore - EBYÜ_RULES.SPACING_3NK) > EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BIBLIOGRAPHY_SPACE_BEFORE', { expected: EBYÜ_RULES.SPACING_3NK, actual: Number(spaceBefore.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceBefore', EBYÜ_RULES.SPACING_3NK),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+function validateBlockQuote(paraData, index) {
+
+    const errors = [];
+
+    const { font, leftIndent, rightIndent, lineSpacing } = paraData;
+
+
+
+    // 11pt
+
+    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_BLOCK_QUOTE) > 0.5) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BLOCK_QUOTE_FONT_SIZE', { expected: EBYÜ_RULES.FONT_SIZE_BLOCK_QUOTE, actual: font.size }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontSize', EBYÜ_RULES.FONT_SIZE_BLOCK_QUOTE),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Italic
+
+    if (font.italic !== true) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BLOCK_QUOTE_ITALIC'),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'italic', true),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // 1.25cm left and right indent
+
+    if (leftIndent !== undefined && Math.abs(leftIndent - EBYÜ_RULES.BLOCK_QUOTE_INDENT_POINTS) > EBYÜ_RULES.INDENT_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BLOCK_QUOTE_LEFT_INDENT', { expected: pointsToCm(EBYÜ_RULES.BLOCK_QUOTE_INDENT_POINTS), actual: pointsToCm(leftIndent) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'leftIndent', EBYÜ_RULES.BLOCK_QUOTE_INDENT_POINTS),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    if (rightIndent !== undefined && Math.abs(rightIndent - EBYÜ_RULES.BLOCK_QUOTE_INDENT_POINTS) > EBYÜ_RULES.INDENT_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('BLOCK_QUOTE_RIGHT_INDENT', { expected: pointsToCm(EBYÜ_RULES.BLOCK_QUOTE_INDENT_POINTS), actual: pointsToCm(rightIndent) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'rightIndent', EBYÜ_RULES.BLOCK_QUOTE_INDENT_POINTS),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+/**
+
+* Table cell paragraphs: 11pt, single spacing, no first-line indent and
+
+* tight paragraph spacing (body text rules do not apply inside tables)
+
+*/
+
+function validateTableContent(paraData, index) {
+
+    const errors = [];
+
+    const { font, firstLineIndent, lineSpacing, spaceBefore, spaceAfter, text } = paraData;
+
+
+
+    // Empty cells carry no text to check
+
+    if ((text || '').trim().length === 0) {
+
+        return errors;
+
+    }
+
+
+
+    // Font name
+
+    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+
+        errors.push({
+
+            type: 'error',
+
+            ...ruleMessage('TABLE_CELL_FONT_NAME', { expected: EBYÜ_RULES.FONT_NAME, actual: font.name }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontName', EBYÜ_RULES.FONT_NAME),
+
+            severity: 'CRITICAL'
+
+        });
+
+    }
+
+
+
+    // Font size: 11pt
+
+    if (font.size && Math.abs(font.size - EBYÜ_RULES.TABLE_CONTENT_SIZE) > 0.5) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('TABLE_CELL_FONT_SIZE', { expected: EBYÜ_RULES.TABLE_CONTENT_SIZE, actual: font.size }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontSize', EBYÜ_RULES.TABLE_CONTENT_SIZE),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Line spacing: single
+
+    if (lineSpacing !== undefined && lineSpacing !== null && (lineSpacing < EBYÜ_RULES.LINE_SPACING_SINGLE_MIN || lineSpacing > EBYÜ_RULES.LINE_SPACING_SINGLE_MAX)) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('TABLE_CELL_LINE_SPACING', { min: EBYÜ_RULES.LINE_SPACING_SINGLE_MIN, max: EBYÜ_RULES.LINE_SPACING_SINGLE_MAX, actual: Number(lineSpacing.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'lineSpacing', EBYÜ_RULES.LINE_SPACING_SINGLE_POINTS),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // No first-line indent
+
+    if (firstLineIndent !== undefined && firstLineIndent !== null && Math.abs(firstLineIndent) > EBYÜ_RULES.INDENT_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('TABLE_CELL_FIRST_LINE_INDENT', { actual: pointsToCm(firstLineIndent) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'firstLineIndent', 0),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Tight paragraph spacing: at most 3nk before and after
+
+    if (spaceBefore !== undefined && spaceBefore !== null && spaceBefore > EBYÜ_RULES.SPACING_3NK + EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('TABLE_CELL_SPACE_BEFORE', { max: EBYÜ_RULES.SPACING_3NK, actual: Number(spaceBefore.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceBefore', EBYÜ_RULES.SPACING_0NK),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    if (spaceAfter !== undefined && spaceAfter !== null && spaceAfter > EBYÜ_RULES.SPACING_3NK + EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('TABLE_CELL_SPACE_AFTER', { max: EBYÜ_RULES.SPACING_3NK, actual: Number(spaceAfter.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceAfter', EBYÜ_RULES.SPACING_0NK),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+function validateCaption(paraData, index) {
+
+    const errors = [];
+
+    const { font, alignment, text } = paraData;
+
+
+
+    // 12pt for caption title
+
+    if (font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_CAPTION_TITLE) > 0.5) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('CAPTION_FONT_SIZE', { expected: EBYÜ_RULES.FONT_SIZE_CAPTION_TITLE, actual: font.size }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontSize', EBYÜ_RULES.FONT_SIZE_CAPTION_TITLE),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Centered
+
+    if (!isCentered(alignment)) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('CAPTION_ALIGNMENT'),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'alignment', 'Centered'),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Caption spacing: 0nk before and after
+
+    if (paraData.spaceBefore !== undefined && paraData.spaceBefore > EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('CAPTION_SPACE_BEFORE', { expected: EBYÜ_RULES.SPACING_0NK, actual: Number(paraData.spaceBefore.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceBefore', EBYÜ_RULES.SPACING_0NK),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    if (paraData.spaceAfter !== undefined && paraData.spaceAfter > EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('CAPTION_SPACE_AFTER', { expected: EBYÜ_RULES.SPACING_0NK, actual: Number(paraData.spaceAfter.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceAfter', EBYÜ_RULES.SPACING_0NK),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+// ============================================
+
+// COVER PAGE VALIDATION (Kapak Sayfası - 16pt, 0nk)
+
+// ============================================
+
+
+
+function validateCoverPage(paraData, index) {
+
+    const errors = [];
+
+    const { font, alignment, spaceBefore, spaceAfter, text } = paraData;
+
+    const trimmed = (text || '').trim();
+
+
+
+    // Skip empty paragraphs
+
+    if (trimmed.length === 0) return errors;
+
+
+
+    // Cover title should be 16pt (main titles on cover)
+
+    const isMainCoverTitle = PATTERNS.COVER_TITLE.test(trimmed) ||
+
+        trimmed.length > 20; // Thesis title
+
+
+
+    if (isMainCoverTitle && font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_COVER_TITLE) > 1) {
+
+        errors.push({
+
+            type: 'error',
+
+            ...ruleMessage('COVER_FONT_SIZE', { expected: EBYÜ_RULES.FONT_SIZE_COVER_TITLE, actual: font.size }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontSize', EBYÜ_RULES.FONT_SIZE_COVER_TITLE),
+
+            severity: 'CRITICAL'
+
+        });
+
+    }
+
+
+
+    // Cover should be centered
 
     if (!isCentered(alignment)) {
 
-        errors.push({
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('COVER_ALIGNMENT'),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'alignment', 'Centered'),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Cover spacing should be 0nk
+
+    if (spaceBefore !== undefined && spaceBefore > EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('COVER_SPACE_BEFORE', { expected: EBYÜ_RULES.SPACING_0NK, actual: Number(spaceBefore.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceBefore', EBYÜ_RULES.SPACING_0NK),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    if (spaceAfter !== undefined && spaceAfter > EBYÜ_RULES.SPACING_TOLERANCE) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('COVER_SPACE_AFTER', { expected: EBYÜ_RULES.SPACING_0NK, actual: Number(spaceAfter.toFixed(1)) }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'spaceAfter', EBYÜ_RULES.SPACING_0NK),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    // Font must be Times New Roman
+
+    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+
+        errors.push({
+
+            type: 'error',
+
+            ...ruleMessage('COVER_FONT_NAME', { expected: EBYÜ_RULES.FONT_NAME, actual: font.name }),
+
+            paraIndex: index,
+
+            fix: createFix(index, 'fontName', EBYÜ_RULES.FONT_NAME),
+
+            severity: 'CRITICAL'
+
+        });
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+// ============================================
+
+// CAPTION PAIRING (Başlık Eşleştirme)
+
+// ============================================
+
+
+
+// Style of list of tables/figures entries (built-in name, then localized names)
+
+const TABLE_OF_FIGURES_STYLE = 'TableOfFigures';
+
+const TABLE_OF_FIGURES_STYLE_NAMES = /^(table of figures|şekiller tablosu)$/i;
+
+
+
+/**
+
+* Caption kind of a paragraph ('table' | 'figure'), or null.
+
+* List of tables/figures entries and report paragraphs are not captions.
+
+*/
+
+function getCaptionType(paragraphDataList, index) {
+
+    const paraData = paragraphDataList[index];
+
+    const snapshot = paragraphSnapshot[index] || {};
+
+    if (!paraData || snapshot.inTOC || snapshot.inCaptionList || snapshot.zone === ZONES.REPORT) return null;
+
+    if (paraData.styleBuiltIn === TABLE_OF_FIGURES_STYLE || TABLE_OF_FIGURES_STYLE_NAMES.test((paraData.style || '').trim())) return null;
+
+
+
+    const trimmed = (paraData.text || '').trim();
+
+    if (isTOCEntry(paraData.style, trimmed)) return null;
+
+    return isCaption(trimmed).type;
+
+}
+
+
+
+/**
+
+* Caption label as it appears in messages: "Tablo 3.2."  -> "Tablo 3.2"
+
+*/
+
+function getCaptionLabel(text) {
+
+    const trimmed = (text || '').trim();
+
+    const match = trimmed.match(PATTERNS.CAPTION_TABLE) || trimmed.match(PATTERNS.CAPTION_FIGURE);
+
+    return match ? match[0].replace(/\s*[:.]$/, '') : trimmed.substring(0, 40);
+
+}
+
+
+
+/**
+
+* Walk from a paragraph in one direction over empty paragraphs of the same
+
+* table nesting level and return the first non-empty one, with the number of
+
+* empties skipped
+
+* @param {number} step - -1 to look above, 1 to look below
+
+* @param {number} [level] - Table nesting level to stay in (0 = body text)
+
+* @param {Set<number>} [barriers] - Paragraphs that end the walk (e.g. other pictures)
+
+* @returns {{index: number, gap: number}|null}
+
+*/
+
+function findAdjacentText(paragraphDataList, from, step, level = 0, barriers = null) {
+
+    let gap = 0;
+
+    for (let i = from; i >= 0 && i < paragraphDataList.length; i += step) {
+
+        const paraData = paragraphDataList[i];
+
+        if ((paraData.tableNestingLevel || 0) !== level) return null;
+
+        if (barriers && barriers.has(i)) return null;
+
+        if ((paraData.text || '').trim().length === 0) {
+
+            gap++;
+
+            continue;
+
+        }
+
+        return { index: i, gap };
+
+    }
+
+    return null;
+
+}
+
+
+
+/**
+
+* Nearest paragraph in one direction (see findAdjacentText) when it is a
+
+* caption of the given kind
+
+* @returns {{index: number, gap: number}|null}
+
+*/
+
+function findAdjacentCaption(paragraphDataList, from, step, type, level = 0, barriers = null) {
+
+    const found = findAdjacentText(paragraphDataList, from, step, level, barriers);
+
+    return found && getCaptionType(paragraphDataList, found.index) === type ? found : null;
+
+}
+
+
+
+/**
+
+* Nearest paragraph above a table when it names the table ("Tablo 1: ...")
+
+* but is not a "Tablo X.Y." caption
+
+* @returns {{index: number, gap: number}|null}
+
+*/
+
+function findAdjacentTableLabel(paragraphDataList, span) {
+
+    const found = findAdjacentText(paragraphDataList, span.start - 1, -1, span.nestingLevel - 1);
+
+    if (!found) return null;
+
+
+
+    const snapshot = paragraphSnapshot[found.index] || {};
+
+    if (snapshot.inTOC || snapshot.inCaptionList || snapshot.zone === ZONES.REPORT) return null;
+
+    return PATTERNS.CAPTION_TABLE_LABEL.test(paragraphDataList[found.index].text.trim()) ? found : null;
+
+}
+
+
+
+/**
+
+* A table that holds a figure with its caption (a figure caption inside it or
+
+* right next to it) is a layout for the figure, not a data table
+
+*/
+
+function isFigureHolderSpan(paragraphDataList, span) {
+
+    for (let i = span.start; i <= span.end; i++) {
+
+        if (getCaptionType(paragraphDataList, i) === 'figure') return true;
+
+    }
+
+    return !!findAdjacentCaption(paragraphDataList, span.end + 1, 1, 'figure', span.nestingLevel - 1) ||
+
+        !!findAdjacentCaption(paragraphDataList, span.start - 1, -1, 'figure', span.nestingLevel - 1);
+
+}
+
+
+
+/**
+
+* Pair every body (non-nested) table with its nearest caption. A caption above
+
+* wins over one below; a caption claimed by two tables stays with the table
+
+* it sits above (or the first claimant) and the other table is marked shared.
+
+* Without a caption, a paragraph above naming the table in another format is
+
+* paired as a malformed caption.
+
+* @param {Set<number>} [layoutTables] - Tables used for positioning, which need no caption
+
+* @returns {Map<number, {caption: number|null, position: string|null, gap: number, owner: number|null, malformed: boolean}>}
+
+*/
+
+function pairTableCaptions(paragraphDataList, tableSpans, layoutTables = new Set()) {
+
+    const pairs = new Map();
+
+    const claims = new Map(); // caption index -> table indexes
+
+
+
+    tableSpans.forEach((span, i) => {
+
+        if (span.nestingLevel !== 1 || layoutTables.has(i) || isFigureHolderSpan(paragraphDataList, span)) return;
+
+
+
+        const above = findAdjacentCaption(paragraphDataList, span.start - 1, -1, 'table');
+
+        const below = above ? null : findAdjacentCaption(paragraphDataList, span.end + 1, 1, 'table');
+
+        const label = above || below ? null : findAdjacentTableLabel(paragraphDataList, span);
+
+        const found = above || below || label;
+
+
+
+        pairs.set(i, {
+
+            caption: found ? found.index : null,
+
+            position: above || label ? 'above' : (below ? 'below' : null),
+
+            gap: found ? found.gap : 0,
+
+            owner: null,
+
+            malformed: !!label
+
+        });
+
+        if (above || below) {
+
+            if (!claims.has(found.index)) claims.set(found.index, []);
+
+            claims.get(found.index).push(i);
+
+        }
+
+    });
+
+
+
+    for (const tableIndexes of claims.values()) {
+
+        if (tableIndexes.length < 2) continue;
+
+        const owner = tableIndexes.find(i => pairs.get(i).position === 'above');
+
+        const keeper = owner !== undefined ? owner : tableIndexes[0];
+
+        for (const i of tableIndexes) {
+
+            if (i !== keeper) pairs.get(i).owner = keeper;
+
+        }
+
+    }
+
+
+
+    return pairs;
+
+}
+
+
+
+/**
+
+* Finding for a table's caption pairing, or null when a "Tablo X.Y." caption
+
+* sits directly above the table
+
+*/
+
+function validateTableCaption(pair, tableIndex, paragraphDataList) {
+
+    if (!pair) return null;
+
+
+
+    const captionData = pair.caption !== null ? paragraphDataList[pair.caption] : null;
+
+    const related = captionData ? { paraIndex: pair.caption, text: captionData.text, anchor: null } : undefined;
+
+    const caption = captionData ? getCaptionLabel(captionData.text) : null;
+
+
+
+    if (pair.caption === null) {
+
+        return { type: 'error', ...ruleMessage('TABLE_CAPTION_MISSING', { table: tableIndex + 1 }), severity: 'CRITICAL' };
+
+    }
+
+    if (pair.malformed) {
+
+        return { type: 'error', ...ruleMessage('TABLE_CAPTION_FORMAT', { table: tableIndex + 1, caption }), severity: 'FORMAT', related };
+
+    }
+
+    if (pair.owner !== null) {
+
+        return { type: 'error', ...ruleMessage('TABLE_CAPTION_SHARED', { table: tableIndex + 1, caption, owner: pair.owner + 1 }), severity: 'CRITICAL', related };
+
+    }
+
+    if (pair.position === 'below') {
+
+        return { type: 'error', ...ruleMessage('TABLE_CAPTION_BELOW', { table: tableIndex + 1, caption }), severity: 'CRITICAL', related };
+
+    }
+
+    if (pair.gap > 0) {
+
+        return { type: 'warning', ...ruleMessage('TABLE_CAPTION_GAP', { table: tableIndex + 1, caption, count: pair.gap }), severity: 'FORMAT', related };
+
+    }
+
+    return null;
+
+}
+
+
+
+/**
+
+* Row and column counts (columns = widest row) of the given tables; the
+
+* others are left out of the (sparse) result
+
+* @param {number[]} tableIndexes - Tables to measure (those in the scan scope)
+
+* @returns {Array<{rows: number, columns: number}>}
+
+*/
+
+async function getTableShapes(context, tables, tableIndexes) {
+
+    tables.load('items/rowCount');
+
+    await context.sync();
+
+
+
+    const rows = new Map();
+
+    for (const i of tableIndexes) {
+
+        if (!tables.items[i]) continue;
+
+        rows.set(i, tables.items[i].rows);
+
+        rows.get(i).load('items/cellCount');
+
+    }
+
+    await context.sync();
+
+
+
+    const shapes = [];
+
+    for (const [i, tableRows] of rows) {
+
+        shapes[i] = {
+
+            rows: tables.items[i].rowCount,
+
+            columns: Math.max(0, ...tableRows.items.map(row => row.cellCount))
+
+        };
+
+    }
+
+    return shapes;
+
+}
+
+
+
+/**
+
+* Indexes of tables made of a single cell (one row with one cell)
+
+*/
+
+function getSingleCellTableIndexes(shapes) {
+
+    const indexes = new Set();
+
+    shapes.forEach((shape, i) => {
+
+        if (shape.rows === 1 && shape.columns === 1) indexes.add(i);
+
+    });
+
+    return indexes;
+
+}
+
+
+
+/**
+
+* Pair figures with their captions, expected directly below. Pictures in
+
+* consecutive paragraphs form one figure (sub-figures share a caption). A
+
+* figure in a single-cell layout table may have its caption inside the cell
+
+* or right below the table.
+
+* @param {Array<number|null>} pictureParaIndexes - Paragraph of every inline picture
+
+* @returns {{figures: Array<{start: number, end: number, caption: number|null, position: string|null, gap: number}>, claimed: Set<number>}}
+
+*/
+
+function pairFigureCaptions(paragraphDataList, pictureParaIndexes, tableSpans, singleCellTables) {
+
+    const pictureParas = new Set(pictureParaIndexes.filter(index => index !== null));
+
+    const figures = [];
+
+    const claimed = new Set();
+
+
+
+    for (const index of [...pictureParas].sort((a, b) => a - b)) {
+
+        const last = figures[figures.length - 1];
+
+        if (last && last.end === index - 1) {
+
+            last.end = index;
+
+        } else {
+
+            figures.push({ start: index, end: index, caption: null, position: null, gap: 0 });
+
+        }
+
+    }
+
+
+
+    for (const figure of figures) {
+
+        const level = paragraphDataList[figure.start].tableNestingLevel || 0;
+
+        const spanIndex = level > 0
+
+            ? tableSpans.findIndex(span => span.nestingLevel === level && span.start <= figure.start && span.end >= figure.end)
+
+            : -1;
+
+        const holder = spanIndex >= 0 && singleCellTables.has(spanIndex) ? tableSpans[spanIndex] : null;
+
+
+
+        const find = (step) => findAdjacentCaption(paragraphDataList, step > 0 ? figure.end + 1 : figure.start - 1, step, 'figure', level, pictureParas) ||
+
+            (holder ? findAdjacentCaption(paragraphDataList, step > 0 ? holder.end + 1 : holder.start - 1, step, 'figure', level - 1, pictureParas) : null);
+
+
+
+        const below = find(1);
+
+        const above = below ? null : find(-1);
+
+        const found = below || above;
+
+        if (!found || claimed.has(found.index)) continue;
+
+
+
+        figure.caption = found.index;
+
+        figure.position = below ? 'below' : 'above';
+
+        figure.gap = found.gap;
+
+        claimed.add(found.index);
+
+    }
+
+
+
+    return { figures, claimed };
+
+}
+
+
+
+/**
+
+* Finding for a figure's caption pairing, or null when the caption sits
+
+* directly below the figure
+
+*/
+
+function validateFigureCaption(figure, pictureIndex, paragraphDataList) {
+
+    const captionData = figure.caption !== null ? paragraphDataList[figure.caption] : null;
+
+    const related = captionData ? { paraIndex: figure.caption, text: captionData.text, anchor: null } : undefined;
+
+    const caption = captionData ? getCaptionLabel(captionData.text) : null;
+
+
+
+    if (figure.caption === null) {
+
+        return { type: 'error', ...ruleMessage('FIGURE_CAPTION_MISSING', { picture: pictureIndex + 1 }), severity: 'CRITICAL' };
+
+    }
+
+    if (figure.position === 'above') {
+
+        return { type: 'error', ...ruleMessage('FIGURE_CAPTION_ABOVE', { picture: pictureIndex + 1, caption }), severity: 'CRITICAL', related };
+
+    }
+
+    if (figure.gap > 0) {
+
+        return { type: 'warning', ...ruleMessage('FIGURE_CAPTION_GAP', { picture: pictureIndex + 1, caption, count: figure.gap }), severity: 'FORMAT', related };
+
+    }
+
+    return null;
+
+}
+
+
+
+/**
+
+* Figure captions no figure claimed. A caption right below an empty paragraph
+
+* is left alone: that paragraph may hold a chart or shape, which the API does
+
+* not list among inline pictures.
+
+* @returns {number[]} - Paragraph indexes of orphan captions
+
+*/
+
+function findOrphanFigureCaptions(paragraphDataList, claimed) {
+
+    const orphans = [];
+
+    for (let i = 0; i < paragraphDataList.length; i++) {
+
+        if (claimed.has(i) || getCaptionType(paragraphDataList, i) !== 'figure') continue;
+
+
+
+        const previous = paragraphDataList[i - 1];
+
+        const sameLevel = previous && (previous.tableNestingLevel || 0) === (paragraphDataList[i].tableNestingLevel || 0);
+
+        if (sameLevel && (previous.text || '').trim().length === 0) continue;
+
+        orphans.push(i);
+
+    }
+
+    return orphans;
+
+}
+
+
+
+// ============================================
+
+// CAPTION NUMBERING (Başlık Numaraları)
+
+// ============================================
+
+
+
+// Chapter numbers written out in main headings ("İKİNCİ BÖLÜM", "CHAPTER TWO")
+
+const CHAPTER_ORDINALS = {
+
+    'BİRİNCİ': 1, 'İKİNCİ': 2, 'ÜÇÜNCÜ': 3, 'DÖRDÜNCÜ': 4, 'BEŞİNCİ': 5,
+
+    'ALTINCI': 6, 'YEDİNCİ': 7, 'SEKİZİNCİ': 8, 'DOKUZUNCU': 9, 'ONUNCU': 10,
+
+    'ONE': 1, 'TWO': 2, 'THREE': 3, 'FOUR': 4, 'FIVE': 5,
+
+    'SIX': 6, 'SEVEN': 7, 'EIGHT': 8, 'NINE': 9, 'TEN': 10
+
+};
+
+
+
+function romanToNumber(roman) {
+
+    const values = { I: 1, V: 5, X: 10 };
+
+    let total = 0;
+
+    for (let i = 0; i < roman.length; i++) {
+
+        const value = values[roman[i]];
+
+        const next = values[roman[i + 1]] || 0;
+
+        total += value < next ? -value : value;
+
+    }
+
+    return total;
+
+}
+
+
+
+/**
+
+* Number of the chapter a main heading opens: from its list number ("2."),
+
+* a typed number, an ordinal ("İKİNCİ BÖLÜM") or "BÖLÜM II" / "CHAPTER 2".
+
+* Unnumbered headings (GİRİŞ, SONUÇ, ...) give null.
+
+*/
+
+function getChapterNumber(paraData) {
+
+    const listMatch = (paraData.listString || '').trim().match(/^(\d+)\.?$/);
+
+    if (listMatch) return Number(listMatch[1]);
+
+
+
+    const text = (paraData.text || '').trim().toLocaleUpperCase('tr-TR');
+
+    const typed = text.match(/^(\d+)\.\s/);
+
+    if (typed) return Number(typed[1]);
+
+
+
+    const ordinal = text.match(/^(\p{L}+)\s*BÖLÜM$/u);
+
+    if (ordinal && CHAPTER_ORDINALS[ordinal[1]]) return CHAPTER_ORDINALS[ordinal[1]];
+
+
+
+    const numbered = text.match(/^(?:BÖLÜM|CHAPTER)\s*([IVX]+|\d+|\p{L}+)\b/u);
+
+    if (numbered) {
+
+        if (/^\d+$/.test(numbered[1])) return Number(numbered[1]);
+
+        if (/^[IVX]+$/.test(numbered[1])) return romanToNumber(numbered[1]);
+
+        return CHAPTER_ORDINALS[numbered[1]] || null;
+
+    }
+
+    return null;
+
+}
+
+
+
+/**
+
+* Label, chapter and sequence number of a caption ("Şekil 3.2." -> Şekil, 3, 2)
+
+* @returns {{label: string, key: string, chapter: number, number: number}|null}
+
+*/
+
+function parseCaptionNumber(text) {
+
+    const trimmed = (text || '').trim();
+
+    const tableMatch = trimmed.match(PATTERNS.CAPTION_TABLE);
+
+    const figureMatch = trimmed.match(PATTERNS.CAPTION_FIGURE);
+
+
+
+    let label, chapter, number;
+
+    if (tableMatch) {
+
+        label = trimmed.match(/^\p{L}+/u)[0];
+
+        chapter = Number(tableMatch[1]);
+
+        number = Number(tableMatch[2]);
+
+    } else if (figureMatch) {
+
+        label = figureMatch[1];
+
+        chapter = Number(figureMatch[2]);
+
+        number = Number(figureMatch[3]);
+
+    } else {
+
+        return null;
+
+    }
+
+
+
+    return { label, key: label.toLocaleLowerCase(thesisLanguage), chapter, number };
+
+}
+
+
+
+/**
+
+* Check caption numbers over the whole document: the prefix is the number of
+
+* the enclosing main chapter, and each label (Tablo, Şekil, Grafik, ...)
+
+* counts 1, 2, 3 ... within every chapter without gaps or duplicates.
+
+* A main heading without a number right after a numbered one ("BİRİNCİ
+
+* BÖLÜM" followed by its title line) continues that chapter.
+
+* @returns {Array} - Findings with paraIndex, each giving the expected number
+
+*/
+
+function validateCaptionNumbering(paragraphDataList, classification) {
+
+    const errors = [];
+
+    let chapterNumber = null;
+
+    let counters = new Map(); // label key -> { count, seen: Set of "chapter.number" }
+
+    let previousWasNumberedHeading = false;
+
+
+
+    for (let i = 0; i < paragraphDataList.length; i++) {
+
+        const paraData = paragraphDataList[i];
+
+        const entry = classification[i] || {};
+
+        if ((paraData.text || '').trim().length === 0) continue;
+
+
+
+        if (entry.paraType === PARA_TYPES.MAIN_HEADING) {
+
+            const number = getChapterNumber(paraData);
+
+            if (number !== null || !previousWasNumberedHeading) {
+
+                chapterNumber = number;
+
+                counters = new Map();
+
+            }
+
+            previousWasNumberedHeading = chapterNumber !== null;
+
+            continue;
+
+        }
+
+        previousWasNumberedHeading = false;
+
+
+
+        // List of tables/figures entries repeat the captions they point to
+
+        if (entry.inTOC || entry.inCaptionList || !getCaptionType(paragraphDataList, i)) continue;
+
+        const caption = parseCaptionNumber(paraData.text);
+
+        if (!caption) continue;
+
+
+
+        if (!counters.has(caption.key)) counters.set(caption.key, { count: 0, seen: new Set() });
+
+        const counter = counters.get(caption.key);
+
+        counter.count++;
+
+
+
+        const prefix = chapterNumber !== null ? chapterNumber : caption.chapter;
+
+        const actual = `${caption.label} ${caption.chapter}.${caption.number}`;
+
+        const expected = `${caption.label} ${prefix}.${counter.count}`;
+
+        const seenKey = `${caption.chapter}.${caption.number}`;
+
+
+
+        if (caption.chapter !== prefix) {
+
+            errors.push({
+
+                type: 'warning',
+
+                ...ruleMessage('CAPTION_CHAPTER_PREFIX', { caption: actual, chapter: prefix, expected }),
+
+                paraIndex: i,
+
+                severity: 'FORMAT'
+
+            });
+
+        } else if (counter.seen.has(seenKey)) {
+
+            errors.push({
+
+                type: 'error',
+
+                ...ruleMessage('CAPTION_NUMBER_DUPLICATE', { caption: actual, expected }),
+
+                paraIndex: i,
+
+                severity: 'CRITICAL'
+
+            });
+
+        } else if (caption.number !== counter.count) {
+
+            errors.push({
+
+                type: 'warning',
+
+                ...ruleMessage('CAPTION_NUMBER_SEQUENCE', { caption: actual, expected }),
+
+                paraIndex: i,
+
+                severity: 'FORMAT'
+
+            });
+
+        }
+
+        counter.seen.add(seenKey);
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+// ============================================
+
+// LAYOUT TABLES (Düzen Tabloları)
+
+// ============================================
+
+
+
+const TABLE_BORDER_LOCATIONS = ['Top', 'Bottom', 'Left', 'Right', 'InsideHorizontal', 'InsideVertical'];
+
+
+
+/**
+
+* Indexes, among the given ones, of tables with no visible border on any side
+
+* or inside line. Table borders need WordApi 1.3; without it no table counts
+
+* as borderless.
+
+*/
+
+async function getBorderlessTableIndexes(context, tables, tableIndexes) {
+
+    const indexes = new Set();
+
+    if (!Office.context.requirements.isSetSupported('WordApi', '1.3')) return indexes;
+
+
+
+    const borders = tableIndexes.map(i => TABLE_BORDER_LOCATIONS.map(location => {
+
+        const border = tables.items[i].getBorder(location);
+
+        border.load('type');
+
+        return border;
+
+    }));
+
+    await context.sync();
+
+
+
+    borders.forEach((tableBorders, n) => {
+
+        if (tableBorders.every(border => border.type === 'None')) indexes.add(tableIndexes[n]);
+
+    });
+
+    return indexes;
+
+}
+
+
+
+/**
+
+* Why a table looks like a layout ("ghost") table, or null for a data table.
+
+* A table that keeps a figure together with its caption is a known-good use.
+
+* One row or one column alone is no sign when the table has a caption (or a
+
+* "Tablo N" label) next to it: that is a small data table.
+
+* @returns {string|null} - 'borderless' | 'singleRow' | 'singleColumn'
+
+*/
+
+function getLayoutTableReason(paragraphDataList, span, shape, isBorderless) {
+
+    if (!span || isFigureHolderSpan(paragraphDataList, span)) return null;
+
+    if (isBorderless) return 'borderless';
+
+    if (!shape) return null;
+
+
+
+    let hasBodyText = false;
+
+    for (let i = span.start; i <= span.end; i++) {
+
+        if ((paragraphDataList[i].text || '').trim().length >= EBYÜ_RULES.MIN_BODY_TEXT_LENGTH) {
+
+            hasBodyText = true;
+
+            break;
+
+        }
+
+    }
+
+    if (!hasBodyText) return null;
+
+
+
+    const hasCaption = findAdjacentCaption(paragraphDataList, span.start - 1, -1, 'table') ||
+
+        findAdjacentCaption(paragraphDataList, span.end + 1, 1, 'table') ||
+
+        findAdjacentTableLabel(paragraphDataList, span);
+
+    if (hasCaption) return null;
+
+    if (shape.rows === 1) return 'singleRow';
+
+    if (shape.columns === 1) return 'singleColumn';
+
+    return null;
+
+}
+
+
+
+// ============================================
+
+// TABLE ALIGNMENT VALIDATION (Tablo Hizalama)
+
+// ============================================
+
+
+
+/**
+
+* @param {Array<{rows: number, columns: number}>} tableShapes - From getTableShapes, loaded once per scan
+
+*/
+
+async function validateTables(context, paragraphDataList = [], scope = null, tableShapes = []) {
+
+    const errors = [];
+
+
+
+    try {
+
+        const tables = context.document.body.tables;
+
+        tables.load('items/rowCount');
+
+        await context.sync();
+
+
+
+        // Only tables inside the scope are checked (and loaded further)
+
+        const tableSpans = getTableSpans(paragraphDataList);
+
+        const checked = getTableIndexesInScope(tableSpans, scope).filter(i => i < tables.items.length);
+
+        const borderless = await getBorderlessTableIndexes(context, tables, checked);
+
+
+
+        const layoutReasons = new Map();
+
+        for (const i of checked) {
+
+            const reason = getLayoutTableReason(paragraphDataList, tableSpans[i], tableShapes[i], borderless.has(i));
+
+            if (reason) layoutReasons.set(i, reason);
+
+        }
+
+        const captionPairs = pairTableCaptions(paragraphDataList, tableSpans, new Set(layoutReasons.keys()));
+
+
+
+        for (const i of checked) {
+
+            if (tableSpans[i] && isReportParagraph(tableSpans[i].start)) continue;
+
+
+
+            const table = tables.items[i];
+
+            table.load(['alignment', 'font/name', 'font/highlightColor', 'font/underline']);
+
+            await context.sync();
+
+
+
+            // Layout table: positioning belongs in columns, not in a table
+
+            const layoutReason = layoutReasons.get(i);
+
+            if (layoutReason) {
+
+                errors.push({
+
+                    type: 'warning',
+
+                    ...ruleMessage('LAYOUT_TABLE', { table: i + 1, reason: msg(`layout.${layoutReason}`) }),
+
+                    severity: 'FORMAT',
+
+                    tableIndex: i,
+
+                    order: tableSpans[i] ? tableSpans[i].start : null
+
+                });
+
+            }
+
+
+
+            // Caption: "Tablo X.Y." directly above the table
+
+            const captionError = validateTableCaption(captionPairs.get(i), i, paragraphDataList);
+
+            if (captionError) {
+
+                errors.push({
+
+                    ...captionError,
+
+                    tableIndex: i,
+
+                    order: tableSpans[i] ? tableSpans[i].start : null
+
+                });
+
+            }
+
+
+
+            // Check alignment - must be centered
+
+            const misaligned = table.alignment && !isCentered(table.alignment) &&
+
+                table.alignment !== 'Mixed' &&
+
+                table.alignment !== 'Unknown';
+
+            if (misaligned) {
+
+                errors.push({
+
+                    type: 'warning',
+
+                    ...ruleMessage('TABLE_ALIGNMENT', { table: i + 1, actual: table.alignment }),
+
+                    severity: 'FORMAT',
+
+                    tableIndex: i,
+
+                    order: tableSpans[i] ? tableSpans[i].start : null
+
+                });
+
+            }
+
+
+
+            // Highlight table (a missing or misplaced caption counts as critical)
+
+            if (captionError || misaligned || layoutReason) {
+
+                markPlace({ kind: 'table', index: i, paraIndex: tableSpans[i] ? tableSpans[i].start : null }, table.font,
+
+                    !!captionError && captionError.type === 'error');
+
+            }
+
+        }
+
+
+
+        logStep('TABLES', `Validated ${tables.items.length} tables, found ${errors.length} errors`);
+
+    } catch (error) {
+
+        logStep('TABLES', `Table validation error: ${error.message}`);
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+// ============================================
+
+// IMAGE ALIGNMENT VALIDATION (Resim Hizalama)
+
+// ============================================
+
+
+
+/**
+
+* @param {Array<{rows: number, columns: number}>} tableShapes - From getTableShapes, loaded once per scan
+
+*/
+
+async function validateImages(context, paragraphDataList = [], scope = null, tableShapes = []) {
+
+    const errors = [];
+
+
+
+    try {
+
+        const pictures = context.document.body.inlinePictures;
+
+        pictures.load('items');
+
+        await context.sync();
+
+
+
+        // BATCH LOAD: picture paragraphs and their predecessors (for document position)
+
+        const previousParagraphs = [];
+
+        for (const pic of pictures.items) {
+
+            pic.paragraph.load('alignment,text,font/highlightColor,font/underline');
+
+            const previous = pic.paragraph.getPreviousOrNullObject();
+
+            previous.load('text');
+
+            previousParagraphs.push(previous);
+
+        }
+
+        await context.sync();
+
+
+
+        let searchFrom = 0;
+
+        const pictureParaIndexes = pictures.items.map((pic, i) => {
+
+            const previous = previousParagraphs[i];
+
+            const paraIndex = locateParagraphIndex(paragraphDataList, pic.paragraph.text,
+
+                previous.isNullObject ? null : previous.text, searchFrom);
+
+            if (paraIndex !== null) searchFrom = paraIndex;
+
+            return paraIndex;
+
+        });
+
+
+
+        // Captions: "Şekil X.Y." directly below each figure
+
+        const tableSpans = getTableSpans(paragraphDataList);
+
+        const singleCellTables = getSingleCellTableIndexes(tableShapes);
+
+        const { figures, claimed } = pairFigureCaptions(paragraphDataList, pictureParaIndexes, tableSpans, singleCellTables);
+
+        const reportedFigures = new Set();
+
+
+
+        for (let i = 0; i < pictures.items.length; i++) {
+
+            const pic = pictures.items[i];
+
+            const alignment = pic.paragraph.alignment;
+
+
+
+            const paraIndex = pictureParaIndexes[i];
+
+            if (scope && !isInScope(paraIndex, scope)) continue;
+
+            if (isReportParagraph(paraIndex)) continue;
+
+
+
+            // One caption finding per figure, on its first picture
+
+            const figure = figures.find(f => paraIndex !== null && f.start <= paraIndex && f.end >= paraIndex);
+
+            const captionError = figure && !reportedFigures.has(figure)
+
+                ? validateFigureCaption(figure, i, paragraphDataList)
+
+                : null;
+
+            if (figure) reportedFigures.add(figure);
+
+            if (captionError) {
+
+                errors.push({
+
+                    ...captionError,
+
+                    pictureIndex: i,
+
+                    order: paraIndex
+
+                });
+
+            }
+
+
+
+            // Images should be centered
+
+            const misaligned = alignment && !isCentered(alignment);
+
+            if (misaligned) {
+
+                errors.push({
+
+                    type: 'warning',
+
+                    ...ruleMessage('IMAGE_ALIGNMENT', { picture: i + 1, actual: alignment }),
+
+                    severity: 'FORMAT',
+
+                    pictureIndex: i,
+
+                    order: paraIndex
+
+                });
+
+            }
+
+
+
+            // Highlight the paragraph containing image
+
+            if ((captionError || misaligned) && paraIndex !== null) {
+
+                markPlace({ kind: 'paragraph', paraIndex, text: pic.paragraph.text }, pic.paragraph.font,
+
+                    !!captionError && captionError.type === 'error');
+
+            }
+
+        }
+
+
+
+        // Figure captions with no figure above them
+
+        for (const index of findOrphanFigureCaptions(paragraphDataList, claimed)) {
+
+            if (scope && !isInScope(index, scope)) continue;
+
+
+
+            const paraData = paragraphDataList[index];
+
+            errors.push({
+
+                type: 'warning',
+
+                ...ruleMessage('FIGURE_CAPTION_ORPHAN', { caption: getCaptionLabel(paraData.text) }),
+
+                severity: 'FORMAT',
+
+                paraIndex: index,
+
+                order: index
+
+            });
+
+            markPlace({ kind: 'paragraph', paraIndex: index, text: paraData.text }, paraData.paragraph.font, false);
+
+        }
+
+
+
+        logStep('IMAGES', `Validated ${pictures.items.length} images, found ${errors.length} errors`);
+
+    } catch (error) {
+
+        logStep('IMAGES', `Image validation error: ${error.message}`);
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+// ============================================
+
+// DOCUMENT POSITIONS (Belge İçi Konum)
+
+// ============================================
+
+
+
+/**
+
+* Derive table spans (paragraph index ranges) from tableNestingLevel.
+
+* A table starts wherever the nesting level rises, so spans come out in the
+
+* same document order as body.tables (outer table before its nested ones).
+
+* @returns {Array<{start: number, end: number, nestingLevel: number}>}
+
+*/
+
+function getTableSpans(paragraphDataList) {
+
+    const spans = [];
+
+    const open = []; // Stack of spans still being extended
+
+
+
+    for (let i = 0; i < paragraphDataList.length; i++) {
+
+        const level = paragraphDataList[i].tableNestingLevel || 0;
+
+
+
+        while (open.length > level) open.pop();
+
+        while (open.length < level) {
+
+            const span = { start: i, end: i, nestingLevel: open.length + 1 };
+
+            spans.push(span);
+
+            open.push(span);
+
+        }
+
+        for (const span of open) span.end = i;
+
+    }
+
+
+
+    return spans;
+
+}
+
+
+
+/**
+
+* Find the index of a paragraph loaded outside the batch (e.g. pic.paragraph)
+
+* by its text and the text of the paragraph before it
+
+*/
+
+function locateParagraphIndex(paragraphDataList, text, previousText, fromIndex = 0) {
+
+    let fallback = null;
+
+    for (let i = fromIndex; i < paragraphDataList.length; i++) {
+
+        if (paragraphDataList[i].text !== text) continue;
+
+
+
+        const prev = i > 0 ? paragraphDataList[i - 1].text : null;
+
+        if (prev === previousText) return i;
+
+        if (fallback === null) fallback = i;
+
+    }
+
+    return fallback;
+
+}
+
+
+
+/**
+
+* First paragraph index of every section. Section bodies are counted with a
+
+* single light property in one sync; unloaded sections yield null.
+
+*/
+
+async function getSectionStartIndexes(context, sections) {
+
+    const bodies = sections.items.map(section => {
+
+        const paragraphs = section.body.paragraphs;
+
+        paragraphs.load('items/isListItem');
+
+        return paragraphs;
+
+    });
+
+
+
+    try {
+
+        await context.sync();
+
+    } catch (error) {
+
+        logStep('SECTIONS', `Section bodies not loaded: ${error.message}`);
+
+        return sections.items.map(() => null);
+
+    }
+
+
+
+    const starts = [];
+
+    let start = 0;
+
+    for (const paragraphs of bodies) {
+
+        starts.push(start);
+
+        start += paragraphs.items.length;
+
+    }
+
+
+
+    return starts;
+
+}
+
+
+
+// ============================================
+
+// PAGE NUMBER VALIDATION (Sayfa No Kontrolü)
+
+// ============================================
+
+
+
+/**
+
+* @param {number[]} sectionIndexes - Sections to check (those in the scan scope)
+
+*/
+
+async function validatePageNumbers(context, sections, sectionIndexes) {
+
+    const errors = [];
+
+
+
+    try {
+
+        // Batch load footer distances and footers; either may be unavailable on its own
+
+        const pageSetups = sectionIndexes.map(i => {
+
+            const pageSetup = sections.items[i].pageSetup;
+
+            pageSetup.load('footerDistance');
+
+            return pageSetup;
+
+        });
+
+        try {
+
+            await context.sync();
+
+        } catch (error) {
+
+            logStep('PAGE_NUM', `Footer distances not loaded: ${error.message}`);
+
+            pageSetups.fill(null);
+
+        }
+
+
+
+        const footers = sectionIndexes.map(i => {
+
+            const footer = sections.items[i].getFooter("Primary");
+
+            footer.load('text');
+
+            return footer;
+
+        });
+
+        try {
+
+            await context.sync();
+
+        } catch (error) {
+
+            logStep('PAGE_NUM', `Footers not loaded: ${error.message}`);
+
+            footers.fill(null);
+
+        }
+
+
+
+        sectionIndexes.forEach((i, n) => {
+
+            try {
+
+                const footerDistance = pageSetups[n] ? pageSetups[n].footerDistance : undefined;
+
+
+
+                // Footer distance should be 1.25 cm (35.4 pt)
+
+                if (footerDistance !== undefined &&
+
+                    Math.abs(footerDistance - EBYÜ_RULES.PAGE_NUMBER_FOOTER_DISTANCE_POINTS) > EBYÜ_RULES.MARGIN_TOLERANCE) {
+
+
+
+                    errors.push({
+
+                        type: 'warning',
+
+                        ...ruleMessage('PAGE_NUMBER_POSITION', { section: i + 1, expected: pointsToCm(EBYÜ_RULES.PAGE_NUMBER_FOOTER_DISTANCE_POINTS), actual: pointsToCm(footerDistance) }),
+
+                        location: msg('location.section', { n: i + 1 }),
+
+                        severity: 'FORMAT',
+
+                        sectionIndex: i
+
+                    });
+
+                }
+
+
+
+                // Footer should contain page number (numeric content)
+
+                const footer = footers[n];
+
+                if (footer && footer.text && footer.text.trim().length === 0) {
+
+                    errors.push({
+
+                        type: 'warning',
+
+                        ...ruleMessage('PAGE_NUMBER_MISSING', { section: i + 1 }),
+
+                        location: msg('location.section', { n: i + 1 }),
+
+                        severity: 'FORMAT',
+
+                        sectionIndex: i
+
+                    });
+
+                }
+
+            } catch (sectionError) {
+
+                logStep('PAGE_NUM', `Section ${i + 1} page number check failed: ${sectionError.message}`);
+
+            }
+
+        });
+
+
+
+        logStep('PAGE_NUM', `Validated page numbers, found ${errors.length} errors`);
+
+    } catch (error) {
+
+        logStep('PAGE_NUM', `Page number validation error: ${error.message}`);
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+// ============================================
+
+// ABSTRACT VALIDATION (Özet Sayfası)
+
+// ============================================
+
+
+
+/**
+
+* @param {string} page - Heading of the checked page (ÖZET or ABSTRACT), used in titles
+
+*/
+
+function validateAbstract(paraData, abstractParagraphs, page) {
+
+    const errors = [];
+
+
+
+    // Count total words in abstract
+
+    let totalWords = 0;
+
+    let abstractText = '';
+
+
+
+    for (const para of abstractParagraphs) {
+
+        const text = (para.text || '').trim();
+
+        if (text.length > 0 && !text.match(/^(ÖZET|ABSTRACT|Anahtar Kelimeler|Keywords)/i)) {
+
+            const words = text.split(/\s+/).filter(w => w.length > 0);
+
+            totalWords += words.length;
+
+            abstractText += text + ' ';
+
+        }
+
+    }
+
+
+
+    // Word count check: 200-250 words
+
+    if (totalWords < EBYÜ_RULES.ABSTRACT_MIN_WORDS) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('ABSTRACT_TOO_SHORT', { page, expected: EBYÜ_RULES.ABSTRACT_MIN_WORDS, actual: totalWords }),
+
+            severity: 'FORMAT'
+
+        });
+
+    } else if (totalWords > EBYÜ_RULES.ABSTRACT_MAX_WORDS) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('ABSTRACT_TOO_LONG', { page, expected: EBYÜ_RULES.ABSTRACT_MAX_WORDS, actual: totalWords }),
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+// ============================================
+
+// ADD ERROR COMMENT (Hata Yorumu Ekleme)
+
+// ============================================
+
+
+
+/**
+
+* @returns {Word.Comment|null} - The queued comment (load its id before a sync)
+
+*/
+
+async function addErrorComment(context, paragraph, errorMessage) {
+
+    try {
+
+        const range = paragraph.getRange();
+
+        const comment = range.insertComment(errorMessage);
+
+        logStep('COMMENT', `Added comment: ${errorMessage.substring(0, 50)}...`);
+
+        return comment;
+
+    } catch (error) {
+
+        // Comments may not be supported in all environments
+
+        logStep('COMMENT', `Could not add comment: ${error.message}`);
+
+        return null;
+
+    }
+
+}
+
+
+
+// ============================================
+
+// THESIS VARIANT VALIDATION (Tez Türü Kuralları)
+
+// ============================================
+
+
+
+const VARIANT_SETTING_KEY = 'ebyuThesisVariant';
+
+let variantOverride = { degree: null, institute: null }; // Manual choice from the pane
+
+
+
+function restoreVariantOverride() {
+
+    const stored = Office.context.document.settings.get(VARIANT_SETTING_KEY);
+
+    if (stored) {
+
+        variantOverride = { degree: stored.degree || null, institute: stored.institute || null };
+
+    }
+
+}
+
+
+
+function setVariantOverride(field, value) {
+
+    variantOverride[field] = value;
+
+    const settings = Office.context.document.settings;
+
+    settings.set(VARIANT_SETTING_KEY, variantOverride);
+
+    settings.saveAsync((asyncResult) => {
+
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+
+            logStep('VARIANT', `Variant override not saved: ${asyncResult.error && asyncResult.error.message}`);
+
+        }
+
+    });
+
+    logStep('VARIANT', `Override ${field} = ${value || 'auto'}`);
+
+}
+
+
+
+/**
+
+* Find the degree and institute lines on the cover (first paragraphs up to
+
+* the end of the cover zone)
+
+* @returns {{degree: string|null, degreeIndex: number|null, institute: string|null, instituteIndex: number|null}}
+
+*/
+
+function detectThesisVariant(paragraphDataList, classification) {
+
+    const detected = { degree: null, degreeIndex: null, institute: null, instituteIndex: null };
+
+
+
+    for (let i = 0; i < paragraphDataList.length; i++) {
+
+        if (classification[i] && classification[i].zone !== ZONES.COVER) break;
+
+        const text = paragraphDataList[i].text.trim().toLocaleUpperCase('tr-TR');
+
+
+
+        for (const [key, variant] of Object.entries(thesisVariants.degrees)) {
+
+            if (detected.degree === null && variant.cover.test(text)) {
+
+                detected.degree = key;
+
+                detected.degreeIndex = i;
+
+            }
+
+        }
+
+        for (const [key, variant] of Object.entries(thesisVariants.institutes)) {
+
+            if (detected.institute === null && variant.cover.test(text)) {
+
+                detected.institute = key;
+
+                detected.instituteIndex = i;
+
+            }
+
+        }
+
+    }
+
+
+
+    return detected;
+
+}
+
+
+
+/**
+
+* Manual override wins over the cover; the rules of the chosen variants are
+
+* layered on top of the active profile
+
+*/
+
+function resolveThesisVariant(detected) {
+
+    const degree = variantOverride.degree || detected.degree;
+
+    const institute = variantOverride.institute || detected.institute;
+
+
+
+    Object.assign(EBYÜ_RULES, BUNDLED_PROFILE.rules, activeProfile.rules || {},
+
+        degree && thesisVariants.degrees[degree] ? thesisVariants.degrees[degree].rules : {},
+
+        institute && thesisVariants.institutes[institute] ? thesisVariants.institutes[institute].rules : {});
+
+
+
+    return { degree, institute };
+
+}
+
+
+
+function validateCoverWording(detected, variant) {
+
+    const errors = [];
+
+    const checks = [
+
+        ['degree', 'degrees', detected.degreeIndex, 'variant.degreeField'],
+
+        ['institute', 'institutes', detected.instituteIndex, 'variant.instituteField']
+
+    ];
+
+
+
+    for (const [field, group, index, labelKey] of checks) {
+
+        const expected = variant[field] ? thesisVariants[group][variant[field]] : null;
+
+        if (!expected) continue;
+
+
+
+        if (detected[field] === null) {
+
+            errors.push({
+
+                type: 'error',
+
+                ...ruleMessage('COVER_VARIANT_MISSING', { field: msg(labelKey), expected: expected.label }),
+
+                paraIndex: null,
+
+                severity: 'CRITICAL'
+
+            });
+
+        } else if (detected[field] !== variant[field]) {
+
+            errors.push({
+
+                type: 'error',
+
+                ...ruleMessage('COVER_VARIANT_MISMATCH', { field: msg(labelKey), expected: expected.label, actual: thesisVariants[group][detected[field]].label }),
+
+                paraIndex: index,
+
+                severity: 'CRITICAL'
+
+            });
+
+        }
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+function validateRequiredPages(paragraphDataList, classification, variant) {
+
+    const errors = [];
+
+    const requiredPages = [
+
+        ...(variant.degree ? thesisVariants.degrees[variant.degree].requiredPages : []),
+
+        ...(variant.institute ? thesisVariants.institutes[variant.institute].requiredPages : [])
+
+    ];
+
+    const seen = new Set();
+
+
+
+    for (const page of requiredPages) {
+
+        if (seen.has(page.label)) continue;
+
+        seen.add(page.label);
+
+
+
+        const found = paragraphDataList.some((paraData, i) =>
+
+            !(classification[i] && (classification[i].inTOC || classification[i].zone === ZONES.REPORT)) &&
+
+            page.pattern.test(paraData.text.trim().toLocaleUpperCase('tr-TR')));
+
+
+
+        if (!found) {
+
+            const degree = thesisVariants.degrees[variant.degree];
+
+            const owner = degree ? msg('variant.degreeTheses', { degree: degree.label }) : msg('variant.thisThesis');
+
+            errors.push({
+
+                type: 'error',
+
+                ...ruleMessage('REQUIRED_PAGE_MISSING', { page: page.label, owner }),
+
+                paraIndex: null,
+
+                severity: 'CRITICAL'
+
+            });
+
+        }
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+/**
+
+* Page count of the main text (GİRİŞ up to the bibliography). Uses the page
+
+* API where available, otherwise estimates from the word count.
+
+* @returns {Promise<{pages: number, estimated: boolean}|null>}
+
+*/
+
+async function countBodyPages(context, paragraphDataList, classification) {
+
+    const bodyIndexes = [];
+
+    classification.forEach((entry, i) => {
+
+        if (entry.zone === ZONES.BODY) bodyIndexes.push(i);
+
+    });
+
+    if (bodyIndexes.length === 0) return null;
+
+
+
+    const first = bodyIndexes[0];
+
+    const last = bodyIndexes[bodyIndexes.length - 1];
+
+
+
+    if (Office.context.requirements.isSetSupported('WordApiDesktop', '1.2')) {
+
+        try {
+
+            const range = paragraphDataList[first].paragraph.getRange('Start')
+
+                .expandTo(paragraphDataList[last].paragraph.getRange('End'));
+
+            const pages = range.pages;
+
+            pages.load('items');
+
+            await context.sync();
+
+            return { pages: pages.items.length, estimated: false };
+
+        } catch (e) {
+
+            logStep('VARIANT', `Page API failed, estimating: ${e.message}`);
+
+        }
+
+    }
+
+
+
+    let words = 0;
+
+    for (const i of bodyIndexes) {
+
+        words += paragraphDataList[i].text.split(/\s+/).filter(w => w.length > 0).length;
+
+    }
+
+    return { pages: Math.ceil(words / EBYÜ_RULES.WORDS_PER_PAGE_ESTIMATE), estimated: true };
+
+}
+
+
+
+function validatePageLength(pageCount, variant) {
+
+    const errors = [];
+
+    if (!pageCount) return errors;
+
+
+
+    const degree = variant.degree ? thesisVariants.degrees[variant.degree] : null;
+
+    const minPages = degree && degree.minPagesRule ? EBYÜ_RULES[degree.minPagesRule] : null;
+
+    const note = pageCount.estimated ? msg('variant.pagesEstimated') : '';
+
+
+
+    if (minPages && pageCount.pages < minPages) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('THESIS_MIN_PAGES', { degree: degree.label, expected: minPages, actual: pageCount.pages, note }),
+
+            paraIndex: null,
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    if (pageCount.pages > EBYÜ_RULES.MAX_PAGES_TOTAL) {
+
+        errors.push({
+
+            type: 'warning',
+
+            ...ruleMessage('THESIS_MAX_PAGES', { expected: EBYÜ_RULES.MAX_PAGES_TOTAL, actual: pageCount.pages, note }),
+
+            paraIndex: null,
+
+            severity: 'FORMAT'
+
+        });
+
+    }
+
+
+
+    return errors;
+
+}
+
+
+
+// ============================================
+
+// THESIS LANGUAGE (Tez Dili)
+
+// ============================================
+
+
+
+const LANGUAGE_SETTING_KEY = 'ebyuThesisLanguage';
+
+
+
+function restoreLanguageOverride() {
+
+    const stored = Office.context.document.settings.get(LANGUAGE_SETTING_KEY);
+
+    languageOverride = stored === 'tr' || stored === 'en' ? stored : null;
+
+}
+
+
+
+function setLanguageOverride(language) {
+
+    languageOverride = language;
+
+    const settings = Office.context.document.settings;
+
+    if (language) {
+
+        settings.set(LANGUAGE_SETTING_KEY, language);
+
+    } else {
+
+        settings.remove(LANGUAGE_SETTING_KEY);
+
+    }
+
+    settings.saveAsync((asyncResult) => {
+
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+
+            logStep('LANGUAGE', `Language override not saved: ${asyncResult.error && asyncResult.error.message}`);
+
+        }
+
+    });
+
+    logStep('LANGUAGE', `Override = ${language || 'auto'}`);
+
+}
+
+
+
+/**
+
+* Guess the thesis language by counting common function words in body-length
+
+* paragraphs (the Turkish ÖZET is outweighed by the main text)
+
+*/
+
+function detectThesisLanguage(paragraphDataList) {
+
+    const scores = { tr: 0, en: 0 };
+
+
+
+    for (const paraData of paragraphDataList) {
+
+        const text = (paraData.text || '').trim();
+
+        if (text.length < EBYÜ_RULES.MIN_BODY_TEXT_LENGTH) continue;
+
+
+
+        for (const language of Object.keys(scores)) {
+
+            const matches = text.match(LANGUAGE_HINTS[language]);
+
+            scores[language] += matches ? matches.length : 0;
+
+        }
+
+    }
+
+
+
+    logStep('LANGUAGE', `Function word scores: tr=${scores.tr}, en=${scores.en}`);
+
+    return scores.en > scores.tr ? 'en' : 'tr';
+
+}
+
+
+
+/**
+
+* Pick the thesis language (pane override or detection) and switch PATTERNS
+
+*/
+
+function resolveThesisLanguage(paragraphDataList) {
+
+    const language = languageOverride || detectThesisLanguage(paragraphDataList);
+
+    if (language !== thesisLanguage) {
+
+        thesisLanguage = language;
+
+        applyProfilePatterns(activeProfile, language);
+
+        logStep('LANGUAGE', `Patterns switched to ${language}`);
+
+    }
+
+    return language;
+
+}
+
+
+
+// ============================================
+
+// LIVE VALIDATION (Canlı Denetim)
+
+// ============================================
+
+
+
+const LIVE_DEBOUNCE_MS = 800;
+
+const LIVE_SELF_EDIT_MS = 1500; // How long the validator's own marks count as its edits
+
+
+
+const liveState = {
+
+    enabled: false,
+
+    pendingIds: new Set(),
+
+    pendingSelection: false,
+
+    timer: null,
+
+    eventHandlers: [],
+
+    selfEdits: new Map() // uniqueLocalId -> { text, until } of paragraphs just re-validated
+
+};
+
+
+
+function isParagraphEventSupported() {
+
+    return Office.context.requirements.isSetSupported('WordApi', '1.6');
+
+}
+
+
+
+/**
+
+* Turn live validation on or off. Word's paragraph events are used where
+
+* available (WordApi 1.6); older hosts fall back to selection changes.
+
+*/
+
+async function setLiveValidation(enabled) {
+
+    if (enabled === liveState.enabled) return;
+
+
+
+    if (enabled && paragraphSnapshot.length === 0) {
+
+        // Zones and chapters come from a full scan; run one first
+
+        await scanDocument();
+
+    }
+
+
+
+    try {
+
+        if (enabled) {
+
+            await registerLiveHandlers();
+
+        } else {
+
+            await unregisterLiveHandlers();
+
+        }
+
+        liveState.enabled = enabled;
+
+        logStep('LIVE', `Live validation ${enabled ? 'enabled' : 'disabled'}`);
+
+    } catch (error) {
+
+        logStep('LIVE', `Live validation toggle failed: ${error.message}`);
+
+        console.error('Live validation error:', error);
+
+    }
+
+
+
+    const toggle = document.getElementById('liveToggle');
+
+    if (toggle) toggle.checked = liveState.enabled;
+
+}
+
+
+
+async function registerLiveHandlers() {
+
+    if (isParagraphEventSupported()) {
+
+        await Word.run(async (context) => {
+
+            liveState.eventHandlers = [
+
+                context.document.onParagraphChanged.add(onLiveParagraphEvent),
+
+                context.document.onParagraphAdded.add(onLiveParagraphEvent),
+
+                context.document.onParagraphDeleted.add(onLiveParagraphDeleted)
+
+            ];
+
+            await context.sync();
+
+        });
+
+        return;
+
+    }
+
+
+
+    await new Promise((resolve, reject) => {
+
+        Office.context.document.addHandlerAsync(Office.EventType.DocumentSelectionChanged, onLiveSelectionChanged, (result) => {
+
+            if (result.status === Office.AsyncResultStatus.Succeeded) resolve();
+
+            else reject(result.error);
+
+        });
+
+    });
+
+}
+
+
+
+async function unregisterLiveHandlers() {
+
+    clearTimeout(liveState.timer);
+
+    liveState.pendingIds.clear();
+
+    liveState.pendingSelection = false;
+
+
+
+    if (liveState.eventHandlers.length > 0) {
+
+        for (const handler of liveState.eventHandlers) {
+
+            await Word.run(handler.context, async (context) => {
+
+                handler.remove();
+
+                await context.sync();
+
+            });
+
+        }
+
+        liveState.eventHandlers = [];
+
+        return;
+
+    }
+
+
+
+    await new Promise((resolve) => {
+
+        Office.context.document.removeHandlerAsync(Office.EventType.DocumentSelectionChanged,
+
+            { handler: onLiveSelectionChanged }, () => resolve());
+
+    });
+
+}
+
+
+
+async function onLiveParagraphEvent(event) {
+
+    for (const id of event.uniqueLocalIds || []) {
+
+        liveState.pendingIds.add(id);
+
+    }
+
+    scheduleLiveValidation();
+
+}
+
+
+
+async function onLiveParagraphDeleted(event) {
+
+    let removed = 0;
+
+    for (const id of event.uniqueLocalIds || []) {
+
+        const index = paragraphSnapshot.findIndex(p => p.uniqueLocalId === id);
+
+        if (index >= 0) removed += removeParagraphResults(index, null);
+
+    }
+
+    if (removed > 0) displayResults();
+
+}
+
+
+
+function onLiveSelectionChanged() {
+
+    liveState.pendingSelection = true;
+
+    scheduleLiveValidation();
+
+}
+
+
+
+function scheduleLiveValidation() {
+
+    clearTimeout(liveState.timer);
+
+    liveState.timer = setTimeout(flushLiveValidation, LIVE_DEBOUNCE_MS);
+
+}
+
+
+
+/**
+
+* Re-validate the edited paragraphs (or the selection) and their neighbours
+
+*/
+
+async function flushLiveValidation() {
+
+    if (!liveState.enabled) return;
+
+    if (isScanning) {
+
+        scheduleLiveValidation();
+
+        return;
+
+    }
+
+
+
+    const ids = Array.from(liveState.pendingIds);
+
+    const useSelection = liveState.pendingSelection;
+
+    liveState.pendingIds.clear();
+
+    liveState.pendingSelection = false;
+
+    if (ids.length === 0 && !useSelection) return;
+
+
+
+    try {
+
+        await Word.run(async (context) => {
+
+            let edited;
+
+            if (ids.length > 0) {
+
+                edited = ids.map(id => context.document.getParagraphByUniqueLocalId(id));
+
+            } else {
+
+                const selected = context.document.getSelection().paragraphs;
+
+                selected.load('items');
+
+                await context.sync();
+
+                edited = selected.items;
+
+            }
+
+
+
+            // Edited paragraphs plus their neighbours, in document order
+
+            const properties = getParagraphLoadProperties().join(',');
+
+            const groups = edited.map(paragraph =>
+
+                [paragraph.getPreviousOrNullObject(), paragraph, paragraph.getNextOrNullObject()]);
+
+            for (const paragraph of groups.flat()) {
+
+                paragraph.load(properties);
+
+            }
+
+            await context.sync();
+
+
+
+            // Marks and anchors written below raise change events too; those
+
+            // paragraphs come back with their text unchanged and are skipped
+
+            const now = Date.now();
+
+            const present = groups
+
+                .filter(([, paragraph]) => !isLiveSelfEdit(paragraph, now))
+
+                .flat()
+
+                .filter(p => !p.isNullObject);
+
+            if (present.length === 0) return;
+
+            const anchorLists = isAnchorSupported()
+
+                ? present.map(p => p.getRange('Whole').getBookmarks(true, false))
+
+                : [];
+
+            await context.sync();
+
+
+
+            const seen = new Set();
+
+            let previousText = null;
+
+            let previousIndex = null;
+
+            for (let i = 0; i < present.length; i++) {
+
+                const paragraph = present[i];
+
+                const anchor = anchorLists[i] ? anchorLists[i].value.find(isAnchorName) || null : null;
+
+                const index = findSnapshotIndex(paragraph, anchor, previousText);
+
+
+
+                const key = index !== null ? `i${index}` : (anchor || paragraph.uniqueLocalId || `n${i}`);
+
+                if (!seen.has(key)) {
+
+                    seen.add(key);
+
+                    revalidateLiveParagraph(paragraph, index, anchor, previousIndex);
+
+                }
+
+
+
+                previousText = paragraph.text;
+
+                if (index !== null) previousIndex = index;
+
+            }
+
+
+
+            await context.sync();
+
+            recordLiveSelfEdits(present);
+
+            saveMarkLedger();
+
+            logStep('LIVE', `Re-validated ${seen.size} paragraph(s)`);
+
+        });
+
+    } catch (error) {
+
+        logStep('LIVE', `Live validation failed: ${error.message}`);
+
+    }
+
+
+
+    displayResults();
+
+}
+
+
+
+function isLiveSelfEdit(paragraph, now) {
+
+    const edit = paragraph.uniqueLocalId ? liveState.selfEdits.get(paragraph.uniqueLocalId) : null;
+
+    return !!edit && edit.until > now && edit.text === paragraph.text;
+
+}
+
+
+
+function recordLiveSelfEdits(paragraphs) {
+
+    const now = Date.now();
+
+    for (const [id, edit] of liveState.selfEdits) {
+
+        if (edit.until <= now) liveState.selfEdits.delete(id);
+
+    }
+
+    for (const paragraph of paragraphs) {
+
+        if (paragraph.uniqueLocalId) {
+
+            liveState.selfEdits.set(paragraph.uniqueLocalId, { text: paragraph.text, until: now + LIVE_SELF_EDIT_MS });
+
+        }
+
+    }
+
+}
+
+
+
+/**
+
+* Map a live paragraph back to its index in the last scan's snapshot
+
+*/
+
+function findSnapshotIndex(paragraph, anchor, previousText) {
+
+    if (paragraph.uniqueLocalId) {
+
+        const index = paragraphSnapshot.findIndex(p => p.uniqueLocalId === paragraph.uniqueLocalId);
+
+        if (index >= 0) return index;
+
+    }
+
+
+
+    if (anchor) {
+
+        const anchored = validationResults.find(r => r.anchor && r.anchor.toUpperCase() === anchor.toUpperCase() &&
+
+            r.paraIndex !== null && r.paraIndex !== undefined);
+
+        if (anchored) return anchored.paraIndex;
+
+    }
+
+
+
+    if (previousText !== null) {
+
+        return locateParagraphIndex(paragraphSnapshot, paragraph.text, previousText);
+
+    }
+
+    return null;
+
+}
+
+
+
+/**
+
+* Re-run detection and the matching validator for one paragraph, replace its
+
+* results and re-apply its highlight. New paragraphs take the zone of the
+
+* paragraph before them and are anchored so their findings stay navigable.
+
+*/
+
+function revalidateLiveParagraph(paragraph, index, anchor, previousIndex) {
+
+    const known = index !== null;
+
+    const baseIndex = known ? index : previousIndex;
+
+    const scanContext = paragraphSnapshot[baseIndex] || { zone: ZONES.BODY, isInBiblio: false, chapter: null };
+
+    if (scanContext.inTOC || scanContext.zone === ZONES.REPORT) return;
+
+
+
+    const paraData = buildParagraphData(paragraph, known ? index : (baseIndex === null ? 0 : baseIndex));
+
+    const paraType = detectParagraphType(paraData, scanContext.zone, scanContext.isInBiblio);
+
+    let errors = validateParagraphByType(paraType, paraData, paraData.index);
+
+
+
+    if (known) {
+
+        // Keep the snapshot current so fix sessions record the right originals
+
+        const { paragraph: proxy, ...data } = paraData;
+
+        Object.assign(paragraphSnapshot[index], data, { paraType });
+
+    } else {
+
+        // No snapshot entry to record originals from: report without fixes
+
+        errors = errors.map(err => ({ ...err, fix: null, paraIndex: null }));
+
+    }
+
+
+
+    let liveAnchor = anchor;
+
+    if (!liveAnchor && errors.length > 0 && isAnchorSupported() && markingMode !== MARKING_MODES.PANEL) {
+
+        liveAnchor = `${ANCHOR_PREFIX}${Date.now().toString(36)}_l${nextResultId.toString(36)}`;
+
+        paragraph.getRange('Whole').insertBookmark(liveAnchor);
+
+    }
+
+
+
+    errors = errors.filter(err => !findSuppression({
+
+        type: err.type, ruleId: err.ruleId, title: err.title, anchor: liveAnchor, paraIndex: known ? index : null,
+
+        textKey: known ? paragraphSnapshot[index].textKey : undefined
+
+    }));
+
+
+
+    removeParagraphResults(known ? index : null, liveAnchor);
+
+    addParagraphResults(errors, paraType, scanContext, paraData, {
+
+        anchor: liveAnchor,
+
+        order: known ? index : (baseIndex === null ? 0 : baseIndex + 0.5)
+
+    });
+
+
+
+    applyParagraphHighlight(paragraph, errors, known ? index : (baseIndex === null ? 0 : baseIndex + 1));
+
+}
+
+
+
+/**
+
+* Remove the paragraph findings of a snapshot index or an anchor
+
+* @returns {number} - Number of removed results
+
+*/
+
+function removeParagraphResults(index, anchor) {
+
+    const before = validationResults.length;
+
+    validationResults = validationResults.filter(r => {
+
+        if (r.target) return true;
+
+        if (r.cells) {
+
+            // Grouped table finding: drop only this paragraph's cell
+
+            r.cells = r.cells.filter(c => index === null || c.paraIndex !== index);
+
+            if (r.cells.length === 0) return false;
+
+            refreshTableCellResult(r);
+
+            return true;
+
+        }
+
+        if (index !== null && r.paraIndex === index) return false;
+
+        if (anchor && r.anchor && r.anchor.toUpperCase() === anchor.toUpperCase()) return false;
+
+        return true;
+
+    });
+
+    return before - validationResults.length;
+
+}
+
+
+
+// ============================================
+
+// PARAGRAPH PIPELINE (shared by full scan and live validation)
+
+// ============================================
+
+
+
+/**
+
+* Paragraph properties loaded for validation (prefix with 'items/' for collections)
+
+* FIX: Use direct paragraph properties instead of paragraphFormat/* for Mac Word compatibility
+
+*/
+
+function getParagraphLoadProperties() {
+
+    return [...getParagraphStructureProperties(), ...getParagraphFormatProperties()];
+
+}
+
+
+
+/**
+
+* Properties zone classification and paragraph typing work from. Partial
+
+* scans load only these for paragraphs outside their scope.
+
+*/
+
+function getParagraphStructureProperties() {
+
+    const properties = [
+
+        'text',
+
+        'style',
+
+        'outlineLevel',
+
+        'tableNestingLevel',
+
+        'leftIndent', // Block quotes
+
+        'isListItem',
+
+        'listItemOrNullObject/listString',
+
+        'listItemOrNullObject/level'
+
+    ];
+
+
+
+    // uniqueLocalId lets paragraph events be mapped back to scanned paragraphs
+
+    if (isParagraphEventSupported()) {
+
+        properties.push('uniqueLocalId');
+
+    }
+
+
+
+    // Built-in style tells list of figures entries from real captions
+
+    if (isBuiltInStyleSupported()) {
+
+        properties.push('styleBuiltIn');
+
+    }
+
+    return properties;
+
+}
+
+
+
+/**
+
+* Formatting properties the paragraph rules check
+
+*/
+
+function getParagraphFormatProperties() {
+
+    const properties = [
+
+        'font/name',
+
+        'font/size',
+
+        'font/bold',
+
+        'font/italic',
+
+        'alignment',
+
+        'firstLineIndent',
+
+        'rightIndent',
+
+        'lineSpacing',
+
+        'spaceBefore',
+
+        'spaceAfter',
+
+        'font/highlightColor',
+
+        'font/underline'
+
+    ];
+
+
+
+    // All Caps effect tells typed capitals from formatted ones (headings)
+
+    if (isFontEffectSupported()) {
+
+        properties.push('font/allCaps');
+
+    }
+
+    return properties;
+
+}
+
+
+
+function isBuiltInStyleSupported() {
+
+    return Office.context.requirements.isSetSupported('WordApi', '1.3');
+
+}
+
+
+
+function isTableCellSupported() {
+
+    return Office.context.requirements.isSetSupported('WordApi', '1.3');
+
+}
+
+
+
+/**
+
+* Row and column (1-based) of the given table paragraphs. Loaded separately
+
+* so the cell lookup is paid only for paragraphs inside tables.
+
+*/
+
+async function loadTableCells(context, tableParagraphs) {
+
+    if (!isTableCellSupported() || tableParagraphs.length === 0) return;
+
+
+
+    const cells = tableParagraphs.map(paraData => {
+
+        const cell = paraData.paragraph.parentTableCellOrNullObject;
+
+        cell.load('rowIndex,cellIndex');
+
+        return cell;
+
+    });
+
+    await context.sync();
+
+
+
+    cells.forEach((cell, i) => {
+
+        tableParagraphs[i].tableCell = cell.isNullObject ? null : { row: cell.rowIndex + 1, column: cell.cellIndex + 1 };
+
+    });
+
+}
+
+
+
+/**
+
+* Build the plain paragraph data object validators work on
+
+* @param {Word.Paragraph} p - Paragraph with getParagraphLoadProperties() loaded
+
+* @param {number} index - Paragraph index in body.paragraphs
+
+* @param {boolean} withFormat - False when only getParagraphStructureProperties() are loaded
+
+*   (reading an unloaded property throws)
+
+*/
+
+function buildParagraphData(p, index, withFormat = true) {
+
+    // Defensive null checks
+
+    const pFont = withFormat ? (p.font || {}) : {};
+
+    const format = withFormat ? p : {};
+
+
+
+    // Extract listItem properties for heading numbering validation
+
+    const listItem = p.listItemOrNullObject;
+
+    let listString = '';
+
+    let listLevel = null;
+
+
+
+    // Check if listItem was loaded and is not a null object
+
+    if (listItem && !listItem.isNullObject) {
+
+        listString = listItem.listString || '';
+
+        listLevel = listItem.level;
+
+    }
+
+
+
+    return {
+
+        index,
+
+        text: p.text || '',
+
+        style: p.style || '',
+
+        styleBuiltIn: isBuiltInStyleSupported() ? p.styleBuiltIn : null,
+
+        outlineLevel: p.outlineLevel,
+
+        tableNestingLevel: p.tableNestingLevel || 0,
+
+        font: {
+
+            name: pFont.name,
+
+            size: pFont.size,
+
+            bold: pFont.bold,
+
+            italic: pFont.italic,
+
+            allCaps: withFormat && isFontEffectSupported() ? pFont.allCaps : null
+
+        },
+
+        alignment: format.alignment,
+
+        firstLineIndent: format.firstLineIndent,
+
+        leftIndent: p.leftIndent,
+
+        rightIndent: format.rightIndent,
+
+        lineSpacing: format.lineSpacing,
+
+        spaceBefore: format.spaceBefore,
+
+        spaceAfter: format.spaceAfter,
+
+        // List item properties for heading numbering
+
+        isListItem: p.isListItem || false,
+
+        listString: listString,
+
+        listLevel: listLevel,
+
+        tableCell: null, // Filled by loadTableCells
+
+        uniqueLocalId: isParagraphEventSupported() ? p.uniqueLocalId : null,
+
+        paragraph: p // Keep reference for highlighting
+
+    };
+
+}
+
+
+
+function validateParagraphByType(paraType, paraData, index) {
+
+    switch (paraType) {
+
+        case PARA_TYPES.GHOST_HEADING:
+
+            return validateGhostHeading(paraData, index);
+
+        case PARA_TYPES.MAIN_HEADING:
+
+            return validateMainHeading(paraData, index);
+
+        case PARA_TYPES.SUB_HEADING:
+
+            return validateSubHeading(paraData, index);
+
+        case PARA_TYPES.BODY_TEXT:
+
+            return validateBodyText(paraData, index);
+
+        case PARA_TYPES.BLOCK_QUOTE:
+
+            return validateBlockQuote(paraData, index);
+
+        case PARA_TYPES.TABLE_CONTENT:
+
+            return validateTableContent(paraData, index);
+
+        case PARA_TYPES.BIBLIOGRAPHY:
+
+            return validateBibliography(paraData, index);
+
+        case PARA_TYPES.CAPTION_TITLE:
+
+            return validateCaption(paraData, index);
+
+        case PARA_TYPES.COVER_TEXT:
+
+            return validateCoverPage(paraData, index);
+
+        default:
+
+            return [];
+
+    }
+
+}
+
+
+
+/**
+
+* Record a paragraph's validator errors as results
+
+* @param {Object} context - Snapshot entry with zone and chapter of the paragraph
+
+*/
+
+function addParagraphResults(errors, paraType, context, paraData, extra = {}) {
+
+    if (paraType === PARA_TYPES.TABLE_CONTENT) {
+
+        addTableCellResults(errors, context, paraData, extra);
+
+        return;
+
+    }
+
+
+
+    for (const err of errors) {
+
+        if (err.fix) {
+
+            err.fix.kind = getFixKind(err.fix, paraType, context.zone, paraData);
+
+        }
+
+        addResult(err.type, err.title, err.description, msg('location.paragraph', { n: paraData.index + 1 }), err.paraIndex, err.severity, {
+
+            ruleId: err.ruleId,
+
+            params: err.params,
+
+            fix: err.fix || null,
+
+            chapter: context.chapter || null,
+
+            order: paraData.index,
+
+            ...extra
+
+        });
+
+    }
+
+}
+
+
+
+const TABLE_CELL_LIST_LIMIT = 10; // Coordinates listed in a grouped finding
+
+
+
+/**
+
+* Record table cell findings grouped by table and rule: one result lists the
+
+* cells that break the rule and its fix covers all of them. A paragraph of an
+
+* unknown table (e.g. typed in live mode) gets a group of its own.
+
+*/
+
+function addTableCellResults(errors, context, paraData, extra = {}) {
+
+    for (const err of errors) {
+
+        if (err.fix) {
+
+            err.fix.kind = getFixKind(err.fix, PARA_TYPES.TABLE_CONTENT, context.zone, paraData);
+
+        }
+
+
+
+        const known = context.tableIndex !== undefined;
+
+        let result = known ? validationResults.find(r => r.cells && r.tableIndex === context.tableIndex &&
+
+            r.ruleId === err.ruleId && !r.fixed && !r.resolved) : null;
+
+        if (!result) {
+
+            const location = known
+
+                ? msg('location.table', { n: context.tableIndex + 1 })
+
+                : msg('location.paragraph', { n: paraData.index + 1 });
+
+            addResult(err.type, err.title, err.description, location, err.paraIndex, err.severity, {
+
+                ruleId: err.ruleId,
+
+                params: err.params,
+
+                fix: err.fix || null,
+
+                chapter: context.chapter || null,
+
+                order: paraData.index,
+
+                tableIndex: context.tableIndex,
+
+                cells: [],
+
+                ...extra
+
+            });
+
+            result = validationResults[validationResults.length - 1];
+
+        }
+
+
+
+        result.cells.push({ paraIndex: err.paraIndex, cell: paraData.tableCell, params: err.params, fix: err.fix || null });
+
+        refreshTableCellResult(result);
+
+    }
+
+}
+
+
+
+/**
+
+* Re-render a grouped table finding after its cells changed
+
+*/
+
+function refreshTableCellResult(result) {
+
+    const labels = result.cells.slice(0, TABLE_CELL_LIST_LIMIT).map(({ paraIndex, cell }) =>
+
+        cell ? `(${cell.row}, ${cell.column})` : `¶${paraIndex === null ? '?' : paraIndex + 1}`);
+
+    if (result.cells.length > TABLE_CELL_LIST_LIMIT) labels.push('…');
+
+
+
+    result.paraIndex = result.cells[0].paraIndex;
+
+    result.fix = result.cells[0].fix;
+
+    result.params = { ...result.cells[0].params, cells: msg('table.cells', { count: result.cells.length, list: labels.join(', ') }) };
+
+    localizeResult(result);
+
+}
+
+
+
+/**
+
+* Fixes a finding stands for: every cell of a grouped table finding
+
+*/
+
+function getResultFixes(result) {
+
+    if (result.cells) return result.cells.map(c => c.fix).filter(Boolean);
+
+    return result.fix ? [result.fix] : [];
+
+}
+
+
+
+/**
+
+* Mark a paragraph ONCE after all errors checked; a paragraph without errors
+
+* gets back the look it had before the validator marked it
+
+*/
+
+function applyParagraphHighlight(paragraph, errors, paraIndex) {
+
+    const place = { kind: 'paragraph', paraIndex };
+
+    if (errors.length === 0) {
+
+        unmarkPlace(place, paragraph.font);
+
+        return;
+
+    }
+
+
+
+    const hasCriticalError = errors.some(err => err.severity === 'CRITICAL' || err.type === 'error');
+
+    markPlace(place, paragraph.font, hasCriticalError, paragraph);
+
+}
+
+
+
+// ============================================
+
+// DOCUMENT MARKS (Belge İşaretleri)
+
+// ============================================
+
+
+
+const MARKING_MODES = { HIGHLIGHT: 'highlight', UNDERLINE: 'underline', COMMENTS: 'comments', PANEL: 'panel' };
+
+const MARKING_MODE_KEY = 'ebyuMarkingMode'; // localStorage
+
+const FINDING_COMMENTS_KEY = 'ebyuFindingComments'; // localStorage
+
+const MARK_LEDGER_SETTING_KEY = 'ebyuMarkLedger';
+
+const MARK_LEDGER_LIMIT = 500; // Document settings are size limited; places past it get no mark or comment
+
+
+
+// Font property and values per formatting mode
+
+const MARK_STYLES = {
+
+    highlight: { property: 'highlightColor', CRITICAL: HIGHLIGHT_COLORS.CRITICAL, FORMAT: HIGHLIGHT_COLORS.FORMAT },
+
+    underline: { property: 'underline', CRITICAL: 'WaveDouble', FORMAT: 'Wave' }
+
+};
+
+
+
+// Word reads highlights back as hex codes
+
+const HIGHLIGHT_HEX = { red: '#FF0000', yellow: '#FFFF00', cyan: '#00FFFF' };
+
+
+
+function normalizeMarkValue(value) {
+
+    if (value === null || value === undefined || value === '' || value === 'None') return null;
+
+    const text = String(value);
+
+    return (HIGHLIGHT_HEX[text.toLowerCase()] || text).toUpperCase();
+
+}
+
+
+
+function isSamePlace(entry, place) {
+
+    if (entry.kind !== place.kind) return false;
+
+    return place.kind === 'table' ? entry.index === place.index : entry.paraIndex === place.paraIndex;
+
+}
+
+
+
+function restoreMarkingMode() {
+
+    let stored = null;
+
+    try {
+
+        stored = localStorage.getItem(MARKING_MODE_KEY);
+
+    } catch (e) {
+
+        stored = null;
+
+    }
+
+    markingMode = Object.values(MARKING_MODES).includes(stored) ? stored : MARKING_MODES.HIGHLIGHT;
+
+    try {
+
+        findingCommentsEnabled = localStorage.getItem(FINDING_COMMENTS_KEY) === 'true';
+
+    } catch (e) {
+
+        findingCommentsEnabled = false;
+
+    }
+
+}
+
+
+
+function restoreMarkLedger() {
+
+    const stored = Office.context.document.settings.get(MARK_LEDGER_SETTING_KEY);
+
+    markLedger = Array.isArray(stored) ? stored.map(compactLedgerEntry) : [];
+
+}
+
+
+
+/**
+
+* Saved form of a ledger entry: the place's text becomes its hash and comment
+
+* findings their rule and suppression key (entries saved before still carry
+
+* the full text and findings)
+
+*/
+
+function compactLedgerEntry(entry) {
+
+    const { text, ...compact } = entry;
+
+    if (text !== undefined) compact.textHash = text === null ? null : getTextHash(text);
+
+    if (Array.isArray(entry.findings)) {
+
+        compact.findings = entry.findings.map(f => f.key ? f : getCommentFinding(f));
+
+    }
+
+    return compact;
+
+}
+
+
+
+function saveMarkLedger() {
+
+    const settings = Office.context.document.settings;
+
+    if (markLedger.length > 0) {
+
+        settings.set(MARK_LEDGER_SETTING_KEY, markLedger);
+
+    } else {
+
+        settings.remove(MARK_LEDGER_SETTING_KEY);
+
+    }
+
+    settings.saveAsync((asyncResult) => {
+
+        if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+
+            const message = asyncResult.error ? asyncResult.error.message : '';
+
+            logStep('MARKS', `Mark ledger not saved: ${message}`);
+
+            setSaveStatus(t('marks.saveFailed', { message }), true);
+
+        }
+
+    });
+
+}
+
+
+
+/**
+
+* Mark a paragraph or table in the active mode and record its previous value.
+
+* A paragraph with mixed highlights reads as null, so only uniform values come back.
+
+* @param {Object} place - { kind: 'paragraph', paraIndex, text } | { kind: 'table', index, paraIndex }
+
+* @param {Word.Font} font - Loaded with highlightColor and underline when the place is new
+
+* @param {Word.Paragraph} [paragraph] - Loaded paragraph, supplies the text of a new place
+
+*/
+
+function markPlace(place, font, critical, paragraph = null) {
+
+    const style = MARK_STYLES[markingMode];
+
+    if (!style) return;
+
+
+
+    const value = critical ? style.CRITICAL : style.FORMAT;
+
+    let entry = markLedger.find(e => isSamePlace(e, place));
+
+    if (!entry) {
+
+        if (markLedger.length >= MARK_LEDGER_LIMIT) {
+
+            logStep('MARKS', `Mark ledger full, ${place.kind} ${place.paraIndex} left unmarked`);
+
+            return;
+
+        }
+
+
+
+        let original = null;
+
+        let text = place.text !== undefined ? place.text : null;
+
+        try {
+
+            original = font[style.property] === undefined ? null : font[style.property];
+
+            if (text === null && paragraph) text = paragraph.text;
+
+        } catch (e) {
+
+            // Not loaded (proxy from a bookmark): nothing to restore later
+
+        }
+
+        entry = compactLedgerEntry({ ...place, text, mode: markingMode, original, anchor: null });
+
+        markLedger.push(entry);
+
+    }
+
+    entry.value = value;
+
+    font[style.property] = value;
+
+}
+
+
+
+/**
+
+* Give a place back its recorded value and forget it
+
+*/
+
+function unmarkPlace(place, font) {
+
+    const entry = markLedger.find(e => isSamePlace(e, place));
+
+    if (!entry) return;
+
+    if (MARK_STYLES[entry.mode]) {
+
+        font[MARK_STYLES[entry.mode].property] = entry.original;
+
+    }
+
+    markLedger = markLedger.filter(e => e !== entry);
+
+}
+
+
+
+/**
+
+* Undo ledger entries in the document: marks still showing the validator's
+
+* value get their original back (a place the author re-marked is left alone),
+
+* validator comments are deleted
+
+*/
+
+async function restoreDocumentMarks(context, entries) {
+
+    if (entries.length === 0) return;
+
+
+
+    const paragraphEntries = entries.filter(e => e.kind === 'paragraph');
+
+    const tableEntries = entries.filter(e => e.kind === 'table');
+
+    const commentEntries = entries.filter(e => e.kind === 'comment');
+
+
+
+    const paragraphs = await resolveParagraphs(context, paragraphEntries);
+
+    for (const paragraph of paragraphs) {
+
+        if (paragraph) paragraph.load('font/highlightColor,font/underline');
+
+    }
+
+
+
+    const tables = context.document.body.tables;
+
+    if (tableEntries.length > 0) tables.load('items/font/highlightColor,items/font/underline');
+
+
+
+    const comments = commentEntries.length > 0 && isAnchorSupported() ? context.document.body.getComments() : null;
+
+    if (comments) comments.load('items/id');
+
+    await context.sync();
+
+
+
+    const restore = (entry, font) => {
+
+        const style = MARK_STYLES[entry.mode];
+
+        if (!font || !style) return;
+
+        if (normalizeMarkValue(font[style.property]) === normalizeMarkValue(entry.value)) {
+
+            font[style.property] = entry.original;
+
+        }
+
+    };
+
+    paragraphEntries.forEach((entry, i) => restore(entry, paragraphs[i] && paragraphs[i].font));
+
+    tableEntries.forEach(entry => restore(entry, tables.items[entry.index] && tables.items[entry.index].font));
+
+    if (comments) {
+
+        const ids = new Set(commentEntries.map(e => e.commentId));
+
+        comments.items.filter(c => ids.has(c.id)).forEach(c => c.delete());
+
+    }
+
+    await context.sync();
+
+
+
+    markLedger = markLedger.filter(e => !entries.includes(e));
+
+    logStep('MARKS', `Restored ${entries.length} marked place(s)`);
+
+}
+
+
+
+/**
+
+* Ledger entries whose recorded paragraph lies in a 0-based span
+
+*/
+
+function getMarksInScope(scope) {
+
+    return markLedger.filter(e => e.paraIndex === null || e.paraIndex === undefined ||
+
+        (e.paraIndex >= scope.start && e.paraIndex <= scope.end));
+
+}
+
+
+
+/**
+
+* Remember the finding anchors of marked paragraphs so a later clear finds
+
+* them after edits
+
+*/
+
+function attachMarkAnchors() {
+
+    for (const entry of markLedger) {
+
+        if (entry.kind !== 'paragraph') continue;
+
+        const anchored = validationResults.find(r => r.anchor && getFindingPosition(r) === entry.paraIndex);
+
+        if (anchored) entry.anchor = anchored.anchor;
+
+    }
+
+}
+
+
+
+/**
+
+* Switching modes takes the old marks out at once; new ones come with the next scan
+
+*/
+
+async function setMarkingMode(mode) {
+
+    if (mode === markingMode || !Object.values(MARKING_MODES).includes(mode)) return;
+
+
+
+    // Comments the new mode keeps are updated by the next scan instead
+
+    const keepComments = usesFindingComments(mode);
+
+    try {
+
+        await Word.run(async (context) => {
+
+            await restoreDocumentMarks(context, markLedger.filter(e => e.kind !== 'comment' || !keepComments));
+
+        });
+
+        saveMarkLedger();
+
+    } catch (error) {
+
+        logStep('MARKS', `Marks not removed: ${error.message}`);
+
+    }
+
+
+
+    markingMode = mode;
+
+    try {
+
+        localStorage.setItem(MARKING_MODE_KEY, mode);
+
+    } catch (e) {
+
+        logStep('MARKS', `Marking mode not stored: ${e.message}`);
+
+    }
+
+    setProfileStatus(t('marks.changed'));
+
+    logStep('MARKS', `Marking mode = ${mode}`);
+
+}
+
+
 
-            type: 'warning',
+// ============================================
 
-            title: 'Başlık: Hizalama',
+// FINDING COMMENTS (Bulgu Yorumları)
 
-            description: 'Tablo/Şekil başlığı ortalanmış olmalı.',
+// ============================================
 
-            paraIndex: index,
 
-            severity: 'FORMAT'
 
-        });
+const COMMENT_TAG = '[EBYÜ]'; // Starts every validator comment so rescans can find their own
 
-    }
 
 
+function usesFindingComments(mode = markingMode) {
 
-    // Caption spacing: 0nk before and after
+    return mode === MARKING_MODES.COMMENTS || (findingCommentsEnabled && mode !== MARKING_MODES.PANEL);
 
-    if (paraData.spaceBefore !== undefined && paraData.spaceBefore > EBYÜ_RULES.SPACING_TOLERANCE) {
+}
 
-        errors.push({
 
-            type: 'warning',
 
-            title: 'Tablo/Şekil Başlığı: Paragraf Öncesi',
+/**
 
-            description: `Şekil/Tablo başlıklarında 0 nk olmalı. Mevcut: ${paraData.spaceBefore.toFixed(1)} nk`,
+* Last sentence of the scan summary: what the scan left in the document
 
-            paraIndex: index,
+*/
 
-            severity: 'FORMAT'
+function getMarkingSummary() {
 
-        });
+    if (markingMode === MARKING_MODES.PANEL) return msg('marks.summaryPanel');
 
-    }
+    if (markingMode === MARKING_MODES.COMMENTS) return msg('marks.summaryCommented');
 
+    return msg(usesFindingComments() ? 'marks.summaryMarkedCommented' : 'marks.summaryMarked');
 
+}
 
-    if (paraData.spaceAfter !== undefined && paraData.spaceAfter > EBYÜ_RULES.SPACING_TOLERANCE) {
 
-        errors.push({
 
-            type: 'warning',
+async function setFindingComments(enabled) {
 
-            title: 'Tablo/Şekil Başlığı: Paragraf Sonrası',
+    findingCommentsEnabled = enabled;
 
-            description: `Şekil/Tablo başlıklarında 0 nk olmalı. Mevcut: ${paraData.spaceAfter.toFixed(1)} nk`,
+    try {
 
-            paraIndex: index,
+        localStorage.setItem(FINDING_COMMENTS_KEY, String(enabled));
 
-            severity: 'FORMAT'
+    } catch (e) {
 
-        });
+        logStep('COMMENT', `Comment setting not stored: ${e.message}`);
 
     }
 
 
 
-    return errors;
+    if (!usesFindingComments()) {
 
-}
+        try {
 
+            await Word.run(async (context) => {
 
+                await restoreDocumentMarks(context, markLedger.filter(e => e.kind === 'comment'));
 
-// ============================================
+            });
 
-// COVER PAGE VALIDATION (Kapak Sayfası - 16pt, 0nk)
+            saveMarkLedger();
 
-// ============================================
+        } catch (error) {
 
+            logStep('COMMENT', `Comments not removed: ${error.message}`);
 
+        }
 
-function validateCoverPage(paraData, index) {
+    }
 
-    const errors = [];
+    logStep('COMMENT', `Finding comments = ${enabled}`);
 
-    const { font, alignment, spaceBefore, spaceAfter, text } = paraData;
+}
 
-    const trimmed = (text || '').trim();
 
 
+function buildFindingComment(results) {
 
-    // Skip empty paragraphs
+    return [`${COMMENT_TAG} ${t('marks.commentHeader')}`, ...results.map(r => `• ${r.title}: ${r.description}`)].join('\n');
 
-    if (trimmed.length === 0) return errors;
+}
 
 
 
-    // Cover title should be 16pt (main titles on cover)
+/**
 
-    const isMainCoverTitle = /^(T\.?C\.?|ERZİNCAN|ÜNİVERSİTESİ|ENSTİTÜSÜ|TEZİ)$/i.test(trimmed) ||
+* Open findings per paragraph index (tables and pictures go to their paragraph)
 
-        trimmed.length > 20; // Thesis title
+*/
 
+/**
 
+* What a comment remembers of a finding it lists: enough to suppress it
 
-    if (isMainCoverTitle && font.size && Math.abs(font.size - EBYÜ_RULES.FONT_SIZE_COVER_TITLE) > 1) {
+* when the comment is resolved
 
-        errors.push({
+*/
 
-            type: 'error',
+function getCommentFinding(result) {
 
-            title: 'KAPAK: Punto Hatası',
+    return { ruleId: result.ruleId || null, key: getFindingKey(result) };
 
-            description: `Kapak başlıkları 16 punto olmalı. Mevcut: ${font.size} pt`,
+}
 
-            paraIndex: index,
 
-            severity: 'CRITICAL'
 
-        });
+function groupFindingsByParagraph(paragraphCount) {
 
-    }
+    const byParagraph = new Map();
 
+    for (const result of validationResults) {
 
+        if (!isTrackedFinding(result) || (result.target && result.target.kind !== 'table' && result.target.kind !== 'picture')) continue;
 
-    // Cover should be centered
+        const index = getFindingPosition(result);
 
-    if (!isCentered(alignment)) {
+        if (index === null || index >= paragraphCount) continue;
 
-        errors.push({
+        if (!byParagraph.has(index)) byParagraph.set(index, []);
 
-            type: 'warning',
+        byParagraph.get(index).push(result);
 
-            title: 'KAPAK: Hizalama',
+    }
 
-            description: 'Kapak öğeleri ortalanmış olmalı.',
+    return byParagraph;
 
-            paraIndex: index,
+}
 
-            severity: 'FORMAT'
 
-        });
 
-    }
+async function loadTaggedComments(context) {
 
+    const comments = context.document.body.getComments();
 
+    comments.load('items/id,items/content,items/resolved,items/authorName');
 
-    // Cover spacing should be 0nk
+    await context.sync();
 
-    if (spaceBefore !== undefined && spaceBefore > EBYÜ_RULES.SPACING_TOLERANCE) {
 
-        errors.push({
 
-            type: 'warning',
+    const tagged = comments.items.filter(c => (c.content || '').startsWith(COMMENT_TAG));
 
-            title: 'KAPAK: Paragraf Öncesi Boşluk',
+    tagged.forEach(c => c.replies.load('items/content,items/authorName'));
 
-            description: `Kapakta 0 nk olmalı. Mevcut: ${spaceBefore.toFixed(1)} nk`,
+    await context.sync();
 
-            paraIndex: index,
+    return tagged;
 
-            severity: 'FORMAT'
+}
 
-        });
 
-    }
 
+/**
 
+* Comment threads the user resolved become suppressions of the findings they
 
-    if (spaceAfter !== undefined && spaceAfter > EBYÜ_RULES.SPACING_TOLERANCE) {
+* listed; the last reply (if any) is kept as the reason. Runs before
 
-        errors.push({
+* applySuppressions so the scan already leaves those findings out.
 
-            type: 'warning',
+*/
 
-            title: 'KAPAK: Paragraf Sonrası Boşluk',
+async function harvestResolvedComments(context) {
 
-            description: `Kapakta 0 nk olmalı. Mevcut: ${spaceAfter.toFixed(1)} nk`,
+    const entries = markLedger.filter(e => e.kind === 'comment');
 
-            paraIndex: index,
+    if (entries.length === 0 || !isAnchorSupported()) return;
 
-            severity: 'FORMAT'
 
-        });
 
-    }
+    try {
 
+        const resolved = (await loadTaggedComments(context)).filter(c => c.resolved);
 
+        let added = 0;
 
-    // Font must be Times New Roman
+        for (const comment of resolved) {
 
-    if (font.name && font.name !== EBYÜ_RULES.FONT_NAME) {
+            const entry = entries.find(e => e.commentId === comment.id);
 
-        errors.push({
+            if (!entry) continue;
 
-            type: 'error',
 
-            title: 'KAPAK: Yazı Tipi',
 
-            description: `${EBYÜ_RULES.FONT_NAME} olmalı. Mevcut: ${font.name}`,
+            const lastReply = comment.replies.items[comment.replies.items.length - 1];
 
-            paraIndex: index,
+            const reason = lastReply && lastReply.content ? lastReply.content : t('suppress.commentResolved');
 
-            severity: 'CRITICAL'
+            const user = lastReply ? lastReply.authorName : comment.authorName;
 
-        });
+            for (const finding of entry.findings || []) {
 
-    }
+                if (suppressions.some(s => s.key === finding.key)) continue;
 
+                // The finding as this scan reports it, else only its rule
 
+                const result = validationResults.find(r => isTrackedFinding(r) && getFindingKey(r) === finding.key) ||
 
-    return errors;
+                    { ruleId: finding.ruleId, title: finding.ruleId, location: null };
 
-}
+                suppressions.push({ ...buildSuppression(result, reason, user), key: finding.key });
 
+                added++;
 
+            }
 
-// ============================================
+            comment.delete();
 
-// TABLE ALIGNMENT VALIDATION (Tablo Hizalama)
+            markLedger = markLedger.filter(e => e !== entry);
 
-// ============================================
+        }
 
+        await context.sync();
 
 
-async function validateTables(context) {
 
-    const errors = [];
+        if (added > 0) {
 
+            saveSuppressions();
 
+            renderSuppressions();
 
-    try {
+            logStep('COMMENT', `${added} finding(s) suppressed from resolved comments`);
 
-        const tables = context.document.body.tables;
+        }
 
-        tables.load('items');
+    } catch (error) {
 
-        await context.sync();
+        logStep('COMMENT', `Resolved comments not read: ${error.message}`);
 
+    }
 
+}
 
-        for (let i = 0; i < tables.items.length; i++) {
 
-            const table = tables.items[i];
 
-            table.load(['alignment', 'font/size', 'font/name']);
+/**
 
-            await context.sync();
+* One tagged comment per flagged paragraph: existing ones are updated in
 
+* place, ones whose paragraph is clean are deleted, new ones are added.
 
+* Partial scans leave comments outside their scope alone.
 
-            // Check alignment - must be centered
+* @param {Word.Paragraph[]} paragraphItems - Loaded body paragraphs of the scan
 
-            if (table.alignment && !isCentered(table.alignment) &&
+*/
 
-                table.alignment !== 'Mixed' &&
+async function syncFindingComments(context, paragraphItems, scope) {
 
-                table.alignment !== 'Unknown') {
+    const entries = markLedger.filter(e => e.kind === 'comment');
 
+    if (!isAnchorSupported() || (!usesFindingComments() && entries.length === 0)) return;
 
 
-                errors.push({
 
-                    type: 'warning',
+    try {
 
-                    title: `Tablo ${i + 1}: Hizalama Hatası`,
+        const wanted = usesFindingComments() ? groupFindingsByParagraph(paragraphItems.length) : new Map();
 
-                    description: `Tablolar ortalanmış olmalı. Mevcut: ${table.alignment}`,
+        const tagged = await loadTaggedComments(context);
 
-                    severity: 'FORMAT',
+        const byId = new Map(tagged.map(c => [c.id, c]));
 
-                    tableIndex: i
+        const inScope = index => !scope || (index >= scope.start && index <= scope.end);
 
-                });
+        const handled = new Set();
 
 
 
-                // Highlight table
+        for (const entry of entries) {
 
-                table.font.highlightColor = HIGHLIGHT_COLORS.FORMAT;
+            const paragraph = resolveParagraph(paragraphItems, entry);
 
-            }
+            const index = paragraph ? paragraphItems.indexOf(paragraph) : entry.paraIndex;
 
+            if (!inScope(index)) continue;
 
 
-            // Check font size - table content should be 11pt
 
-            if (table.font.size && Math.abs(table.font.size - EBYÜ_RULES.TABLE_CONTENT_SIZE) > 0.5) {
+            const comment = byId.get(entry.commentId);
 
-                errors.push({
+            const results = paragraph ? wanted.get(index) : null;
 
-                    type: 'warning',
+            if (comment && results && !handled.has(index)) {
 
-                    title: `Tablo ${i + 1}: Punto Hatası`,
+                const content = buildFindingComment(results);
 
-                    description: `Tablo içeriği 11 punto olmalı. Mevcut: ${table.font.size} pt`,
+                if (comment.content !== content) comment.content = content;
 
-                    severity: 'FORMAT',
+                Object.assign(entry, { paraIndex: index, textHash: getTextHash(paragraph.text), findings: results.map(getCommentFinding) });
 
-                    tableIndex: i
+                handled.add(index);
 
-                });
+            } else {
 
-            }
+                if (comment) comment.delete();
 
-        }
+                markLedger = markLedger.filter(e => e !== entry);
 
+            }
 
+        }
 
-        logStep('TABLES', `Validated ${tables.items.length} tables, found ${errors.length} errors`);
 
-    } catch (error) {
 
-        logStep('TABLES', `Table validation error: ${error.message}`);
+        // Tagged comments the ledger lost track of (full scans only)
 
-    }
+        if (!scope) {
 
+            const known = new Set(markLedger.filter(e => e.kind === 'comment').map(e => e.commentId));
 
+            tagged.filter(c => !known.has(c.id) && !c.resolved).forEach(c => c.delete());
 
-    return errors;
+        }
 
-}
 
 
+        const inserted = [];
 
-// ============================================
+        for (const [index, results] of wanted) {
 
-// IMAGE ALIGNMENT VALIDATION (Resim Hizalama)
+            if (handled.has(index) || !inScope(index)) continue;
 
-// ============================================
+            if (markLedger.length + inserted.length >= MARK_LEDGER_LIMIT) {
 
+                logStep('COMMENT', 'Mark ledger full, no further comments added');
 
+                break;
 
-async function validateImages(context) {
+            }
 
-    const errors = [];
+            const comment = await addErrorComment(context, paragraphItems[index], buildFindingComment(results));
 
+            if (comment) {
 
+                comment.load('id');
 
-    try {
+                inserted.push({ index, results, comment });
 
-        const pictures = context.document.body.inlinePictures;
+            }
 
-        pictures.load('items');
+        }
 
         await context.sync();
 
 
 
-        for (let i = 0; i < pictures.items.length; i++) {
+        for (const { index, results, comment } of inserted) {
 
-            const pic = pictures.items[i];
+            markLedger.push({
 
-            pic.paragraph.load('alignment');
+                kind: 'comment',
 
-            await context.sync();
+                paraIndex: index,
 
+                textHash: getTextHash(paragraphItems[index].text),
 
+                commentId: comment.id,
 
-            const alignment = pic.paragraph.alignment;
+                mode: MARKING_MODES.COMMENTS,
 
+                findings: results.map(getCommentFinding)
 
+            });
 
-            // Images should be centered
+        }
 
-            if (alignment && !isCentered(alignment)) {
+        logStep('COMMENT', `${handled.size} comment(s) updated, ${inserted.length} added`);
 
+    } catch (error) {
 
+        logStep('COMMENT', `Comments not updated: ${error.message}`);
 
-                errors.push({
+    }
 
-                    type: 'warning',
+}
 
-                    title: `Resim ${i + 1}: Hizalama Hatası`,
 
-                    description: `Resimler ortalanmış olmalı. Mevcut: ${alignment}`,
 
-                    severity: 'FORMAT',
+// ============================================
 
-                    pictureIndex: i
+// ZONE CLASSIFICATION (Bölge Tespiti)
 
-                });
+// ============================================
 
 
 
-                // Highlight the paragraph containing image
+/**
 
-                pic.paragraph.font.highlightColor = HIGHLIGHT_COLORS.FORMAT;
+* Walk all paragraphs in order and infer zone, paragraph type and chapter
 
-            }
+* for each one. Partial scans still run this over the whole document so a
 
-        }
+* selection inherits the zone of the paragraphs that precede it.
 
+* @returns {Array<{zone: string, isInBiblio: boolean, paraType: string|null, chapter: string|null, inTOC: boolean, inCaptionList: boolean}>}
 
+*/
 
-        logStep('IMAGES', `Validated ${pictures.items.length} images, found ${errors.length} errors`);
+function classifyParagraphs(paragraphDataList) {
 
-    } catch (error) {
+    const classification = [];
 
-        logStep('IMAGES', `Image validation error: ${error.message}`);
 
-    }
 
+    let currentZone = ZONES.COVER;
 
+    let isInBiblio = false;
 
-    return errors;
+    let isInTOC = false; // Track if we're inside İÇİNDEKİLER section
 
-}
+    let currentChapter = null; // Text of the MAIN_HEADING that precedes the paragraph
 
+    let isInCaptionList = false; // Inside TABLOLAR LİSTESİ / ŞEKİLLER LİSTESİ
 
 
-// ============================================
 
-// PAGE NUMBER VALIDATION (Sayfa No Kontrolü)
+    for (let i = 0; i < paragraphDataList.length; i++) {
 
-// ============================================
+        const paraData = paragraphDataList[i];
 
+        const text = paraData.text.trim();
 
 
-async function validatePageNumbers(context, sections) {
 
-    const errors = [];
+        // Zone switching - KAPAK -> ÖN KISIM (Roma) -> ANA METİN (Normal) -> KAYNAKÇA
 
+        // Cover is only the first 15 paragraphs OR until ÖZET/front matter
 
+        const textUpper = text.toUpperCase();
 
-    try {
 
-        for (let i = 0; i < sections.items.length; i++) {
 
-            const section = sections.items[i];
+        // Everything from an inserted compliance report on is not part of the thesis
 
+        if (currentZone === ZONES.REPORT || REPORT_HEADING_PATTERN.test(text)) {
 
+            currentZone = ZONES.REPORT;
 
-            try {
+            classification.push({ zone: currentZone, isInBiblio, paraType: null, chapter: currentChapter, inTOC: false, inCaptionList: false });
 
-                section.pageSetup.load('footerDistance');
+            continue;
 
-                await context.sync();
+        }
 
 
 
-                const footerDistance = section.pageSetup.footerDistance;
+        // Lists of tables/figures run until the next main or front matter heading
 
+        const isCaptionListStart = PATTERNS.CAPTION_LIST_START.test(text.toLocaleUpperCase('tr-TR'));
 
+        if (isCaptionListStart) {
 
-                // Footer distance should be 1.25 cm (35.4 pt)
+            isInCaptionList = true;
 
-                if (footerDistance !== undefined &&
+        }
 
-                    Math.abs(footerDistance - EBYÜ_RULES.PAGE_NUMBER_FOOTER_DISTANCE_POINTS) > EBYÜ_RULES.MARGIN_TOLERANCE) {
 
 
+        // Track İÇİNDEKİLER section (Table of Contents)
 
-                    errors.push({
+        if (PATTERNS.TOC_START.test(textUpper)) {
 
-                        type: 'warning',
+            isInTOC = true;
 
-                        title: `Bölüm ${i + 1}: Sayfa No Konumu`,
+            isInCaptionList = false;
 
-                        description: `Sayfa numarası alt kenardan 1.25 cm yukarıda olmalı. Mevcut: ${(footerDistance / 28.35).toFixed(2)} cm`,
+            currentZone = ZONES.FRONT_MATTER;
 
-                        location: `Bölüm ${i + 1}`,
+            logStep('ZONE', `Entered TOC at paragraph ${i + 1}`);
 
-                        severity: 'FORMAT'
+        }
 
-                    });
 
-                }
 
+        // Exit TOC when we hit next major section
 
+        if (isInTOC && matchesAnyPattern(textUpper, PATTERNS.TOC_END)) {
 
-                // Check footer content for page number
+            isInTOC = false;
 
-                const footer = section.getFooter("Primary");
+            logStep('ZONE', `Exited TOC at paragraph ${i + 1}: "${text.substring(0, 30)}..."`);
 
-                footer.load('text');
+        }
 
-                await context.sync();
 
 
+        // Skip validation for paragraphs inside TOC
 
-                // Footer should contain page number (numeric content)
+        if (isInTOC && !PATTERNS.TOC_START.test(textUpper)) {
 
-                if (footer.text && footer.text.trim().length === 0) {
+            classification.push({ zone: currentZone, isInBiblio, paraType: null, chapter: currentChapter, inTOC: true, inCaptionList: isInCaptionList });
 
-                    errors.push({
+            continue;
 
-                        type: 'warning',
+        }
 
-                        title: `Bölüm ${i + 1}: Sayfa Numarası Eksik`,
 
-                        description: 'Alt bilgide sayfa numarası bulunamadı.',
 
-                        location: `Bölüm ${i + 1}`,
+        // Cover ends at ÖZET, İÇİNDEKİLER, ÖNSÖZ, or after COVER_MAX_PARAGRAPHS
 
-                        severity: 'FORMAT'
+        if (currentZone === ZONES.COVER) {
 
-                    });
+            if (matchesAnyPattern(textUpper, PATTERNS.COVER_END) ||
 
-                }
+                matchesAnyPattern(text, PATTERNS.FRONT_MATTER_IDENTIFIERS) ||
 
-            } catch (sectionError) {
+                i >= EBYÜ_RULES.COVER_MAX_PARAGRAPHS) {
 
-                logStep('PAGE_NUM', `Section ${i + 1} page number check failed: ${sectionError.message}`);
+                currentZone = ZONES.FRONT_MATTER;
+
+                logStep('ZONE', `Switched to FRONT_MATTER at paragraph ${i + 1}: "${text.substring(0, 30)}..."`);
 
             }
 
@@ -2752,639 +14216,663 @@ async function validatePageNumbers(context, sections) {
 
 
 
-        logStep('PAGE_NUM', `Validated page numbers, found ${errors.length} errors`);
+        // Body starts with GİRİŞ - Normal rakamlar başlar
 
-    } catch (error) {
+        if (matchesAnyPattern(text, PATTERNS.BODY_START)) {
 
-        logStep('PAGE_NUM', `Page number validation error: ${error.message}`);
+            currentZone = ZONES.BODY;
 
-    }
+            logStep('ZONE', `Switched to BODY at paragraph ${i + 1}: "${text.substring(0, 30)}..."`);
 
+        }
 
 
-    return errors;
 
-}
+        // Back matter starts with KAYNAKÇA
 
+        if (matchesAnyPattern(text, PATTERNS.BACK_MATTER_START)) {
 
+            currentZone = ZONES.BACK_MATTER;
 
-// ============================================
+            isInBiblio = true;
 
-// ABSTRACT VALIDATION (Özet Sayfası)
+            logStep('ZONE', `Switched to BACK_MATTER at paragraph ${i + 1}: "${text.substring(0, 30)}..."`);
 
-// ============================================
+        }
 
 
 
-function validateAbstract(paraData, abstractParagraphs) {
+        // Detect paragraph type
 
-    const errors = [];
+        const paraType = detectParagraphType(paraData, currentZone, isInBiblio);
 
+        if (paraType === PARA_TYPES.MAIN_HEADING) {
 
+            currentChapter = text;
 
-    // Count total words in abstract
+        }
 
-    let totalWords = 0;
+        if (!isCaptionListStart && (paraType === PARA_TYPES.MAIN_HEADING ||
 
-    let abstractText = '';
+            PATTERNS.UNNUMBERED_HEADING.test(text) || matchesAnyPattern(textUpper, PATTERNS.TOC_END))) {
 
+            isInCaptionList = false;
 
+        }
 
-    for (const para of abstractParagraphs) {
 
-        const text = (para.text || '').trim();
 
-        if (text.length > 0 && !text.match(/^(ÖZET|ABSTRACT|Anahtar Kelimeler|Keywords)/i)) {
+        classification.push({ zone: currentZone, isInBiblio, paraType, chapter: currentChapter, inTOC: false, inCaptionList: isInCaptionList });
 
-            const words = text.split(/\s+/).filter(w => w.length > 0);
+    }
 
-            totalWords += words.length;
 
-            abstractText += text + ' ';
 
-        }
+    return classification;
 
-    }
+}
 
 
 
-    // Word count check: 200-250 words
+// ============================================
 
-    if (totalWords < EBYÜ_RULES.ABSTRACT_MIN_WORDS) {
+// SCAN SCOPE (Seçimi / Bu Bölümü Tara)
 
-        errors.push({
+// ============================================
 
-            type: 'warning',
 
-            title: 'Özet: Kelime Sayısı Az',
 
-            description: `Özet en az ${EBYÜ_RULES.ABSTRACT_MIN_WORDS} kelime olmalı. Mevcut: ${totalWords} kelime`,
+const SCAN_MODES = {
 
-            severity: 'FORMAT'
+    DOCUMENT: 'document',
+
+    SELECTION: 'selection',
+
+    CHAPTER: 'chapter'
+
+};
+
+
+
+/**
+
+* Paragraph index span of the current selection, counted from the body start
+
+* @returns {Promise<{start: number, end: number}>}
+
+*/
+
+async function getSelectionParagraphSpan(context) {
+
+    const selection = context.document.getSelection();
+
+
+
+    // Paragraphs up to the selection end give its last index; the selection's
+
+    // own paragraphs (partly selected ones included) give the first
 
-        });
+    const upToEnd = context.document.body.getRange('Start').expandTo(selection.getRange('End')).paragraphs;
 
-    } else if (totalWords > EBYÜ_RULES.ABSTRACT_MAX_WORDS) {
+    const selected = selection.paragraphs;
 
-        errors.push({
+    upToEnd.load('items/isListItem');
 
-            type: 'warning',
+    selected.load('items/isListItem');
 
-            title: 'Özet: Kelime Sayısı Fazla',
+    await context.sync();
 
-            description: `Özet en fazla ${EBYÜ_RULES.ABSTRACT_MAX_WORDS} kelime olmalı. Mevcut: ${totalWords} kelime`,
 
-            severity: 'FORMAT'
 
-        });
+    const end = Math.max(0, upToEnd.items.length - 1);
 
-    }
+    return {
 
+        start: Math.max(0, end - Math.max(0, selected.items.length - 1)),
 
+        end
 
-    return errors;
+    };
 
 }
 
 
 
-// ============================================
+/**
 
-// ADD ERROR COMMENT (Hata Yorumu Ekleme)
+* Span between the MAIN_HEADING that precedes the index and the next one.
 
-// ============================================
+* A chapter-number line and the title under it ("BİRİNCİ BÖLÜM" / "GİRİŞ")
 
+* may both be MAIN_HEADINGs; such a run counts as one chapter start.
 
+*/
 
-async function addErrorComment(context, paragraph, errorMessage) {
+function getChapterSpan(classification, index) {
 
-    try {
+    const isMainHeading = i => !!classification[i] && classification[i].paraType === PARA_TYPES.MAIN_HEADING;
 
-        const range = paragraph.getRange();
+    const isEmpty = i => !!classification[i] && classification[i].paraType === PARA_TYPES.EMPTY;
 
-        range.insertComment(errorMessage);
 
-        logStep('COMMENT', `Added comment: ${errorMessage.substring(0, 50)}...`);
 
-    } catch (error) {
+    let start = index;
 
-        // Comments may not be supported in all environments
+    while (start > 0 && !isMainHeading(start)) {
 
-        logStep('COMMENT', `Could not add comment: ${error.message}`);
+        start--;
 
     }
 
-}
 
 
+    // Back to the first line of the heading run
 
-// ============================================
+    for (let i = start - 1; i >= 0 && (isMainHeading(i) || isEmpty(i)); i--) {
 
-// MAIN SCAN FUNCTION (Batch Loading Optimized)
+        if (isMainHeading(i)) start = i;
 
-// ============================================
+    }
 
 
 
-async function scanDocument() {
+    // Past the heading run (and the index) to the next chapter start
 
-    if (isScanning) return;
+    let runEnd = start;
 
-    isScanning = true;
+    while (runEnd + 1 < classification.length && (isMainHeading(runEnd + 1) || isEmpty(runEnd + 1))) {
 
+        runEnd++;
 
+    }
 
-    const startTime = performance.now();
 
-    clearResults();
 
-    setButtonState(false);
+    let end = Math.max(index, runEnd) + 1;
 
-    updateProgress(0, 'Tarama başlatılıyor...');
+    while (end < classification.length && !isMainHeading(end)) {
 
-    logStep('START', 'Document scan initiated');
+        end++;
 
+    }
 
 
-    try {
 
-        await Word.run(async (context) => {
+    return { start, end: end - 1 };
 
-            // Step 1: Clear previous highlights
+}
 
-            updateProgress(5, 'Önceki işaretler temizleniyor...');
 
-            context.document.body.font.highlightColor = null;
 
-            await context.sync();
+function isInScope(index, scope) {
 
+    if (!scope) return true;
 
+    return index !== null && index !== undefined && index >= scope.start && index <= scope.end;
 
-            // Step 2: Load document structure
+}
 
-            updateProgress(10, 'Belge yapısı yükleniyor...');
 
 
+/**
 
-            const sections = context.document.sections;
+* Indexes of the tables that start inside the scope (all tables without one)
 
-            sections.load('items');
+*/
 
+function getTableIndexesInScope(tableSpans, scope) {
 
+    return tableSpans.map((span, i) => i).filter(i => isInScope(tableSpans[i].start, scope));
 
-            const paragraphs = context.document.body.paragraphs;
+}
 
 
 
-            // BATCH LOAD: Load all paragraph properties at once
+function isSectionInScope(sectionIndex, sectionStarts, scope, paragraphCount) {
 
-            // FIX: Use direct paragraph properties instead of paragraphFormat/* for Mac Word compatibility
+    if (!scope) return true;
 
-            // Word.Paragraph has leftIndent, lineSpacing, spaceBefore, spaceAfter, firstLineIndent, alignment directly
 
-            paragraphs.load([
 
-                'items/text',
+    const start = sectionStarts[sectionIndex];
 
-                'items/style',
+    if (start === null || start === undefined) return false;
 
-                'items/outlineLevel',
 
-                'items/tableNestingLevel',
 
-                'items/font/name',
+    const next = sectionStarts[sectionIndex + 1];
 
-                'items/font/size',
+    const end = (next === null || next === undefined) ? paragraphCount - 1 : next - 1;
 
-                'items/font/bold',
+    return start <= scope.end && end >= scope.start;
 
-                'items/font/italic',
+}
 
-                'items/alignment',
 
-                'items/firstLineIndent',
 
-                'items/leftIndent',
+// ============================================
 
-                'items/rightIndent',
+// MAIN SCAN FUNCTION (Batch Loading Optimized)
 
-                'items/lineSpacing',
+// ============================================
 
-                'items/spaceBefore',
 
-                'items/spaceAfter',
 
-                'items/isListItem',
+/**
 
-                'items/listItemOrNullObject/listString',
+* Scan the document, the current selection or the chapter around the cursor
 
-                'items/listItemOrNullObject/level'
+* @param {string} mode - SCAN_MODES value
 
-            ].join(','));
+*/
 
+async function scanDocument(mode = SCAN_MODES.DOCUMENT) {
 
+    if (isScanning) return;
 
-            await context.sync();
+    isScanning = true;
 
-            logStep('LOAD', `Loaded ${paragraphs.items.length} paragraphs, ${sections.items.length} sections`);
 
 
+    const startTime = performance.now();
 
-            // Step 3: Validate section margins (7cm rule)
+    const isPartial = mode !== SCAN_MODES.DOCUMENT;
 
-            updateProgress(20, 'Kenar boşlukları kontrol ediliyor...');
+    // Findings of the previous (or restored) scan, for the new/resolved diff
 
-            const marginErrors = await validateSectionMargins(context, sections);
+    const previousResults = lastScanInfo ? validationResults.filter(isTrackedFinding) : null;
 
-            for (const err of marginErrors) {
+    clearResults();
 
-                addResult(err.type, err.title, err.description, err.location, null, err.severity);
+    setButtonState(false);
 
-            }
+    updateProgress(0, t('progress.start'));
 
+    logStep('START', `Document scan initiated (${mode})`);
 
 
-            // Step 4: Prepare paragraph data objects (no sync needed)
 
-            updateProgress(30, 'Paragraf verileri hazırlanıyor...');
+    try {
 
-            const paragraphDataList = [];
+        await Word.run(async (context) => {
 
+            // Step 1: Take back previous marks (partial scans only their scope, in Step 5.1)
 
+            updateProgress(5, t('progress.clear'));
 
-            for (let i = 0; i < paragraphs.items.length; i++) {
+            if (!isPartial) {
 
-                const p = paragraphs.items[i];
+                await restoreDocumentMarks(context, markLedger.filter(e => e.kind !== 'comment'));
 
+            }
 
+            await context.sync();
 
-                // Defensive null checks
 
-                const pFont = p.font || {};
 
+            // Step 2: Load document structure
 
+            updateProgress(10, t('progress.load'));
 
-                // Extract listItem properties for heading numbering validation
 
-                const listItem = p.listItemOrNullObject;
 
-                let listString = '';
+            const sections = context.document.sections;
 
-                let listLevel = null;
+            sections.load('items');
 
 
 
-                // Check if listItem was loaded and is not a null object
+            const paragraphs = context.document.body.paragraphs;
 
-                if (listItem && !listItem.isNullObject) {
 
-                    listString = listItem.listString || '';
 
-                    listLevel = listItem.level;
+            // BATCH LOAD: Load all paragraph properties at once
 
-                }
+            // FIX: Use direct paragraph properties instead of paragraphFormat/* for Mac Word compatibility
 
+            // Word.Paragraph has leftIndent, lineSpacing, spaceBefore, spaceAfter, firstLineIndent, alignment directly
 
+            // Partial scans load structure only here and formatting for their scope in Step 5.1
 
-                // FIX: Use direct paragraph properties instead of paragraphFormat for Mac Word
+            const loadProperties = isPartial ? getParagraphStructureProperties() : getParagraphLoadProperties();
 
-                paragraphDataList.push({
+            paragraphs.load(loadProperties.map(prop => `items/${prop}`).join(','));
 
-                    index: i,
 
-                    text: p.text || '',
 
-                    style: p.style || '',
+            await context.sync();
 
-                    outlineLevel: p.outlineLevel,
+            logStep('LOAD', `Loaded ${paragraphs.items.length} paragraphs, ${sections.items.length} sections`);
 
-                    tableNestingLevel: p.tableNestingLevel || 0,
 
-                    font: {
 
-                        name: pFont.name,
+            // Thesis language first: heading and zone patterns depend on it
 
-                        size: pFont.size,
+            const language = resolveThesisLanguage(paragraphs.items);
 
-                        bold: pFont.bold,
 
-                        italic: pFont.italic
 
-                    },
+            // Step 3: Prepare paragraph data objects (no sync needed)
 
-                    alignment: p.alignment,
+            updateProgress(20, t('progress.prepare'));
 
-                    firstLineIndent: p.firstLineIndent,
+            const paragraphDataList = [];
 
-                    leftIndent: p.leftIndent,
 
-                    rightIndent: p.rightIndent,
 
-                    lineSpacing: p.lineSpacing,
+            for (let i = 0; i < paragraphs.items.length; i++) {
 
-                    spaceBefore: p.spaceBefore,
+                paragraphDataList.push(buildParagraphData(paragraphs.items[i], i, !isPartial));
 
-                    spaceAfter: p.spaceAfter,
+            }
 
-                    // List item properties for heading numbering
 
-                    isListItem: p.isListItem || false,
 
-                    listString: listString,
+            // Step 4: Zone classification over the whole document
 
-                    listLevel: listLevel,
+            updateProgress(30, t('progress.analyze'));
 
-                    paragraph: p // Keep reference for highlighting
+            const classification = classifyParagraphs(paragraphDataList);
 
-                });
 
-            }
 
+            // Step 5: Resolve the scan scope (null = whole document)
 
+            let scope = null;
 
-            // Step 5: Zone-based validation
+            if (mode === SCAN_MODES.SELECTION) {
 
-            updateProgress(40, 'Paragraflar analiz ediliyor...');
+                scope = await getSelectionParagraphSpan(context);
 
+            } else if (mode === SCAN_MODES.CHAPTER) {
 
+                const selectionSpan = await getSelectionParagraphSpan(context);
 
-            let currentZone = ZONES.COVER;
+                scope = getChapterSpan(classification, selectionSpan.start);
 
-            let isInBiblio = false;
+            }
 
-            let isInTOC = false; // Track if we're inside İÇİNDEKİLER section
+            if (scope) {
 
-            let ghostCount = 0;
+                logStep('SCOPE', `Scanning paragraphs ${scope.start + 1}-${scope.end + 1}`);
 
-            let errorCount = 0;
 
-            let warningCount = 0;
 
+                // Reload the restored paragraphs so new marks record their real look
 
+                await restoreDocumentMarks(context, getMarksInScope(scope).filter(e => e.kind !== 'comment'));
 
-            for (let i = 0; i < paragraphDataList.length; i++) {
+                const formatProperties = getParagraphFormatProperties().join(',');
 
-                const paraData = paragraphDataList[i];
+                for (let i = scope.start; i <= scope.end; i++) {
 
-                const text = paraData.text.trim();
+                    paragraphs.items[i].load(formatProperties);
 
+                }
 
+                await context.sync();
 
-                // Update progress periodically
 
-                if (i % 50 === 0) {
 
-                    const progressPercent = 40 + Math.floor((i / paragraphDataList.length) * 50);
+                for (let i = scope.start; i <= scope.end; i++) {
 
-                    updateProgress(progressPercent, `Paragraf ${i + 1} / ${paragraphDataList.length}`);
+                    paragraphDataList[i] = buildParagraphData(paragraphs.items[i], i);
 
                 }
 
+            }
 
 
-                // Zone switching - KAPAK -> ÖN KISIM (Roma) -> ANA METİN (Normal) -> KAYNAKÇA
-
-                // Cover is only the first 15 paragraphs OR until ÖZET/front matter
-
-                const textUpper = text.toUpperCase();
 
+            // Keep a proxy-free copy so fix sessions can record original values
 
+            paragraphSnapshot = paragraphDataList.map(({ paragraph, ...data }) => data);
 
-                // Track İÇİNDEKİLER section (Table of Contents)
+            classification.forEach((entry, i) => Object.assign(paragraphSnapshot[i], entry));
 
-                if (textUpper === 'İÇİNDEKİLER' || textUpper.startsWith('İÇİNDEKİLER')) {
+            assignTextKeys(paragraphSnapshot);
 
-                    isInTOC = true;
 
-                    currentZone = ZONES.FRONT_MATTER;
 
-                    logStep('ZONE', `Entered TOC at paragraph ${i + 1}`);
+            // Innermost table of every table paragraph (nested spans come after their parent)
 
-                }
+            getTableSpans(paragraphDataList).forEach((span, tableIndex) => {
 
+                for (let i = span.start; i <= span.end; i++) paragraphSnapshot[i].tableIndex = tableIndex;
 
+            });
 
-                // Exit TOC when we hit next major section
 
-                if (isInTOC && (textUpper === 'ÖZET' || textUpper === 'ÖNSÖZ' || textUpper === 'ABSTRACT' ||
 
-                    textUpper === 'TEŞEKKÜR' || /^1\.\s/.test(text) || textUpper === 'GİRİŞ')) {
+            // Degree/institute from the cover or the pane; their rules apply to this scan
 
-                    isInTOC = false;
+            const detectedVariant = detectThesisVariant(paragraphDataList, classification);
 
-                    logStep('ZONE', `Exited TOC at paragraph ${i + 1}: "${text.substring(0, 30)}..."`);
+            const thesisVariant = resolveThesisVariant(detectedVariant);
 
-                }
+            logStep('VARIANT', `Degree: ${thesisVariant.degree || '-'}, institute: ${thesisVariant.institute || '-'}`);
 
 
 
-                // Skip validation for paragraphs inside TOC
+            // Step 5.1: Validate section margins (7cm rule) of the sections in scope
 
-                if (isInTOC && textUpper !== 'İÇİNDEKİLER') {
+            updateProgress(40, t('progress.margins'));
 
-                    continue; // Skip this paragraph entirely
+            const sectionStarts = await getSectionStartIndexes(context, sections);
 
-                }
+            const sectionIndexes = sections.items.map((section, i) => i)
 
+                .filter(i => isSectionInScope(i, sectionStarts, scope, paragraphDataList.length));
 
+            const allMarginErrors = await validateSectionMargins(context, sections, sectionIndexes, sectionStarts, paragraphDataList);
 
-                // Cover ends at ÖZET, İÇİNDEKİLER, ÖNSÖZ, or after 15 paragraphs
 
-                if (currentZone === ZONES.COVER) {
 
-                    if (textUpper === 'ÖZET' || textUpper.startsWith('ÖZET') ||
+            for (const err of allMarginErrors) {
 
-                        textUpper === 'ÖNSÖZ' || textUpper.startsWith('ÖNSÖZ') ||
+                addResult(err.type, err.title, err.description, err.location, null, err.severity, {
 
-                        matchesAnyPattern(text, PATTERNS.FRONT_MATTER_IDENTIFIERS) ||
+                    ruleId: err.ruleId,
 
-                        i >= 15) {
+                    params: err.params,
 
-                        currentZone = ZONES.FRONT_MATTER;
+                    target: { kind: 'section', index: err.sectionIndex },
 
-                        logStep('ZONE', `Switched to FRONT_MATTER at paragraph ${i + 1}: "${text.substring(0, 30)}..."`);
+                    order: sectionStarts[err.sectionIndex]
 
-                    }
+                });
 
-                }
+            }
 
+            const marginErrors = validationResults.filter(r => r.target && r.target.kind === 'section');
 
 
-                // Body starts with GİRİŞ - Normal rakamlar başlar
 
-                if (matchesAnyPattern(text, PATTERNS.BODY_START)) {
+            // Cell coordinates, only for the table paragraphs about to be validated
 
-                    currentZone = ZONES.BODY;
+            await loadTableCells(context, paragraphDataList.filter((paraData, i) =>
 
-                    logStep('ZONE', `Switched to BODY at paragraph ${i + 1}: "${text.substring(0, 30)}..."`);
+                classification[i].paraType === PARA_TYPES.TABLE_CONTENT && isInScope(i, scope)));
 
-                }
 
 
+            // Step 5.2: Paragraph validation within scope
 
-                // Back matter starts with KAYNAKÇA
+            let ghostCount = 0;
 
-                if (matchesAnyPattern(text, PATTERNS.BACK_MATTER_START)) {
+            let errorCount = 0;
 
-                    currentZone = ZONES.BACK_MATTER;
+            let warningCount = 0;
 
-                    isInBiblio = true;
 
-                    logStep('ZONE', `Switched to BACK_MATTER at paragraph ${i + 1}: "${text.substring(0, 30)}..."`);
 
-                }
+            const firstIndex = scope ? scope.start : 0;
 
+            const lastIndex = scope ? scope.end : paragraphDataList.length - 1;
 
 
-                // Detect paragraph type
 
-                const paraType = detectParagraphType(paraData, currentZone, isInBiblio);
+            for (let i = firstIndex; i <= lastIndex; i++) {
 
+                const paraData = paragraphDataList[i];
 
+                const { paraType, inTOC } = classification[i];
 
-                // Validate based on type
 
-                let errors = [];
 
+                // Update progress periodically
 
+                if (i % 50 === 0) {
 
-                switch (paraType) {
+                    const progressPercent = 40 + Math.floor(((i - firstIndex) / (lastIndex - firstIndex + 1)) * 50);
 
-                    case PARA_TYPES.GHOST_HEADING:
+                    updateProgress(progressPercent, t('progress.paragraph', { n: i + 1, total: paragraphDataList.length }));
 
-                        errors = validateGhostHeading(paraData, i);
+                }
 
-                        // Highlight ghost heading
 
-                        paraData.paragraph.font.highlightColor = HIGHLIGHT_COLORS.CRITICAL;
 
-                        ghostCount++;
+                // Skip validation for paragraphs inside TOC
 
-                        break;
+                if (inTOC) continue;
 
 
 
-                    case PARA_TYPES.MAIN_HEADING:
+                // Validate based on type
 
-                        errors = validateMainHeading(paraData, i);
+                const errors = validateParagraphByType(paraType, paraData, i);
 
-                        break;
+                if (paraType === PARA_TYPES.GHOST_HEADING) {
 
+                    ghostCount++;
 
+                }
 
-                    case PARA_TYPES.SUB_HEADING:
 
-                        errors = validateSubHeading(paraData, i);
 
-                        break;
+                // Add errors and apply highlights
 
+                for (const err of errors) {
 
+                    if (err.type === 'error') {
 
-                    case PARA_TYPES.BODY_TEXT:
+                        errorCount++;
 
-                        errors = validateBodyText(paraData, i);
+                    } else if (err.type === 'warning') {
 
-                        break;
+                        warningCount++;
 
+                    }
 
+                }
 
-                    case PARA_TYPES.BLOCK_QUOTE:
+                addParagraphResults(errors, paraType, paragraphSnapshot[i], paraData);
 
-                        errors = validateBlockQuote(paraData, i);
+                applyParagraphHighlight(paraData.paragraph, errors, i);
 
-                        break;
+            }
 
 
 
-                    case PARA_TYPES.BIBLIOGRAPHY:
+            // Step 6: Validate Tables (Tablo Hizalama)
 
-                        errors = validateBibliography(paraData, i);
+            updateProgress(85, t('progress.tables'));
 
-                        break;
 
 
+            // Table shapes serve both the layout table and the figure holder checks
 
-                    case PARA_TYPES.CAPTION_TITLE:
+            let tableShapes = [];
 
-                        errors = validateCaption(paraData, i);
+            try {
 
-                        break;
+                tableShapes = await getTableShapes(context, context.document.body.tables,
 
+                    getTableIndexesInScope(getTableSpans(paragraphDataList), scope));
 
+            } catch (error) {
 
-                    case PARA_TYPES.COVER_TEXT:
+                logStep('TABLES', `Table shape load failed: ${error.message}`);
 
-                        errors = validateCoverPage(paraData, i);
+            }
 
-                        break;
 
-                }
 
+            const tableErrors = await validateTables(context, paragraphDataList, scope, tableShapes);
 
+            for (const err of tableErrors) {
 
-                // Add errors and apply highlights + comments
+                addResult(err.type, err.title, err.description, msg('location.table', { n: err.tableIndex + 1 }), null, err.severity, {
 
-                let hasCriticalError = false;
+                    ruleId: err.ruleId,
 
+                    params: err.params,
 
+                    target: { kind: 'table', index: err.tableIndex },
 
-                for (const err of errors) {
+                    related: err.related,
 
-                    addResult(err.type, err.title, err.description, `Paragraf ${i + 1}`, err.paraIndex, err.severity);
+                    order: err.order,
 
+                    chapter: getParagraphChapter(err.order)
 
+                });
 
-                    // Track if we have a critical error
+                if (err.type === 'error') errorCount++;
 
-                    if (err.severity === 'CRITICAL' || err.type === 'error') {
+                else warningCount++;
 
-                        hasCriticalError = true;
+            }
 
-                    }
 
 
+            // Step 7: Validate Images (Resim Hizalama)
 
-                    if (err.type === 'error') {
+            updateProgress(88, t('progress.images'));
 
-                        errorCount++;
+            const imageErrors = await validateImages(context, paragraphDataList, scope, tableShapes);
 
-                    } else if (err.type === 'warning') {
+            for (const err of imageErrors) {
 
-                        warningCount++;
+                // Orphan captions are paragraph findings
 
-                    }
+                if (err.pictureIndex === undefined) {
 
-                }
+                    addResult(err.type, err.title, err.description, msg('location.paragraph', { n: err.paraIndex + 1 }), err.paraIndex, err.severity, {
 
+                        ruleId: err.ruleId,
 
+                        params: err.params,
 
-                // Apply highlight ONCE after all errors checked (avoid reading highlightColor)
+                        order: err.order,
 
-                if (errors.length > 0) {
+                        chapter: getParagraphChapter(err.order)
 
-                    const highlightColor = hasCriticalError
+                    });
 
-                        ? HIGHLIGHT_COLORS.CRITICAL
+                    if (err.type === 'error') errorCount++;
 
-                        : HIGHLIGHT_COLORS.FORMAT;
+                    else warningCount++;
 
-                    paraData.paragraph.font.highlightColor = highlightColor;
+                    continue;
 
                 }
 
-            }
+                addResult(err.type, err.title, err.description, msg('location.picture', { n: err.pictureIndex + 1 }), null, err.severity, {
 
+                    ruleId: err.ruleId,
 
+                    params: err.params,
 
-            // Step 6: Validate Tables (Tablo Hizalama)
+                    target: { kind: 'picture', index: err.pictureIndex },
 
-            updateProgress(85, 'Tablolar kontrol ediliyor...');
+                    related: err.related,
 
-            const tableErrors = await validateTables(context);
+                    order: err.order,
 
-            for (const err of tableErrors) {
+                    chapter: getParagraphChapter(err.order)
 
-                addResult(err.type, err.title, err.description, `Tablo ${err.tableIndex + 1}`, null, err.severity);
+                });
 
                 if (err.type === 'error') errorCount++;
 
@@ -3394,15 +14882,21 @@ async function scanDocument() {
 
 
 
-            // Step 7: Validate Images (Resim Hizalama)
+            // Step 7.5: Caption numbering (counted over the whole document)
 
-            updateProgress(88, 'Resimler kontrol ediliyor...');
+            updateProgress(89, t('progress.captions'));
 
-            const imageErrors = await validateImages(context);
+            const numberingErrors = validateCaptionNumbering(paragraphDataList, classification)
 
-            for (const err of imageErrors) {
+                .filter(err => isInScope(err.paraIndex, scope));
+
+            for (const err of numberingErrors) {
 
-                addResult(err.type, err.title, err.description, `Resim ${err.pictureIndex + 1}`, null, err.severity);
+                const paraData = paragraphDataList[err.paraIndex];
+
+                addParagraphResults([err], PARA_TYPES.CAPTION_TITLE, paragraphSnapshot[err.paraIndex], paraData);
+
+                applyParagraphHighlight(paraData.paragraph, validationResults.filter(r => r.paraIndex === err.paraIndex), err.paraIndex);
 
                 if (err.type === 'error') errorCount++;
 
@@ -3414,13 +14908,23 @@ async function scanDocument() {
 
             // Step 8: Validate Page Numbers (Sayfa No Konumu)
 
-            updateProgress(91, 'Sayfa numaraları kontrol ediliyor...');
+            updateProgress(91, t('progress.pageNumbers'));
 
-            const pageNumErrors = await validatePageNumbers(context, sections);
+            const pageNumErrors = await validatePageNumbers(context, sections, sectionIndexes);
 
             for (const err of pageNumErrors) {
 
-                addResult(err.type, err.title, err.description, err.location, null, err.severity);
+                addResult(err.type, err.title, err.description, err.location, null, err.severity, {
+
+                    ruleId: err.ruleId,
+
+                    params: err.params,
+
+                    target: { kind: 'footer', index: err.sectionIndex },
+
+                    order: sectionStarts[err.sectionIndex]
+
+                });
 
                 if (err.type === 'error') errorCount++;
 
@@ -3432,7 +14936,7 @@ async function scanDocument() {
 
             // Step 8.5: Validate Özet and Abstract (Özet Sayfaları)
 
-            updateProgress(93, 'Özet/Abstract kontrol ediliyor...');
+            updateProgress(93, t('progress.abstract'));
 
 
 
@@ -3446,6 +14950,8 @@ async function scanDocument() {
 
             for (let i = 0; i < paragraphDataList.length; i++) {
 
+                if (classification[i].zone === ZONES.REPORT) break;
+
                 const text = paragraphDataList[i].text.trim();
 
                 const textUpper = text.toUpperCase();
@@ -3506,6 +15012,14 @@ async function scanDocument() {
 
 
 
+            // Partial scans only check abstracts that start inside the scope
+
+            if (scope && !isInScope(ozetStartIndex, scope)) ozetStartIndex = -1;
+
+            if (scope && !isInScope(abstractStartIndex, scope)) abstractStartIndex = -1;
+
+
+
             // Validate ÖZET (Turkish abstract) - words between ÖZET and Anahtar Kelimeler
 
             if (ozetStartIndex >= 0) {
@@ -3570,33 +15084,29 @@ async function scanDocument() {
 
                 // Show DEBUG in UI
 
-                addResult('warning', '📊 ÖZET DEBUG',
+                addRuleResult('warning', 'ABSTRACT_DEBUG',
 
-                    `Paragraf index: ${ozetStartIndex + 1}, Bulunan paragraf: ${ozetParagraphs.length}, Kelime sayısı: ${totalOzetWords}`,
+                    { index: ozetStartIndex + 1, paragraphs: ozetParagraphs.length, words: totalOzetWords },
 
                     'Debug', null, 'FORMAT');
 
 
 
-                const ozetErrors = validateAbstract(null, ozetParagraphs);
+                const ozetErrors = validateAbstract(null, ozetParagraphs, 'ÖZET');
 
                 for (const err of ozetErrors) {
 
-                    err.title = err.title.replace('Özet:', 'ÖZET:');
+                    addResult(err.type, err.title, err.description, msg('location.ozet'), null, err.severity,
 
-                    addResult(err.type, err.title, err.description, 'Özet Sayfası', null, err.severity);
+                        { ruleId: err.ruleId, params: err.params });
 
                     warningCount++;
 
                 }
 
-            } else {
-
-                addResult('warning', 'ÖZET DEBUG: Bulunamadı',
+            } else if (!scope) {
 
-                    'ÖZET başlığı bulunamadı veya sonrasında içerik algılanamadı. TOC\'deki ÖZET atlandı.',
-
-                    'Debug', null, 'FORMAT');
+                addRuleResult('warning', 'ABSTRACT_NOT_FOUND', {}, 'Debug', null, 'FORMAT');
 
             }
 
@@ -3642,43 +15152,125 @@ async function scanDocument() {
 
 
 
-                const abstractErrors = validateAbstract(null, abstractParagraphs);
+                const abstractErrors = validateAbstract(null, abstractParagraphs, 'ABSTRACT');
 
                 for (const err of abstractErrors) {
 
-                    err.title = err.title.replace('Özet:', 'ABSTRACT:');
+                    addResult(err.type, err.title, err.description, msg('location.abstract'), null, err.severity,
+
+                        { ruleId: err.ruleId, params: err.params });
+
+                    warningCount++;
+
+                }
+
+            }
+
+
+
+            // Step 8.6: Degree/institute rules (whole document only)
 
-                    addResult(err.type, err.title, err.description, 'Abstract Sayfası', null, err.severity);
+            if (!isPartial) {
+
+                updateProgress(94, t('progress.variant'));
+
+
+
+                addRuleResult('success', 'THESIS_LANGUAGE', {
+
+                    language: msg(`language.${language}`),
+
+                    source: msg(languageOverride ? 'source.manual' : 'source.text')
+
+                });
+
+
+
+                if (!thesisVariant.degree || !thesisVariant.institute) {
+
+                    addRuleResult('warning', 'THESIS_VARIANT_UNKNOWN', {}, msg('location.cover'), null, 'FORMAT');
 
                     warningCount++;
 
+                } else {
+
+                    const isManual = variantOverride.degree || variantOverride.institute;
+
+                    addRuleResult('success', 'THESIS_VARIANT', {
+
+                        degree: thesisVariants.degrees[thesisVariant.degree].label,
+
+                        institute: thesisVariants.institutes[thesisVariant.institute].label,
+
+                        source: msg(isManual ? 'source.manual' : 'source.cover')
+
+                    }, msg('location.cover'));
+
+                }
+
+
+
+                const pageCount = await countBodyPages(context, paragraphDataList, classification);
+
+                const variantErrors = [
+
+                    ...validateCoverWording(detectedVariant, thesisVariant),
+
+                    ...validateRequiredPages(paragraphDataList, classification, thesisVariant),
+
+                    ...validatePageLength(pageCount, thesisVariant)
+
+                ];
+
+                for (const err of variantErrors) {
+
+                    addResult(err.type, err.title, err.description,
+
+                        err.paraIndex !== null ? msg('location.paragraph', { n: err.paraIndex + 1 }) : null,
+
+                        err.paraIndex, err.severity,
+
+                        { ruleId: err.ruleId, params: err.params, chapter: getParagraphChapter(err.paraIndex) });
+
+                    if (err.type === 'error') errorCount++;
+
+                    else warningCount++;
+
                 }
 
             }
 
 
 
-            // Step 9: Apply highlights
+            // Step 9: Apply highlights and anchor findings to the document
 
-            updateProgress(95, 'İşaretler uygulanıyor...');
+            updateProgress(95, t('progress.highlights'));
 
             await context.sync();
 
+            await assignResultAnchors(context, paragraphDataList, { keepStale: isPartial });
 
+            await harvestResolvedComments(context);
 
-            // Step 10: Summary
+            const suppressedCounts = await applySuppressions(context, paragraphDataList);
 
-            updateProgress(98, 'Özet hazırlanıyor...');
+            await syncFindingComments(context, paragraphs.items, scope);
 
+            attachMarkAnchors();
 
+            saveMarkLedger();
 
-            if (ghostCount > 0) {
 
-                addResult('error', `${ghostCount} Boş Başlık (Ghost Heading) Bulundu`,
 
-                    'Bu boş başlıklar İçindekiler tablosunda hatalı satırlara neden olur. Kırmızı ile işaretlendi.',
+            // Step 10: Summary
+
+            updateProgress(98, t('progress.summary'));
+
+
+
+            if (ghostCount > 0) {
 
-                    'Belge Geneli', null, 'CRITICAL');
+                addRuleResult('error', 'GHOST_HEADING_SUMMARY', { count: ghostCount }, null, null, 'CRITICAL');
 
             }
 
@@ -3688,36 +15280,68 @@ async function scanDocument() {
 
 
 
-            const totalErrors = errorCount + marginErrors.filter(e => e.type === 'error').length;
+            const totalErrors = errorCount + marginErrors.filter(e => e.type === 'error').length -
 
-            const totalWarnings = warningCount + marginErrors.filter(e => e.type === 'warning').length +
+                suppressedCounts.errors;
 
-                tableErrors.length + imageErrors.length + pageNumErrors.length;
+            // Table, image and page number findings are already in errorCount/warningCount
 
+            const totalWarnings = warningCount + marginErrors.filter(e => e.type === 'warning').length -
 
+                suppressedCounts.warnings;
 
-            if (totalErrors === 0 && totalWarnings === 0) {
 
-                addResult('success', '✅ Tebrikler!',
 
-                    'Belge EBYÜ 2022 Tez Yazım Kılavuzu formatına uygun görünüyor.');
+            const scopeLabel = scope
+
+                ? msg(mode === SCAN_MODES.SELECTION ? 'location.selection' : 'location.chapter',
+
+                    { start: scope.start + 1, end: scope.end + 1 })
+
+                : null;
+
+
+
+            if (totalErrors === 0 && totalWarnings === 0) {
+
+                addRuleResult('success', scope ? 'SCAN_OK_PARTIAL' : 'SCAN_OK', {}, scopeLabel);
 
             } else {
 
-                addResult(totalErrors > 0 ? 'error' : 'warning', 'Tarama Özeti',
+                addRuleResult(totalErrors > 0 ? 'error' : 'warning', 'SCAN_SUMMARY',
 
-                    `🔴 Kritik: ${totalErrors} | 🟡 Format: ${totalWarnings} hata bulundu. Hatalı yerler belgede işaretlendi ve yorum eklendi.`);
+                    { errors: totalErrors, warnings: totalWarnings, marking: getMarkingSummary() }, scopeLabel);
 
             }
 
 
 
-            updateProgress(100, 'Tarama tamamlandı!');
+            updateProgress(100, t('progress.done'));
 
 
 
             const endTime = performance.now();
 
+            lastScanInfo = {
+
+                mode,
+
+                scope: scope ? { start: scope.start + 1, end: scope.end + 1 } : null,
+
+                finishedAt: new Date().toISOString(),
+
+                durationMs: Math.round(endTime - startTime)
+
+            };
+
+            // Partial scans load formatting for their scope only: no signature to
+
+            // vouch for the whole document, so their saved state shows as stale
+
+            saveLastScan(isPartial ? null : getDocumentSignature(paragraphs.items));
+
+            recordScanHistory(previousResults, scope);
+
             logStep('COMPLETE', `Scan completed in ${((endTime - startTime) / 1000).toFixed(2)} seconds`);
 
         });
@@ -3728,7 +15352,7 @@ async function scanDocument() {
 
         logStep('ERROR', `Scan failed: ${error.message}`);
 
-        addResult('error', 'Tarama Hatası', `Hata: ${error.message}. Lütfen tekrar deneyin.`);
+        addRuleResult('error', 'SCAN_FAILED', { message: error.message });
 
     } finally {
 
@@ -3740,6 +15364,8 @@ async function scanDocument() {
 
         displayResults();
 
+        renderScanHistory();
+
     }
 
 }